@@ -7,7 +7,63 @@
 
 import { HolisticTracker } from './tracking.js';
 import { Visualizer } from './visualizer.js';
-import { SoundEngine } from './music.js';
+import { SoundEngine, MUSIC_SOURCE } from './music.js';
+import { PoseCoach } from './coach.js';
+import {
+  loadLibrary,
+  mergeLibrary,
+  getCurriculum,
+  exportLibrary,
+  importLibraryFile,
+  downloadJSON,
+  downloadBlob,
+  FORMAT_VERSION
+} from './library.js';
+import { PoseRecorder, createTemplates } from './authoring.js';
+import { VideoExtractor, drawFrameOverlay, formatTime } from './extraction.js';
+import {
+  WebcamSource,
+  VideoFileSource,
+  ImageSequenceSource,
+  LandmarkSource,
+  RESOLUTIONS
+} from './sources.js';
+import { SessionRecorder, SessionPlayer } from './session.js';
+import { validateTrack, frameAt } from './tracks.js';
+import { PerformanceRecorder } from './capture.js';
+import { SMOOTHING_PRESETS } from './smoothing.js';
+import { QualityMonitor } from './quality.js';
+import {
+  Calibrator,
+  CALIBRATION_STEPS,
+  createProfile,
+  loadProfiles,
+  saveProfile,
+  setCurrentUser,
+  getProfile
+} from './calibration.js';
+import { ScoreStreams, MAX_DANCERS } from './ensemble.js';
+import { SynchronyMeter, LIMBS } from './synchrony.js';
+import { TempoAdapter } from './tempo.js';
+import { BeatClock, loadBeatMap } from './beats.js';
+import { GestureDetector, RhythmScorer } from './gestures.js';
+import {
+  loadCourse,
+  unitCurriculum,
+  loadProgress,
+  markUnitComplete,
+  isUnlocked,
+  resetProgress
+} from './lessons.js';
+import { analyzeSession, drawLineChart, drawBarChart, MIN_REPORT_FRAMES } from './report.js';
+import {
+  ProgressTracker,
+  loadHistory,
+  summarizeHistory,
+  exportHistory,
+  importHistory,
+  clearHistory
+} from './progress.js';
 
 // Application state
 const state = {
@@ -15,11 +71,47 @@ const state = {
   soundEnabled: false,
   isLoading: true,
   currentHands: null,
-  currentPose: null
+  currentPose: null,
+  calibrating: false,
+  calibrationOffered: false,
+  syncMode: 'off', // 'off' | 'dancers' | 'reference'
+  splitView: false,
+  adaptiveTempo: false,
+  rhythm: false, // Snaps, claps and flicks scored against the beat
+  music: 'recording', // Perform music: 'recording' | 'arranged' (follows the dancer)
+  lesson: null, // { unitIndex } while a course unit runs
+  loop: { start: null, end: null } // Learn video section to drill (seconds)
 };
 
 // Initialize components
-let tracker, visualizer, soundEngine;
+let tracker, visualizer, soundEngine, coach, recorder, extractor, sessionRecorder, qualityMonitor, calibrator;
+
+// Group tracking: a scoring-only coach and a score stream per dancer id
+const dancerCoaches = {};
+const dancerScores = new ScoreStreams();
+
+// Synchrony: two dancers, or the dancer against a reference track
+const syncMeter = new SynchronyMeter();
+let referenceTrack = null;
+
+// Learn mode practice speed, following the learner's match score
+const tempoAdapter = new TempoAdapter();
+
+// The sequential awakening course (lessons.js)
+let course = null;
+
+// Report card of the last graded session
+let report = null;
+
+// This visit's practice, saved to the on-device history
+const progress = new ProgressTracker();
+
+// Beats of the recorded music, once analyzed
+let beatClock = null;
+
+// Percussive gestures and their timing against the beat
+const gestureDetector = new GestureDetector();
+let rhythmScorer = null;
 
 async function init() {
   console.log('Initializing Lazgi Hands...');
@@ -38,17 +130,89 @@ async function init() {
     }
   });
 
-  // Setup holistic tracker (hands + pose combined)
+  // Beat clock on the recorded music (the analysis finishes in the background)
+  setupBeats();
+  setupGestures();
+  setupMusic();
+
+  // Load hand, body and movement templates
+  try {
+    await loadLibrary();
+  } catch (err) {
+    console.error('Failed to load template library:', err);
+  }
+
+  // Setup Learn mode coach (walks through the template curriculum)
+  coach = new PoseCoach({
+    onPass: (template) => {
+      if (isPractice()) progress.recordMastered(template.id);
+    },
+    onAdvance: () => {
+      showCurrentTemplate();
+      if (state.lesson) playStepVideo();
+      if (state.soundEnabled) soundEngine.playReward();
+    },
+    onComplete: () => {
+      if (state.lesson) {
+        finishUnit();
+        if (state.soundEnabled) soundEngine.playReward();
+        return;
+      }
+      showCurrentTemplate();
+      document.getElementById('mode-indicator').textContent = 'Curriculum complete!';
+      if (state.soundEnabled) soundEngine.playReward();
+    }
+  });
+  showCurrentTemplate();
+
+  // Template authoring (captures poses from the camera)
+  recorder = new PoseRecorder();
+  setupAuthoring();
+
+  // Video source from the URL, if any (webcam otherwise)
+  let source = null;
+  try {
+    source = await sourceFromQuery();
+  } catch (err) {
+    console.error('Failed to open source from URL, using the webcam:', err);
+  }
+
+  // Setup holistic tracker (hands + pose combined), ?dancers=3 for a group
+  const dancers = Number(new URLSearchParams(window.location.search).get('dancers')) || 1;
   tracker = new HolisticTracker({
     onResults: handleTrackingResults,
-    videoElement: document.getElementById('video-feed')
+    videoElement: document.getElementById('video-feed'),
+    source,
+    maxDancers: Math.max(1, Math.min(dancers, MAX_DANCERS))
   });
 
-  // Start tracker (this triggers camera permission)
+  // Setup guidance (lighting, distance, framing)
+  qualityMonitor = new QualityMonitor({ videoElement: tracker.videoElement });
+
+  // Body calibration (the current user's stored profile applies at once)
+  calibrator = new Calibrator();
+  setupCalibration();
+
+  // Synchrony between dancers, or against a reference track
+  setupSynchrony();
+  setupSplitView();
+  setupTempo();
+  setupLessons();
+
+  // Reference video extraction (shares the tracker's model)
+  setupExtraction();
+  setupSources();
+
+  // Perform session recording and replay
+  sessionRecorder = new SessionRecorder();
+  setupSessions();
+  setupReport();
+  setupProgress();
+  setupVideoCapture();
+
+  // Start tracker (for the webcam this triggers camera permission)
   try {
     await tracker.start();
-    // Start with tracking disabled (learn mode is default)
-    tracker.setEnabled(false);
     document.getElementById('loading').classList.add('hidden');
     state.isLoading = false;
   } catch (err) {
@@ -70,6 +234,45 @@ function handleTrackingResults(data) {
     state.currentHands = data.hands;
     state.currentPose = data.pose;
 
+    // Template authoring collects frames while a capture runs
+    if (recorder) {
+      recorder.addFrame(data, data.timestamp);
+    }
+
+    // Calibration steps collect frames the same way
+    if (calibrator) {
+      calibrator.addFrame(data, data.timestamp);
+    }
+
+    // Tell the dancer what is stopping the tracker seeing them well
+    if (qualityMonitor) {
+      showGuidance(qualityMonitor.update(data, data.timestamp));
+    }
+
+    // Practice time counts while someone is in view (not in a replay)
+    if (isPractice() && (data.pose || (data.hands && data.hands.length > 0))) {
+      progress.addFrame(state.mode, data.timestamp);
+    }
+
+    // Session recording keeps every frame with the music position
+    if (sessionRecorder && sessionRecorder.isRecording) {
+      sessionRecorder.addFrame(data, soundEngine.getMusicPosition());
+    }
+
+    // Snaps, claps and flicks: a doira stroke each, judged on the beat
+    if (state.rhythm) {
+      updateGestures(data);
+    }
+
+    // A group: every dancer gets their own colors, score and voice
+    visualizer.updateDancers(data.dancers || null);
+    updateEnsemble(data.dancers || []);
+
+    // How in step two dancers (or dancer and reference) are
+    if (state.syncMode !== 'off') {
+      updateSynchrony(data);
+    }
+
     // Update visualizer with hands (only in perform mode)
     if (data.hands && data.hands.length > 0) {
       visualizer.updateHands(data.hands);
@@ -81,19 +284,64 @@ function handleTrackingResults(data) {
         const rightHand = data.hands.find(h => h.handedness === 'Right');
 
         // Left hand controls filter/effects
+        let leftVelocity = 0;
         if (leftHand) {
-          const leftVelocity = calculateHandVelocity(leftHand, 'left');
+          leftVelocity = calculateHandVelocity(leftHand, 'left');
           soundEngine.updateLeftHand(leftHand, leftVelocity);
         }
 
         // Right hand controls tempo/rhythm
+        let rightVelocity = 0;
         if (rightHand) {
-          const rightVelocity = calculateHandVelocity(rightHand, 'right');
+          rightVelocity = calculateHandVelocity(rightHand, 'right');
           soundEngine.updateRightHand(rightHand, rightVelocity);
         }
+
+        // Whichever hand trembles more shapes the vibrato
+        const trembling = data.hands
+          .filter(h => h.tremble)
+          .sort((a, b) => b.tremble.overall.intensity - a.tremble.overall.intensity)[0];
+        if (trembling) {
+          soundEngine.updateTremble(trembling.tremble);
+        }
+
+        // The arrangement: energy and tremble move it through its
+        // sections, the leading hand plays the finger synths
+        if (soundEngine.arrangement) {
+          soundEngine.updateEnergy(
+            Math.max(leftVelocity, rightVelocity),
+            trembling ? trembling.tremble.overall.intensity : 0,
+            data.timestamp
+          );
+          const lead = rightHand || leftHand;
+          soundEngine.updateFromHand(Math.max(leftVelocity, rightVelocity), lead.fingerSpread || 0, lead.landmarks);
+        }
       }
     } else {
       visualizer.updateHands([]);
+
+      // Nobody dancing: the arrangement calms down
+      if (state.soundEnabled && soundEngine && soundEngine.arrangement) {
+        soundEngine.updateEnergy(0, 0, data.timestamp);
+      }
+    }
+
+    // Learn mode: score hands (and body) against the current template,
+    // using the steadier scoring smoothing when the tracker provides it
+    if (state.mode === 'learn' && coach) {
+      const scoringData = (data.profiles && data.profiles.scoring) || data;
+      const { score, holdProgress, feedback, variant, components } = coach.update(scoringData, scoringData.timestamp);
+      visualizer.setTemplateVariant(variant);
+      visualizer.setComponents(components);
+      visualizer.setMatchScore(score);
+      visualizer.setHoldProgress(holdProgress);
+      visualizer.setFeedback(feedback);
+      if (coach.currentTemplate && isPractice()) progress.recordScore(coach.currentTemplate.id, score);
+
+      if (state.adaptiveTempo) {
+        const rate = tempoAdapter.update(score, scoringData.timestamp);
+        if (rate !== soundEngine.playbackRate) applyTempo(rate);
+      }
     }
 
     // Update visualizer and sound with pose (arms/shoulders)
@@ -109,6 +357,137 @@ function handleTrackingResults(data) {
   }
 }
 
+/**
+ * Score every tracked dancer against the current lesson and play their
+ * voices. Each dancer has a coach that only scores (it never holds, so
+ * never advances); the main coach still runs the lesson.
+ */
+function updateEnsemble(dancers) {
+  const ids = dancers.map(d => d.id);
+  for (const id of Object.keys(dancerCoaches)) {
+    if (!ids.includes(Number(id))) delete dancerCoaches[id];
+  }
+  dancerScores.retain(ids);
+  soundEngine.releaseDancerVoices(ids);
+
+  const scores = {};
+  for (const dancer of dancers) {
+    if (state.mode === 'learn' && coach) {
+      let dancerCoach = dancerCoaches[dancer.id];
+      if (!dancerCoach) {
+        dancerCoach = dancerCoaches[dancer.id] = new PoseCoach({ curriculum: coach.curriculum, autoAdvance: false });
+      }
+      if (dancerCoach.curriculum !== coach.curriculum || dancerCoach.index !== coach.index) {
+        dancerCoach.setCurriculum(coach.curriculum, coach.index);
+      }
+
+      const scoringData = (dancer.profiles && dancer.profiles.scoring) || dancer;
+      dancerScores.push(dancer.id, dancerCoach.update(scoringData, scoringData.timestamp).score, dancer.timestamp);
+      scores[dancer.id] = dancerScores.latest(dancer.id);
+    }
+
+    if (state.soundEnabled) {
+      soundEngine.updateDancer(dancer);
+    }
+  }
+
+  visualizer.setDancerScores(scores);
+}
+
+/**
+ * Feed the synchrony meter this frame's pair and show the result. The
+ * reference track leads: its frame is the one at the learn video's time.
+ */
+function updateSynchrony(data) {
+  let leader = null;
+  let follower = null;
+
+  if (state.syncMode === 'dancers') {
+    const dancers = data.dancers || [];
+    leader = dancers[0] || null;
+    follower = dancers[1] || null;
+  } else if (referenceTrack) {
+    const learnVideo = document.getElementById('learn-video');
+    leader = frameAt(referenceTrack, learnVideo.currentTime * 1000);
+    follower = data;
+  }
+
+  syncMeter.push(leader, follower, data.timestamp);
+  const result = syncMeter.measure(data.timestamp);
+  visualizer.setSynchrony(result);
+
+  if (state.splitView) {
+    document.getElementById('split-similarity').textContent = referenceTrack
+      ? `Similarity ${Math.round(result.score * 100)}%`
+      : 'Similarity -';
+  }
+
+  const limbs = document.getElementById('sync-limbs');
+  if (limbs) {
+    limbs.textContent = LIMBS
+      .map(limb => `${limb.replace(/([A-Z])/g, ' $1').toLowerCase()} ${result.limbs[limb] === null ? '-' : `${Math.round(result.limbs[limb] * 100)}%`}`)
+      .join(', ');
+  }
+}
+
+/**
+ * Show the most urgent setup issue on screen (learn mode, where setup
+ * matters before a lesson), and the tracking confidence in the source panel
+ */
+function showGuidance(quality) {
+  const guidance = document.getElementById('guidance');
+  const stats = document.getElementById('quality-stats');
+  const percent = (value) => (value === null ? '-' : `${Math.round(value * 100)}%`);
+
+  // The calibration flow uses the banner for its own prompts
+  if (guidance && !state.calibrating) {
+    const issue = state.mode === 'learn' ? quality.issues[0] : null;
+    guidance.textContent = issue ? issue.message : '';
+    guidance.classList.toggle('hidden', !issue);
+  }
+
+  if (stats) {
+    stats.textContent = `Left hand ${percent(quality.hands.Left)}, right hand ${percent(quality.hands.Right)}, ` +
+      `body ${percent(quality.pose)}, light ${percent(quality.brightness)}`;
+  }
+}
+
+/**
+ * Show the coach's current template in the visualizer
+ */
+function showCurrentTemplate() {
+  visualizer.setTemplate(coach.currentTemplate, {
+    index: coach.index,
+    total: coach.curriculum.length,
+    unit: state.lesson ? course.units[state.lesson.unitIndex].name : null
+  });
+
+  // Each lesson starts slow again, with its own tempo settings
+  if (state.adaptiveTempo) {
+    tempoAdapter.configure(coach.currentTemplate && coach.currentTemplate.tempo);
+    applyTempo(tempoAdapter.rate);
+  }
+}
+
+/**
+ * Rebuild the curriculum after the library changed, optionally
+ * jumping to a template
+ */
+function refreshCurriculum(focusId = null) {
+  // This also ends a running lesson
+  if (state.lesson) {
+    state.lesson = null;
+    state.loop = { start: null, end: null };
+    showLoopRange();
+    renderLessons();
+  }
+
+  const curriculum = getCurriculum();
+  const index = Math.max(0, curriculum.findIndex(t => t.id === focusId));
+  coach.setCurriculum(curriculum, index);
+  showCurrentTemplate();
+}
+
 // Store previous landmarks for velocity calculation
 const prevLandmarks = { left: null, right: null };
 
@@ -151,7 +530,7 @@ function setupControls() {
 
   const learnVideo = document.getElementById('learn-video');
 
-  // Learn mode: watch professional dancer video
+  // Learn mode: match template poses while the dancer video plays
   btnLearn.addEventListener('click', () => {
     console.log('Learn clicked');
     state.mode = 'learn';
@@ -161,20 +540,27 @@ function setupControls() {
     document.body.classList.add('learn-mode');
     document.body.classList.remove('perform-mode');
     visualizer.setMode('learn');
+    offerCalibration();
 
-    // Disable tracking in learn mode (save CPU)
+    // Keep tracking on so the coach can score the pose
     if (tracker) {
-      tracker.setEnabled(false);
+      tracker.setEnabled(true);
     }
 
+    // Restart the curriculum from the first pose
+    coach.goTo(0);
+    showCurrentTemplate();
+
     // Show and play the learn video
     learnVideo.classList.add('active');
     learnVideo.currentTime = 0;
     learnVideo.play();
+    if (state.lesson) playStepVideo();
 
     // Stop tracking music (video has its own audio)
     if (state.soundEnabled) {
       soundEngine.stopRecordedMusic();
+      soundEngine.stopArrangement();
     }
   });
 
@@ -188,6 +574,7 @@ function setupControls() {
     document.body.classList.add('perform-mode');
     document.body.classList.remove('learn-mode');
     visualizer.setMode('perform');
+    offerCalibration();
 
     // Enable tracking in perform mode
     if (tracker) {
@@ -195,12 +582,14 @@ function setupControls() {
     }
 
     // Hide and pause the learn video
+    if (state.splitView) setSplitView(false);
+    if (state.adaptiveTempo) setAdaptiveTempo(false);
     learnVideo.classList.remove('active');
     learnVideo.pause();
 
     // Start tracking music if sound is enabled
     if (state.soundEnabled) {
-      await soundEngine.playRecordedMusic();
+      await playPerformMusic();
     }
   });
 
@@ -214,7 +603,7 @@ function setupControls() {
       await soundEngine.start();
       // Only play music in perform mode
       if (state.mode === 'perform') {
-        await soundEngine.playRecordedMusic();
+        await playPerformMusic();
       }
     } else {
       soundEngine.stopRecordedMusic();
@@ -233,6 +622,9 @@ function setupControls() {
       setTimeout(() => {
         splash.classList.add('hidden');
       }, 600);
+
+      // The app opens in Learn mode
+      offerCalibration();
     });
 
     // Also allow Enter key to dismiss splash
@@ -267,6 +659,9 @@ function setupControls() {
 
   // Keyboard shortcuts
   document.addEventListener('keydown', (e) => {
+    // Don't steal keys while typing in a form field
+    if (e.target.matches('input, select, textarea')) return;
+
     // Close modal on Escape
     if (e.key === 'Escape' && infoModal && !infoModal.classList.contains('hidden')) {
       infoModal.classList.add('hidden');
@@ -276,6 +671,18 @@ function setupControls() {
     if (e.key === '1' || e.key === 'l') btnLearn.click();
     if (e.key === '2' || e.key === 'p') btnPerform.click();
     if (e.key === 's') btnSound.click();
+
+    // Arrow keys cycle templates in learn mode
+    if (state.mode === 'learn' && coach) {
+      if (e.key === 'ArrowRight') {
+        coach.next();
+        showCurrentTemplate();
+      }
+      if (e.key === 'ArrowLeft') {
+        coach.previous();
+        showCurrentTemplate();
+      }
+    }
     if (e.key === ' ') {
       e.preventDefault();
       // Space toggles between learn and perform
@@ -288,6 +695,1563 @@ function setupControls() {
   });
 }
 
+/**
+ * Template authoring panel: capture the current pose, name it, and
+ * export/import the template library as JSON. Toggle with the A key.
+ */
+function setupAuthoring() {
+  const panel = document.getElementById('author-panel');
+  const btnCapture = document.getElementById('btn-capture');
+  const btnExport = document.getElementById('btn-export');
+  const btnImport = document.getElementById('btn-import');
+  const importInput = document.getElementById('author-import');
+  const status = document.getElementById('author-status');
+
+  if (!panel || !btnCapture) return;
+
+  const field = (id) => document.getElementById(id);
+
+  btnCapture.addEventListener('click', async () => {
+    if (recorder.isCapturing) return;
+
+    const details = {
+      name: field('author-name').value.trim(),
+      description: field('author-description').value.trim(),
+      category: field('author-category').value,
+      hand: field('author-hand').value,
+      includeBody: field('author-body').checked
+    };
+
+    if (!details.name) {
+      status.textContent = 'Give the pose a name first';
+      return;
+    }
+
+    btnCapture.disabled = true;
+    try {
+      // Countdown so the dancer can get into position
+      for (let n = 3; n > 0; n--) {
+        status.textContent = `Get ready... ${n}`;
+        await new Promise(resolve => setTimeout(resolve, 1000));
+      }
+
+      status.textContent = 'Hold still...';
+      const capture = await recorder.capture();
+      const { template, bodyTemplate } = createTemplates(capture, details);
+
+      mergeLibrary({
+        templates: [template],
+        bodyTemplates: bodyTemplate ? [bodyTemplate] : []
+      });
+      refreshCurriculum(template.id);
+
+      status.textContent = `Saved "${template.name}"${bodyTemplate ? ' + full body' : ''} (${capture.frameCount} frames)`;
+    } catch (err) {
+      status.textContent = err.message;
+    } finally {
+      btnCapture.disabled = false;
+    }
+  });
+
+  btnExport.addEventListener('click', () => exportLibrary());
+
+  btnImport.addEventListener('click', () => importInput.click());
+
+  importInput.addEventListener('change', async () => {
+    const file = importInput.files[0];
+    if (!file) return;
+
+    try {
+      await importLibraryFile(file);
+      refreshCurriculum();
+      status.textContent = `Imported ${file.name}`;
+    } catch (err) {
+      status.textContent = `Import failed: ${err.message}`;
+    }
+    importInput.value = '';
+  });
+
+  document.addEventListener('keydown', (e) => {
+    if (e.target.matches('input, select, textarea')) return;
+
+    if (e.key === 'a') {
+      panel.classList.toggle('hidden');
+      if (panel.classList.contains('hidden')) recorder.cancel();
+    }
+  });
+}
+
+/**
+ * Extraction panel: run the tracker on a reference video, mark
+ * keyframes and export them as templates, or save a landmark track of
+ * the whole clip. Toggle with the X key; live tracking pauses while open.
+ */
+function setupExtraction() {
+  const panel = document.getElementById('extract-panel');
+  const video = document.getElementById('extract-video');
+  const overlay = document.getElementById('extract-overlay');
+  const fileInput = document.getElementById('extract-file');
+  const scrub = document.getElementById('extract-scrub');
+  const timeLabel = document.getElementById('extract-time');
+  const btnPlay = document.getElementById('btn-extract-play');
+  const btnMark = document.getElementById('btn-extract-mark');
+  const btnTemplates = document.getElementById('btn-extract-templates');
+  const btnTrack = document.getElementById('btn-extract-track');
+  const list = document.getElementById('extract-keyframes');
+  const status = document.getElementById('extract-status');
+
+  if (!panel || !video) return;
+
+  extractor = new VideoExtractor({
+    tracker,
+    videoElement: video,
+    onFrame: (data, time) => {
+      drawFrameOverlay(overlay, data);
+      scrub.value = time;
+      timeLabel.textContent = formatTime(time);
+    }
+  });
+
+  const renderKeyframes = () => {
+    list.innerHTML = '';
+    extractor.keyframes.forEach((keyframe, i) => {
+      const item = document.createElement('li');
+      const sides = keyframe.data.hands.map(h => h.handedness.toLowerCase()).join(' + ');
+      item.textContent = `${formatTime(keyframe.time)} (${sides}${keyframe.data.pose ? ', body' : ''})`;
+      item.title = 'Click to jump, shift-click to remove';
+      item.addEventListener('click', (e) => {
+        if (e.shiftKey) {
+          extractor.removeKeyframe(i);
+          renderKeyframes();
+        } else {
+          extractor.seek(keyframe.time).catch(err => { status.textContent = err.message; });
+        }
+      });
+      list.appendChild(item);
+    });
+  };
+
+  const load = async (source) => {
+    video.pause();
+    status.textContent = 'Loading video...';
+    try {
+      await extractor.load(source);
+      overlay.width = video.videoWidth;
+      overlay.height = video.videoHeight;
+      drawFrameOverlay(overlay, extractor.current.data);
+      scrub.max = extractor.duration;
+      renderKeyframes();
+      status.textContent = `${extractor.sourceName} (${formatTime(extractor.duration)})`;
+    } catch (err) {
+      status.textContent = err.message;
+    }
+  };
+
+  document.getElementById('btn-extract-open').addEventListener('click', () => fileInput.click());
+  document.getElementById('btn-extract-learn').addEventListener('click', () => {
+    load('./assets/video/lazgi-learn.mp4');
+  });
+
+  fileInput.addEventListener('change', () => {
+    if (fileInput.files[0]) load(fileInput.files[0]);
+    fileInput.value = '';
+  });
+
+  // Scrubbing analyzes the frame once the seek lands
+  scrub.addEventListener('change', () => {
+    video.pause();
+    extractor.seek(Number(scrub.value)).catch(err => { status.textContent = err.message; });
+  });
+
+  // Playback is for finding a moment; the frame is analyzed on pause
+  btnPlay.addEventListener('click', () => {
+    if (video.paused) {
+      video.play();
+    } else {
+      video.pause();
+    }
+  });
+
+  video.addEventListener('play', () => {
+    btnPlay.textContent = 'Pause';
+    drawFrameOverlay(overlay, null);
+  });
+  video.addEventListener('pause', () => {
+    btnPlay.textContent = 'Play';
+    if (!extractor.busy) {
+      extractor.analyzeCurrentFrame().catch(err => { status.textContent = err.message; });
+    }
+  });
+  video.addEventListener('timeupdate', () => {
+    if (!video.paused) {
+      scrub.value = video.currentTime;
+      timeLabel.textContent = formatTime(video.currentTime);
+    }
+  });
+
+  btnMark.addEventListener('click', () => {
+    try {
+      const keyframe = extractor.markKeyframe();
+      renderKeyframes();
+      status.textContent = `Marked ${formatTime(keyframe.time)}`;
+    } catch (err) {
+      status.textContent = err.message;
+    }
+  });
+
+  // Keyframes become templates, added to the curriculum and downloaded
+  btnTemplates.addEventListener('click', () => {
+    if (extractor.keyframes.length === 0) {
+      status.textContent = 'Mark at least one keyframe first';
+      return;
+    }
+
+    try {
+      const name = document.getElementById('extract-name').value.trim() || 'Reference';
+      const extracted = extractor.toTemplates(name);
+      mergeLibrary(extracted);
+      refreshCurriculum(extracted.templates[0].id);
+
+      downloadJSON({ version: FORMAT_VERSION, ...extracted }, `${fileSlug(name)}-templates.json`);
+      status.textContent = `Exported ${extracted.templates.length} templates, ${extracted.bodyTemplates.length} body templates`;
+    } catch (err) {
+      status.textContent = err.message;
+    }
+  });
+
+  btnTrack.addEventListener('click', async () => {
+    if (extractor.busy) {
+      extractor.cancel();
+      return;
+    }
+    if (!extractor.duration) {
+      status.textContent = 'Load a video first';
+      return;
+    }
+
+    video.pause();
+    btnTrack.textContent = 'Cancel';
+    try {
+      const track = await extractor.extractTrack({
+        onProgress: (progress) => {
+          status.textContent = `Extracting... ${Math.round(progress * 100)}%`;
+        }
+      });
+      downloadJSON(track, `${fileSlug(extractor.sourceName)}-track.json`, { compact: true });
+      status.textContent = `Extracted ${track.frames.length} frames`;
+    } catch (err) {
+      status.textContent = err.message;
+    } finally {
+      btnTrack.textContent = 'Extract Track';
+    }
+  });
+
+  document.addEventListener('keydown', (e) => {
+    if (e.target.matches('input, select, textarea')) return;
+
+    if (e.key === 'x') {
+      panel.classList.toggle('hidden');
+      const open = !panel.classList.contains('hidden');
+
+      // The model handles one stream at a time
+      tracker.setEnabled(!open);
+      if (!open) {
+        video.pause();
+        extractor.cancel();
+      }
+    }
+  });
+}
+
+function fileSlug(name) {
+  return name.toLowerCase().replace(/\.[a-z0-9]+$/, '').replace(/[^a-z0-9]+/g, '-') || 'lazgi';
+}
+
+/**
+ * Session panel: record a Perform run, save or load it, and replay it
+ * through the visualizer and sound engine with play/pause/seek. Toggle
+ * with the R key.
+ */
+function setupSessions() {
+  const panel = document.getElementById('session-panel');
+  const btnRecord = document.getElementById('btn-session-record');
+  const btnSave = document.getElementById('btn-session-save');
+  const btnLoad = document.getElementById('btn-session-load');
+  const btnReplay = document.getElementById('btn-session-replay');
+  const btnReport = document.getElementById('btn-session-report');
+  const fileInput = document.getElementById('session-file');
+  const transport = document.getElementById('session-transport');
+  const btnPlay = document.getElementById('btn-session-play');
+  const btnExit = document.getElementById('btn-session-exit');
+  const scrub = document.getElementById('session-scrub');
+  const timeLabel = document.getElementById('session-time');
+  const status = document.getElementById('session-status');
+
+  if (!panel) return;
+
+  let session = null;        // Last recorded or loaded session
+  let player = null;         // Active replay
+  let liveSource = null;     // Source to return to after replay
+
+  const setSession = (value, message) => {
+    session = value;
+    btnSave.disabled = !session;
+    btnReplay.disabled = !session;
+    btnReport.disabled = !session;
+    status.textContent = message;
+  };
+  setSession(null, '');
+
+  btnRecord.addEventListener('click', () => {
+    if (sessionRecorder.isRecording) {
+      const recorded = sessionRecorder.stop({ mode: state.mode });
+      btnRecord.textContent = 'Record';
+      btnRecord.classList.remove('active');
+      setSession(recorded, `Recorded ${formatTime(recorded.duration / 1000)} (${recorded.frames.length} frames)`);
+
+      // A Perform run ends with its report card
+      if (recorded.mode === 'perform') {
+        if (recorded.frames.length < MIN_REPORT_FRAMES) {
+          status.textContent += ', too short for a report card';
+          return;
+        }
+        try {
+          showReport(gradeSession(recorded));
+          if (isPractice()) progress.recordReport(report);
+        } catch (err) {
+          console.error('Failed to grade session:', err);
+          status.textContent += `, report failed: ${err.message}`;
+        }
+      }
+      return;
+    }
+
+    // Sessions are Perform runs
+    if (state.mode !== 'perform') {
+      document.getElementById('btn-perform').click();
+    }
+    sessionRecorder.start();
+    btnRecord.textContent = 'Stop';
+    btnRecord.classList.add('active');
+    status.textContent = 'Recording...';
+  });
+
+  btnSave.addEventListener('click', () => {
+    const stamp = session.recordedAt ? session.recordedAt.replace(/[:.]/g, '-') : 'session';
+    downloadJSON(session, `lazgi-session-${stamp}.json`, { compact: true });
+  });
+
+  btnLoad.addEventListener('click', () => fileInput.click());
+
+  btnReport.addEventListener('click', () => {
+    if (session.frames.length < MIN_REPORT_FRAMES) {
+      status.textContent = 'Too short for a report card';
+      return;
+    }
+    try {
+      showReport(gradeSession(session));
+    } catch (err) {
+      status.textContent = `Report failed: ${err.message}`;
+    }
+  });
+
+  fileInput.addEventListener('change', async () => {
+    const file = fileInput.files[0];
+    fileInput.value = '';
+    if (!file) return;
+
+    try {
+      const loaded = validateTrack(JSON.parse(await file.text()));
+      setSession(loaded, `Loaded ${file.name} (${formatTime(loaded.duration / 1000)})`);
+    } catch (err) {
+      status.textContent = `Load failed: ${err.message}`;
+    }
+  });
+
+  // Keep the scrub bar and music following the replay
+  const tick = () => {
+    if (!player) return;
+
+    player.update();
+    scrub.value = player.currentTime;
+    timeLabel.textContent = formatTime(player.currentTime / 1000);
+    btnPlay.textContent = player.paused ? 'Play' : 'Pause';
+    requestAnimationFrame(tick);
+  };
+
+  btnReplay.addEventListener('click', async () => {
+    if (player || sessionRecorder.isRecording) return;
+
+    try {
+      player = new SessionPlayer({ session, soundEngine });
+      liveSource = tracker.source;
+      await setTrackerSource(player.source);
+      tracker.setEnabled(true);
+
+      // Replay in the mode the session was recorded in
+      document.getElementById(session.mode === 'learn' ? 'btn-learn' : 'btn-perform').click();
+
+      scrub.max = player.duration;
+      transport.classList.remove('hidden');
+      btnRecord.disabled = true;
+      status.textContent = 'Replaying';
+
+      player.play();
+      tick();
+    } catch (err) {
+      player = null;
+      status.textContent = `Replay failed: ${err.message}`;
+    }
+  });
+
+  btnPlay.addEventListener('click', () => {
+    if (!player) return;
+    if (player.paused) {
+      player.play();
+    } else {
+      player.pause();
+    }
+  });
+
+  scrub.addEventListener('input', () => {
+    if (player) player.seek(Number(scrub.value));
+  });
+
+  btnExit.addEventListener('click', async () => {
+    if (!player) return;
+
+    player.pause();
+    player = null;
+    transport.classList.add('hidden');
+    btnRecord.disabled = false;
+    status.textContent = '';
+
+    try {
+      await setTrackerSource(liveSource);
+    } catch (err) {
+      status.textContent = err.message;
+    }
+    liveSource = null;
+  });
+
+  document.addEventListener('keydown', (e) => {
+    if (e.target.matches('input, select, textarea')) return;
+
+    if (e.key === 'r') {
+      panel.classList.toggle('hidden');
+    }
+  });
+}
+
+/**
+ * Whether frames come from the dancer now, rather than a replayed session
+ * or landmark track: only that counts toward practice history
+ */
+function isPractice() {
+  return !tracker.source.providesLandmarks;
+}
+
+/**
+ * Feed the tracker from another source. Its timestamps start on a new
+ * timeline (a replay's restart near 0), so everything timing frames
+ * starts over with it: the coach's motion and hold, the tempo adapter,
+ * gesture windows, the synchrony meter and practice time.
+ */
+async function setTrackerSource(source) {
+  await tracker.setSource(source);
+
+  if (coach) coach.goTo(coach.index);
+  for (const id of Object.keys(dancerCoaches)) delete dancerCoaches[id];
+  tempoAdapter.reset();
+  gestureDetector.reset();
+  syncMeter.reset();
+  progress.lastFrame = null;
+}
+
+/**
+ * Run a session's frames through fresh copies of the tracker's filters
+ * (so live tracking isn't disturbed) and grade them
+ */
+function gradeSession(session) {
+  const filters = tracker.createFilters();
+  return analyzeSession(session, {
+    process: (frame, timestamp) => tracker.process(frame, timestamp, filters),
+    beats: beatClock.ready ? beatClock.beats : null,
+    bpm: soundEngine.baseTempo
+  });
+}
+
+/**
+ * Music button and M key: the recorded Lazgi, or the arrangement that
+ * follows the dancer's energy
+ */
+function setupMusic() {
+  const btnMusic = document.getElementById('btn-music');
+  if (!btnMusic) return;
+
+  soundEngine.onSectionChange = (section) => {
+    btnMusic.textContent = `Music: ${section.name[0].toUpperCase()}${section.name.slice(1)}`;
+  };
+
+  const toggle = () => setMusic(state.music === 'recording' ? 'arranged' : 'recording');
+  btnMusic.addEventListener('click', toggle);
+
+  document.addEventListener('keydown', (e) => {
+    if (e.target.matches('input, select, textarea')) return;
+
+    if (e.key === 'm') {
+      toggle();
+    }
+  });
+}
+
+async function setMusic(music) {
+  state.music = music;
+  const btnMusic = document.getElementById('btn-music');
+  btnMusic.textContent = `Music: ${music === 'arranged' ? 'Arranged' : 'Recording'}`;
+  btnMusic.classList.toggle('active', music === 'arranged');
+
+  if (state.soundEnabled && state.mode === 'perform') {
+    soundEngine.stopRecordedMusic();
+    soundEngine.stopArrangement();
+    await playPerformMusic();
+  }
+}
+
+/**
+ * Perform mode's music, whichever kind is chosen (sound must be started)
+ */
+async function playPerformMusic() {
+  if (state.music === 'arranged') {
+    soundEngine.startArrangement();
+  } else {
+    await soundEngine.playRecordedMusic();
+  }
+}
+
+/**
+ * Rhythm button and G key; the Doira box plays a drum stroke per gesture
+ */
+function setupGestures() {
+  rhythmScorer = new RhythmScorer({ beatClock });
+
+  const btnRhythm = document.getElementById('btn-rhythm');
+  if (!btnRhythm) return;
+
+  btnRhythm.addEventListener('click', () => setRhythm(!state.rhythm));
+
+  document.addEventListener('keydown', (e) => {
+    if (e.target.matches('input, select, textarea')) return;
+
+    if (e.key === 'g') {
+      setRhythm(!state.rhythm);
+    }
+  });
+}
+
+function setRhythm(enabled) {
+  state.rhythm = enabled;
+  gestureDetector.reset();
+  rhythmScorer.reset();
+  visualizer.setRhythm(null);
+
+  const btnRhythm = document.getElementById('btn-rhythm');
+  btnRhythm.textContent = `Rhythm: ${enabled ? 'On' : 'Off'}`;
+  btnRhythm.classList.toggle('active', enabled);
+}
+
+function updateGestures(data) {
+  const events = gestureDetector.update(data, data.timestamp, soundEngine.getMusicPosition());
+
+  for (const event of events) {
+    if (state.soundEnabled && document.getElementById('rhythm-doira').checked) {
+      soundEngine.playGestureHit(event.type);
+    }
+
+    // Without music (or before the beat map is ready) only the gesture shows
+    const judged = rhythmScorer.judge(event);
+    visualizer.showGesture(judged || event, rhythmScorer.score);
+  }
+}
+
+/**
+ * Follow the recorded music's beats: medallions pulse and the synths
+ * keep its tempo. Until the analysis is ready the clock stays silent.
+ */
+function setupBeats() {
+  beatClock = new BeatClock({ getTime: () => soundEngine.getMusicPosition() });
+  beatClock.subscribe(beat => visualizer.onBeat(beat));
+  beatClock.subscribe(beat => soundEngine.onBeat(beat));
+  beatClock.start();
+
+  loadBeatMap(MUSIC_SOURCE)
+    .then(analysis => beatClock.setAnalysis(analysis))
+    .catch(err => console.warn('Beat tracking unavailable:', err.message));
+}
+
+/**
+ * Report card: close and save buttons (Escape closes it too)
+ */
+function setupReport() {
+  const modal = document.getElementById('report-modal');
+  if (!modal) return;
+
+  document.getElementById('btn-report-close').addEventListener('click', () => modal.classList.add('hidden'));
+
+  document.getElementById('btn-report-save').addEventListener('click', () => {
+    if (!report) return;
+    const stamp = (report.recordedAt || report.createdAt).replace(/[:.]/g, '-');
+    downloadJSON(report, `lazgi-report-${stamp}.json`);
+  });
+
+  modal.addEventListener('click', (e) => {
+    if (e.target === modal) modal.classList.add('hidden');
+  });
+
+  document.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape') modal.classList.add('hidden');
+  });
+}
+
+/**
+ * Show a report card: grade, score bars, time per pose and the
+ * per-second charts
+ */
+function showReport(value) {
+  report = value;
+  const percent = (v) => (v === null ? '-' : `${Math.round(v * 100)}%`);
+  const { scores, tremble, arms, energy, timing } = report;
+
+  document.getElementById('report-grade').textContent = report.grade;
+  document.getElementById('report-summary').textContent =
+    `${percent(report.score)} over ${formatTime(report.duration)}`;
+
+  drawBarChart(document.getElementById('report-scores'), [
+    { label: 'Poses', value: scores.poses },
+    { label: 'Tremble', value: scores.tremble },
+    { label: 'Arms', value: scores.arms },
+    { label: 'Energy', value: scores.energy },
+    { label: 'Timing', value: scores.timing }
+  ]);
+
+  const poseTimes = Object.entries(report.poses.time).sort((a, b) => b[1] - a[1]);
+  drawBarChart(document.getElementById('report-poses'), poseTimes.map(([id, seconds]) => ({
+    label: (getCurriculum().find(t => t.id === id) || { name: id }).name,
+    value: seconds
+  })), { max: Math.max(report.duration, 1), format: (v) => `${v.toFixed(1)}s` });
+
+  drawLineChart(document.getElementById('report-arms'), report.series, [
+    { key: 'left', label: 'Left', color: 'rgb(0, 131, 143)' },
+    { key: 'right', label: 'Right', color: 'rgb(183, 28, 28)' },
+    { key: 'symmetry', label: 'Symmetry', color: '#ffc107' }
+  ], { max: 1 });
+
+  // Energy scaled to the session's peak second, next to tremble time
+  const peak = Math.max(...report.series.map(p => p.energy ?? 0), 0.01);
+  drawLineChart(document.getElementById('report-energy'),
+    report.series.map(p => ({ ...p, energy: p.energy === null ? null : p.energy / peak })), [
+      { key: 'energy', label: 'Energy', color: '#ffc107' },
+      { key: 'tremble', label: 'Tremble', color: 'rgb(183, 28, 28)' }
+    ], { max: 1 });
+
+  document.getElementById('report-details').textContent = [
+    `In a recognized pose ${percent(report.poses.recognized)} of the time`,
+    `trembling in the Lazgi range ${percent(tremble.inBand)}` +
+      (tremble.frequency ? ` at ${tremble.frequency.toFixed(1)} Hz, ${percent(tremble.steadiness)} steady` : ''),
+    arms.height === null ? 'arms not seen' : `wrists ${percent(arms.height)} of your reach above the shoulders, ${percent(arms.symmetry)} symmetric`,
+    `hands moving ${energy.mean.toFixed(1)} palm lengths/s (peak ${energy.peak.toFixed(1)})`,
+    timing
+      ? `${timing.accents} accents, ${Math.abs(timing.offset)} ms ${timing.offset < 0 ? 'ahead of' : 'behind'} the beat on average (±${timing.spread} ms)`
+      : 'no timing (music was off)',
+    ...(report.rhythm
+      ? [`${report.rhythm.events} snaps, claps and flicks: ${report.rhythm.on} on the beat, ${report.rhythm.early} early, ${report.rhythm.late} late (rhythm ${percent(report.rhythm.score)})`]
+      : [])
+  ].join('; ') + '.';
+
+  document.getElementById('report-modal').classList.remove('hidden');
+}
+
+/**
+ * Progress dashboard: practice trends, personal bests and the streak,
+ * from the history kept on this device. Toggle with the H key.
+ */
+function setupProgress() {
+  const modal = document.getElementById('progress-modal');
+  const fileInput = document.getElementById('progress-file');
+  const status = document.getElementById('progress-status');
+
+  if (!modal) return;
+
+  progress.start();
+
+  const open = async () => {
+    status.textContent = '';
+    modal.classList.remove('hidden');
+    try {
+      await progress.save();
+      showProgress(summarizeHistory(await loadHistory()));
+    } catch (err) {
+      status.textContent = `Could not read history: ${err.message}`;
+    }
+  };
+
+  document.getElementById('btn-progress-close').addEventListener('click', () => modal.classList.add('hidden'));
+
+  modal.addEventListener('click', (e) => {
+    if (e.target === modal) modal.classList.add('hidden');
+  });
+
+  document.getElementById('btn-progress-export').addEventListener('click', async () => {
+    try {
+      const history = await exportHistory();
+      downloadJSON(history, `lazgi-progress-${history.exportedAt.slice(0, 10)}.json`);
+    } catch (err) {
+      status.textContent = `Export failed: ${err.message}`;
+    }
+  });
+
+  document.getElementById('btn-progress-import').addEventListener('click', () => fileInput.click());
+
+  fileInput.addEventListener('change', async () => {
+    const file = fileInput.files[0];
+    fileInput.value = '';
+    if (!file) return;
+
+    try {
+      const added = await importHistory(JSON.parse(await file.text()));
+      await open();
+      status.textContent = `Imported ${added} session${added === 1 ? '' : 's'} from ${file.name}`;
+    } catch (err) {
+      status.textContent = `Import failed: ${err.message}`;
+    }
+  });
+
+  document.getElementById('btn-progress-clear').addEventListener('click', async () => {
+    if (!confirm('Delete your whole practice history from this device?')) return;
+
+    try {
+      await clearHistory();
+      await open();
+      status.textContent = 'History cleared';
+    } catch (err) {
+      status.textContent = `Clear failed: ${err.message}`;
+    }
+  });
+
+  document.addEventListener('keydown', (e) => {
+    if (e.target.matches('input, select, textarea')) return;
+
+    if (e.key === 'h') {
+      if (modal.classList.contains('hidden')) open();
+      else modal.classList.add('hidden');
+    }
+    if (e.key === 'Escape') modal.classList.add('hidden');
+  });
+}
+
+function showProgress(summary) {
+  const { days, streak, personalBests } = summary;
+  const name = (id) => (getCurriculum().find(t => t.id === id) || { name: id }).name;
+  const shortDate = (date) => date.slice(5);
+  const labels = [shortDate(days[0].date), shortDate(days[days.length - 1].date)];
+
+  document.getElementById('progress-streak').textContent =
+    `${streak.current} day streak`;
+  document.getElementById('progress-summary').textContent =
+    `Longest streak ${streak.longest} days · ${Math.round(summary.totalMinutes)} minutes practised · ` +
+    `${summary.units.length} lesson unit${summary.units.length === 1 ? '' : 's'} passed`;
+
+  drawLineChart(document.getElementById('progress-minutes'), days, [
+    { key: 'minutes', label: 'Minutes', color: '#ffc107' }
+  ], { labels });
+
+  drawLineChart(document.getElementById('progress-scores'), days, [
+    { key: 'best', label: 'Best match', color: 'rgb(0, 131, 143)' }
+  ], { max: 1, labels });
+
+  const bests = Object.entries(personalBests).sort((a, b) => b[1].score - a[1].score);
+  drawBarChart(document.getElementById('progress-bests'), bests.map(([id, best]) => ({
+    label: name(id),
+    value: best.score
+  })));
+
+  document.getElementById('progress-mastered').textContent = summary.mastered.length
+    ? summary.mastered.map(name).join(', ')
+    : 'Hold a pose in Learn mode to master it';
+}
+
+/**
+ * Record Video button: counts down, then records the visualizer (over
+ * the camera feed if ticked) with music and synths to a WebM download.
+ */
+function setupVideoCapture() {
+  const btnVideo = document.getElementById('btn-video');
+  const includeCamera = document.getElementById('video-camera');
+  const countdown = document.getElementById('countdown');
+
+  if (!btnVideo) return;
+
+  if (!PerformanceRecorder.isSupported()) {
+    btnVideo.disabled = true;
+    btnVideo.title = 'Video recording is not supported in this browser';
+    return;
+  }
+
+  let capture = null;
+  let counting = false;
+  let startedAt = 0;
+  let timer = null;
+
+  btnVideo.addEventListener('click', async () => {
+    if (counting) return;
+
+    if (capture) {
+      clearInterval(timer);
+      try {
+        const blob = await capture.stop();
+        const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+        downloadBlob(blob, `lazgi-performance-${stamp}.webm`);
+      } catch (err) {
+        console.error('Failed to stop video recording:', err);
+        btnVideo.title = err.message;
+      } finally {
+        capture = null;
+        btnVideo.textContent = 'Record Video';
+        btnVideo.classList.remove('active');
+      }
+      return;
+    }
+
+    // Countdown so the dancer can get into position
+    counting = true;
+    countdown.classList.remove('hidden');
+    for (let n = 3; n > 0; n--) {
+      countdown.textContent = n;
+      await new Promise(resolve => setTimeout(resolve, 1000));
+    }
+    countdown.classList.add('hidden');
+    counting = false;
+
+    try {
+      capture = new PerformanceRecorder({
+        canvas: visualizer.canvas,
+        cameraVideo: document.getElementById('video-feed'),
+        soundEngine,
+        includeCamera: includeCamera.checked
+      });
+      capture.start();
+    } catch (err) {
+      capture = null;
+      console.error('Failed to start video recording:', err);
+      btnVideo.title = err.message;
+      return;
+    }
+
+    startedAt = performance.now();
+    btnVideo.classList.add('active');
+    const showElapsed = () => {
+      const seconds = Math.floor((performance.now() - startedAt) / 1000);
+      btnVideo.textContent = `Stop ${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+    };
+    showElapsed();
+    timer = setInterval(showElapsed, 500);
+  });
+}
+
+/**
+ * Synchrony panel: compare two tracked dancers, or the dancer against a
+ * landmark track extracted from the learn video (X panel, Extract Track).
+ * ?reference=./track.json loads one at start. Toggle with the Y key.
+ */
+function setupSynchrony() {
+  const panel = document.getElementById('sync-panel');
+  const modeSelect = document.getElementById('sync-mode');
+  const btnReference = document.getElementById('btn-sync-reference');
+  const fileInput = document.getElementById('sync-reference-file');
+  const limbs = document.getElementById('sync-limbs');
+  const status = document.getElementById('sync-status');
+
+  if (!panel) return;
+
+  modeSelect.addEventListener('change', () => setSyncMode(modeSelect.value));
+
+  btnReference.addEventListener('click', () => fileInput.click());
+
+  fileInput.addEventListener('change', async () => {
+    const file = fileInput.files[0];
+    if (!file) return;
+
+    try {
+      useReferenceTrack(JSON.parse(await file.text()), file.name);
+    } catch (err) {
+      status.textContent = `Load failed: ${err.message}`;
+    }
+    fileInput.value = '';
+  });
+
+  const params = new URLSearchParams(window.location.search);
+  if (params.has('reference')) {
+    fetch(params.get('reference'))
+      .then(response => {
+        if (!response.ok) throw new Error(`Failed to load reference (${response.status})`);
+        return response.json();
+      })
+      .then(track => useReferenceTrack(track, params.get('reference')))
+      .catch(err => console.error('Failed to load reference track:', err));
+  }
+
+  document.addEventListener('keydown', (e) => {
+    if (e.target.matches('input, select, textarea')) return;
+
+    if (e.key === 'y') {
+      panel.classList.toggle('hidden');
+    }
+  });
+}
+
+/**
+ * Side by side Learn mode: the reference dancer on the left with the
+ * skeleton from their reference track drawn over them, the dancer's own
+ * skeleton on the right, and a live similarity readout. A section can be
+ * looped and slowed down to drill a phrase. Toggle with the B key.
+ */
+function setupSplitView() {
+  const learnVideo = document.getElementById('learn-video');
+  const btnSplit = document.getElementById('btn-split');
+  const btnLoopStart = document.getElementById('btn-loop-start');
+  const btnLoopEnd = document.getElementById('btn-loop-end');
+  const btnLoopClear = document.getElementById('btn-loop-clear');
+  const speedSelect = document.getElementById('split-speed');
+  const btnReference = document.getElementById('btn-split-reference');
+
+  if (!btnSplit || !learnVideo) return;
+
+  btnSplit.addEventListener('click', () => setSplitView(!state.splitView));
+
+  btnLoopStart.addEventListener('click', () => {
+    state.loop.start = learnVideo.currentTime;
+    if (state.loop.end !== null && state.loop.end <= state.loop.start) state.loop.end = null;
+    showLoopRange();
+  });
+
+  btnLoopEnd.addEventListener('click', () => {
+    if (learnVideo.currentTime <= (state.loop.start || 0)) return;
+    state.loop.end = learnVideo.currentTime;
+    learnVideo.currentTime = state.loop.start || 0;
+    showLoopRange();
+  });
+
+  btnLoopClear.addEventListener('click', () => {
+    state.loop = { start: null, end: null };
+    showLoopRange();
+  });
+
+  // Slow motion keeps the music's pitch
+  speedSelect.addEventListener('change', () => {
+    learnVideo.preservesPitch = true;
+    learnVideo.playbackRate = Number(speedSelect.value);
+  });
+
+  // Same loader as the synchrony panel
+  btnReference.addEventListener('click', () => document.getElementById('sync-reference-file').click());
+
+  // Outside the split view (e.g. a lesson's video segment) the loop is
+  // kept at the video's own time updates
+  learnVideo.addEventListener('timeupdate', keepLoop);
+  learnVideo.addEventListener('loadedmetadata', placeSplitOverlay);
+  window.addEventListener('resize', placeSplitOverlay);
+
+  document.addEventListener('keydown', (e) => {
+    if (e.target.matches('input, select, textarea')) return;
+
+    if (e.key === 'b') {
+      setSplitView(!state.splitView);
+    }
+  });
+}
+
+function setSplitView(enabled) {
+  const learnVideo = document.getElementById('learn-video');
+
+  state.splitView = enabled;
+  document.body.classList.toggle('split-view', enabled);
+  document.getElementById('split-controls').classList.toggle('hidden', !enabled);
+  document.getElementById('btn-split').classList.toggle('active', enabled);
+  visualizer.setSplitView(enabled);
+
+  if (enabled) {
+    if (state.mode !== 'learn') document.getElementById('btn-learn').click();
+    if (referenceTrack) setSyncMode('reference');
+    placeSplitOverlay();
+    requestAnimationFrame(updateSplitView);
+  } else {
+    if (!state.adaptiveTempo) {
+      learnVideo.playbackRate = 1;
+      document.getElementById('split-speed').value = '1';
+    }
+    state.loop = { start: null, end: null };
+    showLoopRange();
+  }
+}
+
+/**
+ * Every displayed frame of the split view: draw the reference skeleton
+ * at the video's time and jump back when the loop ends
+ */
+function updateSplitView() {
+  if (!state.splitView) return;
+
+  const learnVideo = document.getElementById('learn-video');
+  keepLoop();
+
+  const frame = referenceTrack ? frameAt(referenceTrack, learnVideo.currentTime * 1000) : null;
+  drawFrameOverlay(document.getElementById('split-overlay'), frame ? tracker.buildResult(frame, frame.t) : null);
+  requestAnimationFrame(updateSplitView);
+}
+
+/**
+ * Jump back to the loop start once the learn video passes its end
+ */
+function keepLoop() {
+  const learnVideo = document.getElementById('learn-video');
+  const { start, end } = state.loop;
+  if (end !== null && learnVideo.currentTime >= end) {
+    learnVideo.currentTime = start || 0;
+  }
+}
+
+/**
+ * Fit the overlay to the picture inside the letterboxed learn video
+ */
+function placeSplitOverlay() {
+  const learnVideo = document.getElementById('learn-video');
+  const overlay = document.getElementById('split-overlay');
+  if (!learnVideo.videoWidth) return;
+
+  const box = learnVideo.getBoundingClientRect();
+  const scale = Math.min(box.width / learnVideo.videoWidth, box.height / learnVideo.videoHeight);
+  const width = learnVideo.videoWidth * scale;
+  const height = learnVideo.videoHeight * scale;
+
+  overlay.width = learnVideo.videoWidth;
+  overlay.height = learnVideo.videoHeight;
+  overlay.style.left = `${box.left + (box.width - width) / 2}px`;
+  overlay.style.top = `${box.top + (box.height - height) / 2}px`;
+  overlay.style.width = `${width}px`;
+  overlay.style.height = `${height}px`;
+}
+
+function showLoopRange() {
+  const { start, end } = state.loop;
+  document.getElementById('split-loop').textContent = start === null && end === null
+    ? ''
+    : `${start === null ? '0:00' : formatTime(start)} - ${end === null ? 'end' : formatTime(end)}`;
+}
+
+/**
+ * Adaptive tempo button: Learn mode starts each lesson slowed down and
+ * speeds up as the learner keeps up (see tempo.js). Toggle with the T key.
+ */
+function setupTempo() {
+  const btnTempo = document.getElementById('btn-tempo');
+  if (!btnTempo) return;
+
+  btnTempo.addEventListener('click', () => setAdaptiveTempo(!state.adaptiveTempo));
+
+  document.addEventListener('keydown', (e) => {
+    if (e.target.matches('input, select, textarea')) return;
+
+    if (e.key === 't') {
+      setAdaptiveTempo(!state.adaptiveTempo);
+    }
+  });
+}
+
+function setAdaptiveTempo(enabled) {
+  state.adaptiveTempo = enabled;
+  document.getElementById('btn-tempo').classList.toggle('active', enabled);
+
+  // The tempo drives the speed; the manual speed menu waits
+  const speedSelect = document.getElementById('split-speed');
+  speedSelect.disabled = enabled;
+  speedSelect.value = '1';
+
+  if (enabled) {
+    if (state.mode !== 'learn') document.getElementById('btn-learn').click();
+    tempoAdapter.configure(coach.currentTemplate && coach.currentTemplate.tempo);
+    applyTempo(tempoAdapter.rate);
+  } else {
+    applyTempo(1);
+  }
+}
+
+/**
+ * Play the learn video and music at this rate, keeping their pitch
+ */
+function applyTempo(rate) {
+  const learnVideo = document.getElementById('learn-video');
+  learnVideo.preservesPitch = true;
+  learnVideo.playbackRate = rate;
+  soundEngine.setPlaybackRate(rate);
+
+  document.getElementById('btn-tempo').textContent = state.adaptiveTempo
+    ? `Adaptive Tempo: ${Math.round(rate * 100)}%`
+    : 'Adaptive Tempo: Off';
+}
+
+/**
+ * Lessons panel: the sequential awakening course, unit by unit. A unit
+ * opens once the one before it is passed; its steps run through the
+ * Learn mode coach, and each step can loop a segment of the learn
+ * video. Toggle with the U key.
+ */
+function setupLessons() {
+  const panel = document.getElementById('lesson-panel');
+  const btnStop = document.getElementById('btn-lesson-stop');
+  const btnReset = document.getElementById('btn-lesson-reset');
+  const status = document.getElementById('lesson-status');
+
+  if (!panel) return;
+
+  loadCourse()
+    .then((loaded) => {
+      course = loaded;
+      renderLessons();
+    })
+    .catch((err) => {
+      console.error('Failed to load course:', err);
+      status.textContent = err.message;
+    });
+
+  btnStop.addEventListener('click', stopLesson);
+
+  btnReset.addEventListener('click', () => {
+    if (!course) return;
+    stopLesson();
+    resetProgress(course.id);
+    renderLessons();
+    status.textContent = 'Progress reset';
+  });
+
+  document.addEventListener('keydown', (e) => {
+    if (e.target.matches('input, select, textarea')) return;
+
+    if (e.key === 'u') {
+      panel.classList.toggle('hidden');
+    }
+  });
+}
+
+/**
+ * List the course's units: done, open (click to start) or locked
+ */
+function renderLessons() {
+  const list = document.getElementById('lesson-units');
+  if (!course || !list) return;
+
+  const completed = loadProgress(course.id);
+  document.getElementById('lesson-course').textContent = course.name;
+  list.innerHTML = '';
+
+  course.units.forEach((unit, i) => {
+    const item = document.createElement('li');
+    const unlocked = isUnlocked(course, i, completed);
+    const done = completed.includes(unit.id);
+
+    item.textContent = `${unit.name}${done ? ' \u2713' : ''}`;
+    item.title = unlocked ? unit.text : 'Pass the unit before this one first';
+    item.classList.toggle('locked', !unlocked);
+    item.classList.toggle('active', state.lesson !== null && state.lesson.unitIndex === i);
+    item.addEventListener('click', () => startUnit(i));
+    list.appendChild(item);
+  });
+
+  document.getElementById('btn-lesson-stop').disabled = state.lesson === null;
+}
+
+function startUnit(index) {
+  const status = document.getElementById('lesson-status');
+  const unit = course.units[index];
+
+  if (!isUnlocked(course, index, loadProgress(course.id))) {
+    status.textContent = `Pass "${course.units[index - 1].name}" to open this unit`;
+    return;
+  }
+
+  let curriculum;
+  try {
+    curriculum = unitCurriculum(unit);
+  } catch (err) {
+    status.textContent = err.message;
+    return;
+  }
+
+  if (state.mode !== 'learn') document.getElementById('btn-learn').click();
+
+  state.lesson = { unitIndex: index };
+  coach.setCurriculum(curriculum);
+  showCurrentTemplate();
+  playStepVideo();
+
+  document.getElementById('mode-indicator').textContent = unit.name;
+  status.textContent = unit.text || '';
+  renderLessons();
+}
+
+/**
+ * Loop the current step's learn video segment, if it has one
+ */
+function playStepVideo() {
+  const learnVideo = document.getElementById('learn-video');
+  const template = coach.currentTemplate;
+
+  if (template && template.video) {
+    state.loop = { start: template.video.start, end: template.video.end ?? null };
+    learnVideo.currentTime = template.video.start;
+    learnVideo.play();
+  } else {
+    state.loop = { start: null, end: null };
+  }
+  showLoopRange();
+}
+
+/**
+ * The unit's last step was passed: record it and move on to the next
+ * unit, or finish the course
+ */
+function finishUnit() {
+  const unit = course.units[state.lesson.unitIndex];
+  const next = state.lesson.unitIndex + 1;
+  markUnitComplete(course.id, unit.id);
+  if (isPractice()) progress.recordUnit(unit.id);
+  console.log(`Unit complete: ${unit.name}`);
+
+  if (next < course.units.length) {
+    startUnit(next);
+    document.getElementById('lesson-status').textContent = `${unit.name} passed! Next: ${course.units[next].text}`;
+  } else {
+    stopLesson();
+    document.getElementById('mode-indicator').textContent = 'Course complete!';
+    document.getElementById('lesson-status').textContent = `${course.name} complete!`;
+  }
+}
+
+/**
+ * Leave the course and go back to the free curriculum
+ */
+function stopLesson() {
+  if (state.lesson) refreshCurriculum();
+}
+
+/**
+ * Switch what the synchrony meter compares ('off', 'dancers' or 'reference')
+ */
+function setSyncMode(mode) {
+  const status = document.getElementById('sync-status');
+
+  state.syncMode = mode;
+  document.getElementById('sync-mode').value = mode;
+  document.getElementById('sync-limbs').textContent = '';
+  syncMeter.reset();
+  visualizer.setSynchrony(null);
+
+  if (mode === 'dancers' && tracker.maxDancers < 2) {
+    status.textContent = 'Track two or more dancers in the video source panel (V)';
+  } else if (mode === 'reference' && !referenceTrack) {
+    status.textContent = 'Load a reference track first';
+  } else {
+    status.textContent = '';
+  }
+}
+
+/**
+ * Compare the dancer against this track (extracted from the learn video)
+ */
+function useReferenceTrack(track, name) {
+  referenceTrack = validateTrack(track);
+  setSyncMode('reference');
+  document.getElementById('sync-status').textContent =
+    `Reference: ${name} (${formatTime(referenceTrack.duration / 1000)})`;
+}
+
+/**
+ * Calibration panel: pick the dancer, then T-pose, arms up and open palm
+ * to measure their body. The profile is saved per dancer and scoring is
+ * normalized to it. Toggle with the C key.
+ */
+function setupCalibration() {
+  const panel = document.getElementById('calibration-panel');
+  const userInput = document.getElementById('calibration-user');
+  const userList = document.getElementById('calibration-users');
+  const profileText = document.getElementById('calibration-profile');
+  const btnCalibrate = document.getElementById('btn-calibrate');
+  const btnSkip = document.getElementById('btn-calibration-skip');
+  const status = document.getElementById('calibration-status');
+  const guidance = document.getElementById('guidance');
+  const countdown = document.getElementById('countdown');
+
+  if (!panel) return;
+
+  const showProfile = (profile) => {
+    tracker.setCalibration(profile);
+    profileText.textContent = profile
+      ? `Arms ${profile.armLength.toFixed(2)}, reach ${profile.reach.toFixed(2)}, ` +
+        `palm ${profile.handSize.toFixed(2)} shoulder widths ` +
+        `(calibrated ${new Date(profile.calibratedAt).toLocaleDateString()})`
+      : 'Not calibrated: scoring assumes an average body';
+  };
+
+  const listUsers = () => {
+    const { current, profiles } = loadProfiles();
+    userList.innerHTML = '';
+    for (const name of Object.keys(profiles)) {
+      const option = document.createElement('option');
+      option.value = name;
+      userList.appendChild(option);
+    }
+    if (current) userInput.value = current;
+  };
+
+  const prompt = (text) => {
+    guidance.textContent = text;
+    guidance.classList.toggle('hidden', !text);
+  };
+
+  listUsers();
+  showProfile(getProfile());
+
+  userInput.addEventListener('change', () => {
+    showProfile(setCurrentUser(userInput.value.trim()));
+  });
+
+  btnCalibrate.addEventListener('click', async () => {
+    if (calibrator.isMeasuring) return;
+
+    const name = userInput.value.trim();
+    if (!name) {
+      status.textContent = 'Enter your name first';
+      return;
+    }
+
+    btnCalibrate.disabled = true;
+    state.calibrating = true;
+    const measurements = {};
+
+    try {
+      for (const step of CALIBRATION_STEPS) {
+        // Countdown so the dancer can get into position
+        prompt(step.prompt);
+        countdown.classList.remove('hidden');
+        for (let n = 3; n > 0; n--) {
+          status.textContent = `${step.prompt}... ${n}`;
+          countdown.textContent = n;
+          await new Promise(resolve => setTimeout(resolve, 1000));
+        }
+        countdown.classList.add('hidden');
+
+        status.textContent = `${step.prompt}, and hold still...`;
+        measurements[step.id] = await calibrator.measure(step.id);
+      }
+
+      const profile = createProfile(name, measurements);
+      saveProfile(profile);
+      listUsers();
+      showProfile(profile);
+      status.textContent = `Calibrated for ${name}`;
+    } catch (err) {
+      status.textContent = err.message;
+    } finally {
+      countdown.classList.add('hidden');
+      prompt('');
+      state.calibrating = false;
+      btnCalibrate.disabled = false;
+    }
+  });
+
+  btnSkip.addEventListener('click', () => {
+    calibrator.cancel();
+    panel.classList.add('hidden');
+  });
+
+  document.addEventListener('keydown', (e) => {
+    if (e.target.matches('input, select, textarea')) return;
+
+    if (e.key === 'c') {
+      panel.classList.toggle('hidden');
+      if (panel.classList.contains('hidden')) calibrator.cancel();
+    }
+  });
+}
+
+/**
+ * On the first switch into Learn or Perform, suggest calibrating if the
+ * current dancer hasn't yet
+ */
+function offerCalibration() {
+  const panel = document.getElementById('calibration-panel');
+  if (!panel || !tracker || state.calibrationOffered || tracker.calibration) return;
+
+  state.calibrationOffered = true;
+  panel.classList.remove('hidden');
+  document.getElementById('calibration-status').textContent =
+    'Calibrate so scoring fits your body: T-pose, arms up, then an open palm';
+}
+
+/**
+ * Initial source from the URL, e.g. ?track=./my-track.json&realtime=0,
+ * ?video=./clip.mp4 or ?camera=<deviceId>&resolution=720p. Null means
+ * the tracker's default webcam.
+ */
+async function sourceFromQuery() {
+  const params = new URLSearchParams(window.location.search);
+
+  if (params.has('track')) {
+    return LandmarkSource.load(params.get('track'), { realtime: params.get('realtime') !== '0' });
+  }
+  if (params.has('video')) {
+    return new VideoFileSource({ file: params.get('video') });
+  }
+
+  if (params.has('camera') || params.has('resolution')) {
+    const resolution = RESOLUTIONS[params.get('resolution')] || RESOLUTIONS['480p'];
+    return new WebcamSource({ deviceId: params.get('camera'), ...resolution });
+  }
+
+  return null;
+}
+
+/**
+ * Source panel: pick a camera and resolution, or feed the tracker a
+ * video file, an image sequence or a recorded landmark track, and tune
+ * landmark smoothing. Toggle with the V key.
+ */
+function setupSources() {
+  const panel = document.getElementById('source-panel');
+  const cameraSelect = document.getElementById('source-camera');
+  const resolutionSelect = document.getElementById('source-resolution');
+  const realtime = document.getElementById('source-realtime');
+  const status = document.getElementById('source-status');
+  const dancersSelect = document.getElementById('source-dancers');
+  const dancerVoices = document.getElementById('source-dancer-voices');
+
+  if (!panel) return;
+
+  dancersSelect.value = String(tracker.maxDancers);
+  dancersSelect.addEventListener('change', async () => {
+    const count = Number(dancersSelect.value);
+    status.textContent = count > 1 ? 'Loading group tracking...' : '';
+    try {
+      await tracker.setMaxDancers(count);
+      status.textContent = count > 1 ? `Tracking up to ${count} dancers` : 'Tracking one dancer';
+    } catch (err) {
+      console.error('Failed to switch dancer count:', err);
+      status.textContent = `Group tracking unavailable: ${err.message}`;
+    }
+  });
+
+  dancerVoices.addEventListener('change', () => {
+    soundEngine.setDancerVoices(dancerVoices.checked);
+  });
+
+  const use = async (createSource) => {
+    status.textContent = 'Opening...';
+    try {
+      const source = await createSource();
+      await setTrackerSource(source);
+      status.textContent = `Tracking from ${source.kind}`;
+    } catch (err) {
+      status.textContent = err.message;
+    }
+  };
+
+  // Device labels need camera permission, so list them when opened
+  const listCameras = async () => {
+    try {
+      const cameras = await WebcamSource.listDevices();
+      const selected = cameraSelect.value;
+      cameraSelect.innerHTML = '';
+      for (const camera of cameras) {
+        cameraSelect.add(new Option(camera.label, camera.deviceId));
+      }
+      if (selected) cameraSelect.value = selected;
+    } catch (err) {
+      status.textContent = err.message;
+    }
+  };
+
+  document.getElementById('btn-source-camera').addEventListener('click', () => {
+    use(() => new WebcamSource({
+      deviceId: cameraSelect.value || null,
+      ...RESOLUTIONS[resolutionSelect.value]
+    }));
+  });
+
+  // Each file button opens its hidden file input
+  const fileButton = (buttonId, inputId, createSource) => {
+    const input = document.getElementById(inputId);
+    document.getElementById(buttonId).addEventListener('click', () => input.click());
+    input.addEventListener('change', () => {
+      if (input.files.length > 0) {
+        const files = [...input.files];
+        use(() => createSource(files));
+      }
+      input.value = '';
+    });
+  };
+
+  // Smoothing: tune cutoff/beta for the visuals (main output) or scoring
+  const smoothingProfile = document.getElementById('smoothing-profile');
+  const cutoffInput = document.getElementById('smoothing-cutoff');
+  const betaInput = document.getElementById('smoothing-beta');
+  const smoothingValues = document.getElementById('smoothing-values');
+
+  const currentSmoothing = () => {
+    const smoother = smoothingProfile.value === 'visuals'
+      ? tracker.smoother
+      : tracker.profiles[smoothingProfile.value];
+    return smoother ? smoother.options : SMOOTHING_PRESETS[smoothingProfile.value];
+  };
+
+  const showSmoothing = () => {
+    const { minCutoff, beta } = currentSmoothing();
+    cutoffInput.value = minCutoff;
+    betaInput.value = beta;
+    smoothingValues.textContent = `${minCutoff} Hz, beta ${beta}`;
+  };
+
+  const applySmoothing = () => {
+    const options = { minCutoff: Number(cutoffInput.value), beta: Number(betaInput.value) };
+    if (smoothingProfile.value === 'visuals') {
+      tracker.setSmoothing({ ...currentSmoothing(), ...options });
+    } else {
+      tracker.setProfile(smoothingProfile.value, { ...currentSmoothing(), ...options });
+    }
+    showSmoothing();
+  };
+
+  smoothingProfile.addEventListener('change', showSmoothing);
+  cutoffInput.addEventListener('input', applySmoothing);
+  betaInput.addEventListener('input', applySmoothing);
+
+  fileButton('btn-source-video', 'source-video-file', ([file]) => new VideoFileSource({ file }));
+  fileButton('btn-source-images', 'source-images-file', (files) => new ImageSequenceSource({ files }));
+  fileButton('btn-source-track', 'source-track-file', ([file]) => LandmarkSource.load(file, {
+    realtime: realtime.checked
+  }));
+
+  document.addEventListener('keydown', (e) => {
+    if (e.target.matches('input, select, textarea')) return;
+
+    if (e.key === 'v') {
+      panel.classList.toggle('hidden');
+      if (!panel.classList.contains('hidden')) {
+        listCameras();
+        showSmoothing();
+      }
+    }
+  });
+}
+
 // Wait for MediaPipe Holistic to load
 function waitForMediaPipe(maxWait = 10000) {
   return new Promise((resolve, reject) => {
@@ -312,7 +2276,9 @@ function waitForMediaPipe(maxWait = 10000) {
 
 // Start the application after MediaPipe is ready
 console.log('Waiting for MediaPipe CDN scripts...');
-waitForMediaPipe()
+// A recorded landmark track doesn't need the model
+const needsModel = !new URLSearchParams(window.location.search).has('track');
+(needsModel ? waitForMediaPipe() : Promise.resolve())
   .then(() => init())
   .catch((err) => {
     console.error(err);
@@ -0,0 +1,143 @@
+/**
+ * Adaptive Arrangement
+ *
+ * Lazgi music starts slow and accelerates into a frenzy. The arrangement
+ * follows the dancer there: the synthesized music moves through three
+ * sections, introduction, build and climax, when the dancer's energy and
+ * tremble carry it, and the tempo climbs with them.
+ *
+ * - Intensity: hand energy and tremble (each 0-1), averaged over a few
+ *   seconds so one quick gesture doesn't change the music
+ * - Sections: advance one at a time once intensity has stayed above the
+ *   section's `advance` level for `hold` ms, fall back after staying below
+ *   `retreat` for twice that
+ * - Tempo: within a section's BPM range by intensity, and only ever
+ *   climbing or easing gradually (RAMP_UP / RAMP_DOWN BPM a second)
+ *
+ * The section tells SoundEngine which doira strokes, drone and finger
+ * note grid to play; this module only decides.
+ */
+
+// Lazgi's 6/8 meter, as beats a bar: the doira pattern fills one bar,
+// and the beat tracker groups the recording's beats into bars this long
+export const BEATS_PER_BAR = 6;
+
+export const SECTIONS = [
+  {
+    name: 'introduction',
+    bpm: [70, 90],
+    advance: 0.3,
+    retreat: 0,
+    hold: 4000,
+    noteGrid: '4n',  // Finger synth notes land on this grid
+    drone: -22       // dB
+  },
+  {
+    name: 'build',
+    bpm: [90, 130],
+    advance: 0.55,
+    retreat: 0.2,
+    hold: 5000,
+    noteGrid: '8n',
+    drone: -18
+  },
+  {
+    name: 'climax',
+    bpm: [130, 170],
+    advance: Infinity,
+    retreat: 0.4,
+    hold: 4000,
+    noteGrid: '16n',
+    drone: -14
+  }
+];
+
+// How much each measure counts toward intensity
+const ENERGY_WEIGHT = 0.6;
+const TREMBLE_WEIGHT = 0.4;
+
+// Intensity averaging time constant (ms)
+const SMOOTHING = 2500;
+
+// Tempo change limits (BPM per second): Lazgi speeds up, it rarely brakes
+const RAMP_UP = 3;
+const RAMP_DOWN = 1.5;
+
+export class Arrangement {
+  constructor({ sections = SECTIONS } = {}) {
+    this.sections = sections;
+    this.reset();
+  }
+
+  reset() {
+    this.index = 0;
+    this.intensity = 0;
+    this.bpm = this.sections[0].bpm[0];
+    this.lastTime = null;
+    this.aboveSince = null;
+    this.belowSince = null;
+  }
+
+  get section() {
+    return this.sections[this.index];
+  }
+
+  /**
+   * One frame of the dancer's movement
+   *
+   * @param {number} energy - Hand speed (0-1)
+   * @param {number} tremble - Tremble intensity (0-1)
+   * @param {number} timestamp - ms
+   * @returns {Object} { section, index, bpm, intensity, changed }
+   */
+  update(energy, tremble, timestamp = performance.now()) {
+    // A timestamp that went backwards (a new source, a looping track) is no
+    // time, and the section holds start over on the new timeline
+    if (this.lastTime !== null && timestamp < this.lastTime) {
+      this.aboveSince = null;
+      this.belowSince = null;
+    }
+    const dt = this.lastTime === null ? 0 : Math.max(0, Math.min(timestamp - this.lastTime, 1000));
+    this.lastTime = timestamp;
+
+    const level = Math.min(1, ENERGY_WEIGHT * energy + TREMBLE_WEIGHT * tremble);
+    this.intensity += (level - this.intensity) * (1 - Math.exp(-dt / SMOOTHING));
+
+    const changed = this.updateSection(timestamp);
+
+    // Tempo target within the section's range, approached gradually
+    const [low, high] = this.section.bpm;
+    const progress = Math.min(1, Math.max(0, (this.intensity - this.section.retreat) /
+      ((Number.isFinite(this.section.advance) ? this.section.advance : 1) - this.section.retreat)));
+    const target = low + (high - low) * progress;
+    const step = (target > this.bpm ? RAMP_UP : RAMP_DOWN) * dt / 1000;
+    this.bpm += Math.max(-step, Math.min(step, target - this.bpm));
+
+    return { section: this.section, index: this.index, bpm: this.bpm, intensity: this.intensity, changed };
+  }
+
+  /**
+   * Move up or down a section when intensity has stayed past a threshold
+   */
+  updateSection(timestamp) {
+    const { advance, retreat, hold } = this.section;
+
+    this.aboveSince = this.intensity > advance ? (this.aboveSince ?? timestamp) : null;
+    this.belowSince = this.intensity < retreat ? (this.belowSince ?? timestamp) : null;
+
+    if (this.aboveSince !== null && timestamp - this.aboveSince >= hold && this.index < this.sections.length - 1) {
+      return this.goTo(this.index + 1);
+    }
+    if (this.belowSince !== null && timestamp - this.belowSince >= hold * 2 && this.index > 0) {
+      return this.goTo(this.index - 1);
+    }
+    return false;
+  }
+
+  goTo(index) {
+    this.index = index;
+    this.aboveSince = null;
+    this.belowSince = null;
+    return true;
+  }
+}
@@ -0,0 +1,169 @@
+/**
+ * Template Authoring Module
+ *
+ * Captures the dancer's current pose from HolisticTracker output and turns
+ * it into templates. Frames are averaged over a short hold to smooth out
+ * tracking jitter, then saved as a hand template and (when the pose was
+ * tracked) a matching full-body template.
+ */
+
+import { uniqueId } from './library.js';
+
+// Weights for body templates created from a capture
+const BODY_WEIGHTS = { hand: 0.4, arms: 0.4, torso: 0.2 };
+
+export class PoseRecorder {
+  constructor({
+    holdDuration = 1500, // ms of frames averaged into one capture
+    minCoverage = 0.5    // Fraction of frames a hand must appear in
+  } = {}) {
+    this.holdDuration = holdDuration;
+    this.minCoverage = minCoverage;
+    this.pending = null;
+  }
+
+  get isCapturing() {
+    return this.pending !== null;
+  }
+
+  /**
+   * Start collecting frames. Resolves with the averaged capture once
+   * holdDuration of frames has been seen.
+   */
+  capture() {
+    if (this.pending) {
+      return Promise.reject(new Error('A capture is already running'));
+    }
+
+    return new Promise((resolve, reject) => {
+      this.pending = { resolve, reject, start: null, frames: [] };
+    });
+  }
+
+  cancel() {
+    if (!this.pending) return;
+    this.pending.reject(new Error('Capture cancelled'));
+    this.pending = null;
+  }
+
+  /**
+   * Feed a tracking frame ({ hands, pose }). Call every frame.
+   */
+  addFrame(data, timestamp = performance.now()) {
+    const pending = this.pending;
+    if (!pending) return;
+
+    if (pending.start === null) pending.start = timestamp;
+    pending.frames.push(data);
+
+    if (timestamp - pending.start < this.holdDuration) return;
+
+    this.pending = null;
+    try {
+      pending.resolve(this.average(pending.frames));
+    } catch (err) {
+      pending.reject(err);
+    }
+  }
+
+  /**
+   * Average hand landmarks and arm/torso metrics across frames
+   */
+  average(frames) {
+    const hands = {};
+
+    for (const side of ['Left', 'Right']) {
+      const samples = frames
+        .map(f => (f.hands || []).find(h => h.handedness === side))
+        .filter(Boolean);
+
+      if (samples.length < frames.length * this.minCoverage) continue;
+
+      hands[side] = {
+        aspect: mean(samples.map(h => h.aspect || 1)),
+        landmarks: samples[0].landmarks.map((_, i) => ({
+          x: mean(samples.map(h => h.landmarks[i].x)),
+          y: mean(samples.map(h => h.landmarks[i].y)),
+          z: mean(samples.map(h => h.landmarks[i].z || 0))
+        })),
+        frames: samples.length
+      };
+    }
+
+    if (Object.keys(hands).length === 0) {
+      throw new Error('No hand held steady during capture');
+    }
+
+    const poses = frames.map(f => f.pose).filter(Boolean);
+    let pose = null;
+
+    if (poses.length >= frames.length * this.minCoverage) {
+      const arm = (side) => ({
+        armAngle: mean(poses.map(p => p[side].armAngle)),
+        wristHeight: mean(poses.map(p => p[side].wristHeight))
+      });
+
+      pose = {
+        left: arm('left'),
+        right: arm('right'),
+        torsoTilt: mean(poses.map(p => p.torsoTilt))
+      };
+    }
+
+    return { hands, pose, frameCount: frames.length };
+  }
+}
+
+/**
+ * Build templates from a capture.
+ *
+ * @param {Object} capture - Result of PoseRecorder.capture()
+ * @param {Object} details - { name, description, category, hand, includeBody,
+ *   reserved (ids already given out in the same batch, see uniqueId) }
+ * @returns {{ template: Object, bodyTemplate: Object|null }}
+ */
+export function createTemplates(capture, { name, description = '', category = 'custom', hand, includeBody = true, reserved = null }) {
+  if (!name) throw new Error('Give the pose a name first');
+
+  const side = hand || (capture.hands.Right ? 'Right' : 'Left');
+  const captured = capture.hands[side];
+  if (!captured) throw new Error(`No ${side.toLowerCase()} hand in the capture`);
+
+  const template = {
+    id: uniqueId(name, reserved),
+    name,
+    description,
+    category,
+    hand: side,
+    aspect: round(captured.aspect),
+    landmarks: captured.landmarks.map(lm => ({ x: round(lm.x), y: round(lm.y), z: round(lm.z) }))
+  };
+
+  let bodyTemplate = null;
+  if (includeBody && capture.pose) {
+    const arm = (a) => ({
+      angle: Math.round(a.armAngle * 180 / Math.PI),
+      wristHeight: round(a.wristHeight)
+    });
+
+    bodyTemplate = {
+      id: uniqueId(`${name} body`, reserved),
+      name: `${name} (full body)`,
+      description,
+      category,
+      hand: { template: template.id, side, weight: BODY_WEIGHTS.hand },
+      arms: { left: arm(capture.pose.left), right: arm(capture.pose.right), weight: BODY_WEIGHTS.arms },
+      torso: { tilt: round(capture.pose.torsoTilt), weight: BODY_WEIGHTS.torso }
+    };
+  }
+
+  return { template, bodyTemplate };
+}
+
+function mean(values) {
+  return values.reduce((sum, v) => sum + v, 0) / values.length;
+}
+
+function round(value) {
+  return Math.round(value * 10000) / 10000;
+}
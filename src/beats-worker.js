@@ -0,0 +1,16 @@
+/**
+ * Beat analysis off the main thread (decoding has to happen on it, the
+ * analysis doesn't): receives { drums, mix, reference, beatsPerBar },
+ * replies with { analysis } or { error }
+ */
+
+import { analyzeBeats } from './beats.js';
+
+self.onmessage = (event) => {
+  const { drums, mix, reference, beatsPerBar } = event.data;
+  try {
+    self.postMessage({ analysis: analyzeBeats({ drums, mix, reference }, { beatsPerBar }) });
+  } catch (err) {
+    self.postMessage({ error: err.message });
+  }
+};
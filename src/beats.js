@@ -0,0 +1,649 @@
+/**
+ * Beat Tracking Module
+ *
+ * Finds the beats and downbeats of the recorded Lazgi music when the app
+ * loads, and runs a beat clock off the music player's position that the
+ * visualizer, the scorer and the synths subscribe to.
+ *
+ * Lazgi speeds up as it goes, so the tempo isn't assumed constant:
+ *
+ * 1. Onset strength: spectral flux of the drum stem plus the full mix
+ *    (half weight), at about 86 frames a second
+ * 2. Tempo curve: autocorrelation of the onsets in overlapping 6 s
+ *    windows, with a Viterbi path through the candidate tempos so the
+ *    curve can accelerate but not jump an octave
+ * 3. Beats: dynamic programming (Ellis 2007) that rewards onsets and
+ *    spacing close to the local tempo
+ * 4. Downbeats: the bar phase whose beats carry the most low-frequency
+ *    (dum) energy in the drum stem
+ *
+ * The stems have cleaner onsets than the music player's soundtrack (the
+ * performance video), but don't start where it does. So the player's
+ * audio is decoded too, and its onset envelope cross-correlated with the
+ * mix stem's: `offset` is how far into the player the stems begin, and
+ * BeatClock adds it to every time in the analysis. If the player's audio
+ * can't be loaded, the stems are taken to start with it (offset 0). Bars
+ * are the arrangement's (BEATS_PER_BAR).
+ *
+ * The analysis runs in a worker when the app loads (a few seconds, once)
+ * and is cached in localStorage. Times are in stem seconds:
+ *
+ *   { version, beats: [s], downbeats: [s], beatsPerBar,
+ *     tempo: [{ time, bpm }], duration, offset }
+ */
+
+import { BEATS_PER_BAR } from './arrangement.js';
+
+export const BEAT_SOURCES = {
+  drums: './assets/audio/lazgi-drums.mp3',
+  mix: './assets/audio/lazgi-trimmed.mp3'
+};
+
+const ANALYSIS_VERSION = 2;
+const CACHE_KEY = 'lazgi-beats';
+
+const SAMPLE_RATE = 22050;
+const FRAME_SIZE = 1024;
+const HOP = 256;
+const FRAME_RATE = SAMPLE_RATE / HOP;
+
+// Tempo search range (BPM) and the prior's centre, in case of octave doubt
+const MIN_BPM = 60;
+const MAX_BPM = 200;
+const PREFERRED_BPM = 120;
+
+// Tempo curve windows (s)
+const TEMPO_WINDOW = 6;
+const TEMPO_HOP = 1;
+
+// How hard the beat path holds to the local tempo
+const TIGHTNESS = 100;
+
+// Below this frequency (Hz) a drum hit counts as a "dum"
+const LOW_BAND = 150;
+
+// Lining the stems up with the player: coarse search in blocks of this
+// many frames, over lags that overlap at least ALIGN_MIN_OVERLAP s, and
+// the best lag must beat the runner-up (ALIGN_SEPARATION s or more away)
+// by ALIGN_MIN_RATIO
+const ALIGN_BLOCK = 4;
+const ALIGN_MIN_OVERLAP = 30;
+const ALIGN_SEPARATION = 1;
+const ALIGN_MIN_RATIO = 1.2;
+
+/**
+ * Load, decode and analyze the music (or reuse the cached result)
+ *
+ * @param {string} player - What the music player plays, to align the
+ *   stems with
+ */
+export async function loadBeatMap(player, { sources = BEAT_SOURCES, beatsPerBar = BEATS_PER_BAR } = {}) {
+  const started = performance.now();
+  const [drums, mix, reference] = await Promise.all([
+    decode(sources.drums),
+    decode(sources.mix),
+    decode(player).catch((err) => {
+      console.warn(`Beat map not aligned with the music player, assuming the stems start with it: ${err.message}`);
+      return null;
+    })
+  ]);
+
+  // Decoded lengths too, so a file replaced at the same URL is analyzed again
+  const cacheId = [
+    ANALYSIS_VERSION,
+    sources.drums, drums.length,
+    sources.mix, mix.length,
+    player, reference ? reference.length : 'none',
+    beatsPerBar
+  ].join(':');
+  const cached = readCache(cacheId);
+  if (cached) return cached;
+
+  const analysis = await analyzeInWorker({ drums, mix, reference, beatsPerBar });
+
+  const tempi = analysis.tempo.map(t => t.bpm);
+  console.log(`Beat map: ${analysis.beats.length} beats, ${Math.round(Math.min(...tempi))}-${Math.round(Math.max(...tempi))} BPM, stems ${analysis.offset} s into the music (${Math.round(performance.now() - started)} ms)`);
+
+  writeCache(cacheId, analysis);
+  return analysis;
+}
+
+/**
+ * Run analyzeBeats in a worker, so the page keeps tracking meanwhile
+ */
+function analyzeInWorker({ drums, mix, reference, beatsPerBar }) {
+  return new Promise((resolve, reject) => {
+    const worker = new Worker(new URL('./beats-worker.js', import.meta.url), { type: 'module' });
+    worker.onmessage = (event) => {
+      worker.terminate();
+      if (event.data.error) reject(new Error(event.data.error));
+      else resolve(event.data.analysis);
+    };
+    worker.onerror = (event) => {
+      worker.terminate();
+      reject(new Error(event.message || 'Beat analysis failed'));
+    };
+    const transfer = [drums.buffer, mix.buffer, ...(reference ? [reference.buffer] : [])];
+    worker.postMessage({ drums, mix, reference, beatsPerBar }, transfer);
+  });
+}
+
+/**
+ * Mono samples at the analysis rate
+ */
+async function decode(url) {
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`Failed to load ${url} (${response.status})`);
+  }
+
+  // An offline context decodes without a user gesture, resampled to its rate
+  const context = new OfflineAudioContext(1, 1, SAMPLE_RATE);
+  const buffer = await context.decodeAudioData(await response.arrayBuffer());
+
+  const samples = new Float32Array(buffer.length);
+  for (let c = 0; c < buffer.numberOfChannels; c++) {
+    const channel = buffer.getChannelData(c);
+    for (let i = 0; i < samples.length; i++) samples[i] += channel[i] / buffer.numberOfChannels;
+  }
+  return samples;
+}
+
+/**
+ * Beats, downbeats and the tempo curve of decoded audio.
+ *
+ * @param {Object} audio - { drums, mix, reference }: Float32Arrays at
+ *   SAMPLE_RATE (drums or mix may be missing). With the reference (the
+ *   music player's audio), `offset` is where the stems start in it;
+ *   otherwise 0.
+ */
+export function analyzeBeats({ drums = null, mix = null, reference = null }, { beatsPerBar = BEATS_PER_BAR } = {}) {
+  const main = drums || mix;
+  if (!main) throw new Error('No audio to analyze');
+
+  const drumFlux = spectralFlux(main);
+  let onsets = normalize(drumFlux.all);
+  const mixOnsets = mix ? normalize(spectralFlux(mix).all) : null;
+  if (drums && mix) {
+    onsets = onsets.map((v, i) => v + 0.5 * (mixOnsets[i] || 0));
+  }
+
+  const offset = reference
+    ? alignOnsets(mixOnsets || onsets, normalize(spectralFlux(reference).all))
+    : 0;
+
+  const tempo = tempoCurve(onsets);
+  const beatFrames = trackBeats(onsets, tempo);
+  const phase = downbeatPhase(beatFrames, normalize(drumFlux.low), beatsPerBar);
+
+  // A frame's onset is heard around the middle of its window
+  const toSeconds = (frame) => Math.round((frame * HOP + FRAME_SIZE / 2) / SAMPLE_RATE * 1000) / 1000;
+  return {
+    version: ANALYSIS_VERSION,
+    beats: beatFrames.map(toSeconds),
+    downbeats: beatFrames.filter((_, i) => i % beatsPerBar === phase).map(toSeconds),
+    beatsPerBar,
+    tempo: tempo.map(({ frame, bpm }) => ({ time: toSeconds(frame), bpm: Math.round(bpm * 10) / 10 })),
+    duration: Math.round(main.length / SAMPLE_RATE * 1000) / 1000,
+    offset: Math.round(offset / FRAME_RATE * 1000) / 1000
+  };
+}
+
+/**
+ * Lag (frames) of the stem's onsets in the reference's: reference frame
+ * = stem frame + lag. Searched in blocks first, then frame by frame
+ * around the best block.
+ */
+function alignOnsets(stem, reference) {
+  const blocks = (envelope) => {
+    const out = new Float32Array(Math.ceil(envelope.length / ALIGN_BLOCK));
+    for (let i = 0; i < envelope.length; i++) {
+      out[Math.floor(i / ALIGN_BLOCK)] = Math.max(out[Math.floor(i / ALIGN_BLOCK)], envelope[i]);
+    }
+    return out;
+  };
+
+  const a = blocks(stem);
+  const b = blocks(reference);
+  const overlap = Math.min(Math.round(ALIGN_MIN_OVERLAP * FRAME_RATE / ALIGN_BLOCK), a.length, b.length);
+  const scores = [];
+  for (let lag = overlap - a.length; lag <= b.length - overlap; lag++) {
+    scores.push({ lag, score: correlation(a, b, lag) });
+  }
+  if (scores.length === 0) throw new Error('No music to align the stems with');
+
+  const best = scores.reduce((top, s) => (s.score > top.score ? s : top));
+  const separation = ALIGN_SEPARATION * FRAME_RATE / ALIGN_BLOCK;
+  const runnerUp = Math.max(0, ...scores.filter(s => Math.abs(s.lag - best.lag) >= separation).map(s => s.score));
+  if (best.score < runnerUp * ALIGN_MIN_RATIO) {
+    throw new Error("The music player's audio doesn't match the stems");
+  }
+
+  let lag = best.lag * ALIGN_BLOCK;
+  let top = -Infinity;
+  for (let l = (best.lag - 1) * ALIGN_BLOCK; l <= (best.lag + 1) * ALIGN_BLOCK; l++) {
+    const score = correlation(stem, reference, l);
+    if (score > top) {
+      top = score;
+      lag = l;
+    }
+  }
+  return lag;
+}
+
+/**
+ * Mean product of a and b where they overlap with b shifted by lag
+ */
+function correlation(a, b, lag) {
+  const start = Math.max(0, -lag);
+  const end = Math.min(a.length, b.length - lag);
+  if (end <= start) return 0;
+  let sum = 0;
+  for (let i = start; i < end; i++) sum += a[i] * b[i + lag];
+  return sum / (end - start);
+}
+
+/**
+ * Positive change in log magnitude per frame, over all bins and over
+ * the low band only
+ */
+function spectralFlux(samples) {
+  const frames = Math.max(0, Math.floor((samples.length - FRAME_SIZE) / HOP) + 1);
+  const all = new Float32Array(frames);
+  const low = new Float32Array(frames);
+  const bins = FRAME_SIZE / 2;
+  const lowBins = Math.ceil(LOW_BAND / (SAMPLE_RATE / FRAME_SIZE));
+
+  const window = new Float32Array(FRAME_SIZE);
+  for (let i = 0; i < FRAME_SIZE; i++) window[i] = 0.5 - 0.5 * Math.cos(2 * Math.PI * i / FRAME_SIZE);
+
+  const re = new Float32Array(FRAME_SIZE);
+  const im = new Float32Array(FRAME_SIZE);
+  let previous = new Float32Array(bins);
+  let current = new Float32Array(bins);
+
+  for (let f = 0; f < frames; f++) {
+    const offset = f * HOP;
+    for (let i = 0; i < FRAME_SIZE; i++) {
+      re[i] = samples[offset + i] * window[i];
+      im[i] = 0;
+    }
+    fft(re, im);
+
+    let sum = 0;
+    let lowSum = 0;
+    for (let k = 1; k < bins; k++) {
+      current[k] = Math.log1p(100 * Math.hypot(re[k], im[k]));
+      const rise = Math.max(0, current[k] - previous[k]);
+      sum += rise;
+      if (k <= lowBins) lowSum += rise;
+    }
+    all[f] = sum;
+    low[f] = lowSum;
+    [previous, current] = [current, previous];
+  }
+
+  return { all, low };
+}
+
+/**
+ * Remove the slowly varying level (half-second moving average) and
+ * scale to unit deviation, so loud and quiet passages weigh the same
+ */
+function normalize(envelope) {
+  const n = envelope.length;
+  const radius = Math.round(FRAME_RATE / 4);
+  const out = new Float32Array(n);
+
+  let sum = 0;
+  let count = 0;
+  for (let i = 0; i < Math.min(radius, n); i++) {
+    sum += envelope[i];
+    count++;
+  }
+  for (let i = 0; i < n; i++) {
+    if (i + radius < n) {
+      sum += envelope[i + radius];
+      count++;
+    }
+    if (i - radius - 1 >= 0) {
+      sum -= envelope[i - radius - 1];
+      count--;
+    }
+    out[i] = Math.max(0, envelope[i] - sum / count);
+  }
+
+  let squares = 0;
+  for (let i = 0; i < n; i++) squares += out[i] * out[i];
+  const deviation = Math.sqrt(squares / n) || 1;
+  for (let i = 0; i < n; i++) out[i] /= deviation;
+  return out;
+}
+
+/**
+ * Local tempo every TEMPO_HOP seconds: [{ frame, bpm }]
+ */
+function tempoCurve(onsets) {
+  const minLag = Math.floor(FRAME_RATE * 60 / MAX_BPM);
+  const maxLag = Math.ceil(FRAME_RATE * 60 / MIN_BPM);
+  const size = Math.round(TEMPO_WINDOW * FRAME_RATE);
+  const hop = Math.round(TEMPO_HOP * FRAME_RATE);
+
+  // Per window: autocorrelation at each lag, weighted by a log-tempo prior
+  const windows = [];
+  for (let start = 0; start === 0 || start + size <= onsets.length; start += hop) {
+    const end = Math.min(start + size, onsets.length);
+    const strengths = new Float32Array(maxLag + 1);
+    let peak = 0;
+    for (let lag = minLag; lag <= maxLag; lag++) {
+      let sum = 0;
+      for (let i = start + lag; i < end; i++) sum += onsets[i] * onsets[i - lag];
+      const bpm = FRAME_RATE * 60 / lag;
+      strengths[lag] = sum / Math.max(1, end - start - lag) * Math.exp(-0.5 * Math.log2(bpm / PREFERRED_BPM) ** 2);
+      peak = Math.max(peak, strengths[lag]);
+    }
+    for (let lag = minLag; lag <= maxLag; lag++) strengths[lag] /= peak || 1;
+    windows.push({ frame: Math.round((start + end) / 2), strengths });
+    if (end === onsets.length) break;
+  }
+
+  // Viterbi: strong lags, changing smoothly from window to window
+  const penalty = (a, b) => 8 * Math.log2(a / b) ** 2;
+  let scores = windows[0].strengths.slice();
+  const back = [];
+  for (let w = 1; w < windows.length; w++) {
+    const next = new Float32Array(maxLag + 1).fill(-Infinity);
+    const from = new Int32Array(maxLag + 1);
+    for (let lag = minLag; lag <= maxLag; lag++) {
+      for (let prev = Math.max(minLag, Math.floor(lag * 0.8)); prev <= Math.min(maxLag, Math.ceil(lag * 1.25)); prev++) {
+        const score = scores[prev] - penalty(lag, prev);
+        if (score > next[lag]) {
+          next[lag] = score;
+          from[lag] = prev;
+        }
+      }
+      next[lag] += windows[w].strengths[lag];
+    }
+    back.push(from);
+    scores = next;
+  }
+
+  let lag = minLag;
+  for (let l = minLag; l <= maxLag; l++) if (scores[l] > scores[lag]) lag = l;
+  const lags = [lag];
+  for (let w = back.length - 1; w >= 0; w--) {
+    lag = back[w][lag];
+    lags.unshift(lag);
+  }
+
+  return windows.map((window, w) => ({ frame: window.frame, bpm: FRAME_RATE * 60 / refineLag(window.strengths, lags[w]) }));
+}
+
+/**
+ * Sub-frame lag from a parabola through the peak and its neighbours
+ */
+function refineLag(strengths, lag) {
+  const a = strengths[lag - 1] || 0;
+  const b = strengths[lag];
+  const c = strengths[lag + 1] || 0;
+  const denominator = a - 2 * b + c;
+  return denominator < 0 ? lag + 0.5 * (a - c) / denominator : lag;
+}
+
+/**
+ * Beat frames along the onsets, following the tempo curve
+ */
+function trackBeats(onsets, tempo) {
+  const n = onsets.length;
+  if (n === 0) return [];
+
+  // Beat period (frames) at every frame, interpolated along the curve
+  const period = new Float32Array(n);
+  let w = 0;
+  for (let i = 0; i < n; i++) {
+    while (w < tempo.length - 1 && tempo[w + 1].frame <= i) w++;
+    const a = tempo[w];
+    const b = tempo[Math.min(w + 1, tempo.length - 1)];
+    const bpm = b.frame > a.frame && i > a.frame
+      ? a.bpm + (b.bpm - a.bpm) * (i - a.frame) / (b.frame - a.frame)
+      : a.bpm;
+    period[i] = FRAME_RATE * 60 / bpm;
+  }
+
+  const score = new Float32Array(n);
+  const previous = new Int32Array(n).fill(-1);
+  for (let i = 0; i < n; i++) {
+    let best = 0;
+    const p = period[i];
+    for (let j = i - Math.round(2 * p); j <= i - Math.round(p / 2); j++) {
+      if (j < 0) continue;
+      const candidate = score[j] - TIGHTNESS * Math.log((i - j) / p) ** 2;
+      if (previous[i] === -1 || candidate > best) {
+        best = candidate;
+        previous[i] = j;
+      }
+    }
+    score[i] = onsets[i] + (previous[i] === -1 ? 0 : best);
+  }
+
+  // Best-scoring frame within the last beat, then back along the path
+  let last = n - 1;
+  for (let i = Math.max(0, n - Math.round(period[n - 1])); i < n; i++) {
+    if (score[i] > score[last]) last = i;
+  }
+  const beats = [];
+  for (let i = last; i >= 0; i = previous[i]) beats.unshift(i);
+  return beats;
+}
+
+/**
+ * Which beat of each bar (0 to beatsPerBar - 1) is the downbeat
+ */
+function downbeatPhase(beats, lowOnsets, beatsPerBar) {
+  const totals = new Array(beatsPerBar).fill(0);
+  beats.forEach((frame, i) => {
+    // Strongest low-band onset within a frame or two of the beat
+    let strength = 0;
+    for (let f = Math.max(0, frame - 2); f <= Math.min(lowOnsets.length - 1, frame + 2); f++) {
+      strength = Math.max(strength, lowOnsets[f]);
+    }
+    totals[i % beatsPerBar] += strength;
+  });
+  return totals.indexOf(Math.max(...totals));
+}
+
+/**
+ * In-place radix-2 FFT (length must be a power of two)
+ */
+function fft(re, im) {
+  const n = re.length;
+  for (let i = 1, j = 0; i < n; i++) {
+    let bit = n >> 1;
+    for (; j & bit; bit >>= 1) j ^= bit;
+    j ^= bit;
+    if (i < j) {
+      [re[i], re[j]] = [re[j], re[i]];
+      [im[i], im[j]] = [im[j], im[i]];
+    }
+  }
+
+  for (let size = 2; size <= n; size <<= 1) {
+    const angle = -2 * Math.PI / size;
+    const stepRe = Math.cos(angle);
+    const stepIm = Math.sin(angle);
+    for (let start = 0; start < n; start += size) {
+      let wRe = 1;
+      let wIm = 0;
+      for (let k = 0; k < size / 2; k++) {
+        const a = start + k;
+        const b = a + size / 2;
+        const tRe = re[b] * wRe - im[b] * wIm;
+        const tIm = re[b] * wIm + im[b] * wRe;
+        re[b] = re[a] - tRe;
+        im[b] = im[a] - tIm;
+        re[a] += tRe;
+        im[a] += tIm;
+        const nextRe = wRe * stepRe - wIm * stepIm;
+        wIm = wRe * stepIm + wIm * stepRe;
+        wRe = nextRe;
+      }
+    }
+  }
+}
+
+/**
+ * Calls subscribers on every beat of the playing music. Call update()
+ * every animation frame (start() does so itself).
+ *
+ * The analysis's stem times are moved by its offset onto the music
+ * player's, so `beats` and every time in and out are music seconds.
+ * Subscribers get { index, time, downbeat, beatInBar, bpm }.
+ */
+export class BeatClock {
+  constructor({
+    getTime,        // () => music position in seconds, or null when stopped
+    analysis = null
+  }) {
+    this.getTime = getTime;
+    this.listeners = new Set();
+    this.lastIndex = null;
+    this.frame = null;
+    this.setAnalysis(analysis);
+  }
+
+  get ready() {
+    return this.analysis !== null && this.beats.length > 1;
+  }
+
+  setAnalysis(analysis) {
+    const offset = (analysis && analysis.offset) || 0;
+    const toMusic = (time) => Math.round((time + offset) * 1000) / 1000;
+
+    this.analysis = analysis;
+    this.beats = analysis ? analysis.beats.map(toMusic) : [];
+    this.downbeats = new Set(analysis ? analysis.downbeats.map(toMusic) : []);
+    this.firstDownbeat = analysis && analysis.downbeats.length
+      ? analysis.beats.indexOf(analysis.downbeats[0])
+      : 0;
+    this.lastIndex = null;
+  }
+
+  /**
+   * @returns {Function} Call to unsubscribe
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  start() {
+    const tick = () => {
+      this.update();
+      this.frame = requestAnimationFrame(tick);
+    };
+    if (this.frame === null) tick();
+  }
+
+  stop() {
+    if (this.frame !== null) cancelAnimationFrame(this.frame);
+    this.frame = null;
+  }
+
+  update() {
+    const time = this.ready ? this.getTime() : null;
+    if (time === null) {
+      this.lastIndex = null;
+      return;
+    }
+
+    const index = this.indexAt(time);
+    const previous = this.lastIndex;
+    this.lastIndex = index;
+
+    // Announce the beat just passed; after a seek, stay quiet until the next
+    if (previous === null || index !== previous + 1) return;
+
+    const beat = this.beat(index);
+    for (const listener of this.listeners) {
+      try {
+        listener(beat);
+      } catch (err) {
+        console.warn('Beat listener failed:', err.message);
+      }
+    }
+  }
+
+  /**
+   * Index of the last beat at or before `time` (-1 before the first)
+   */
+  indexAt(time) {
+    const beats = this.beats;
+    let lo = 0;
+    let hi = beats.length - 1;
+    if (time < beats[0]) return -1;
+    while (lo < hi) {
+      const mid = (lo + hi + 1) >> 1;
+      if (beats[mid] <= time) lo = mid;
+      else hi = mid - 1;
+    }
+    return lo;
+  }
+
+  beat(index) {
+    const beats = this.beats;
+    const time = beats[index];
+    const perBar = this.analysis.beatsPerBar;
+    return {
+      index,
+      time,
+      downbeat: this.downbeats.has(time),
+      beatInBar: (((index - this.firstDownbeat) % perBar) + perBar) % perBar,
+      bpm: this.tempoAt(time)
+    };
+  }
+
+  /**
+   * Where `time` falls between beats: { index, phase (0-1), period (s) }
+   */
+  phaseAt(time) {
+    const beats = this.beats;
+    const index = Math.max(0, Math.min(this.indexAt(time), beats.length - 2));
+    const period = beats[index + 1] - beats[index];
+    return { index, phase: Math.max(0, Math.min(1, (time - beats[index]) / period)), period };
+  }
+
+  /**
+   * Signed distance (s) from `time` to the nearest beat, negative when
+   * before it: { index, offset, period }
+   */
+  offsetAt(time) {
+    const { index, phase, period } = this.phaseAt(time);
+    return phase < 0.5 || index + 1 >= this.beats.length
+      ? { index, offset: time - this.beats[index], period }
+      : { index: index + 1, offset: time - this.beats[index + 1], period };
+  }
+
+  /**
+   * Local tempo (BPM) from the beat spacing around `time`
+   */
+  tempoAt(time) {
+    return Math.round(60 / this.phaseAt(time).period * 10) / 10;
+  }
+}
+
+function readCache(id) {
+  try {
+    const cached = JSON.parse(localStorage.getItem(CACHE_KEY));
+    return cached && cached.id === id ? cached.analysis : null;
+  } catch (err) {
+    return null;
+  }
+}
+
+function writeCache(id, analysis) {
+  try {
+    localStorage.setItem(CACHE_KEY, JSON.stringify({ id, analysis }));
+  } catch (err) {
+    console.warn('Could not cache the beat map:', err.message);
+  }
+}
@@ -0,0 +1,332 @@
+/**
+ * Body Calibration Module
+ *
+ * A short flow (T-pose, arms up, open palm) measures the dancer's body so
+ * scoring doesn't assume one body size and camera distance. The profile
+ * stores proportions, not frame positions:
+ *
+ *   { name, calibratedAt, shoulderWidth, armLength, reach, handSize, fingers }
+ *
+ * shoulderWidth is a fraction of the frame width at calibration;
+ * armLength, reach (wrist height above the shoulder with the arm
+ * straight up) and handSize (palm length) are in shoulder widths;
+ * fingers are finger lengths in palm lengths. Live shoulder width tells
+ * how far away the dancer is now, so the profile holds at any distance.
+ *
+ * calibratePose() and fingerScales() map a calibrated dancer onto the
+ * reference body the bundled templates were authored against. Profiles
+ * are kept per user in localStorage.
+ */
+
+import { FINGER_CHAINS } from './matching.js';
+
+const STORAGE_KEY = 'lazgi-calibration';
+
+// The body the bundled templates describe: shoulders a quarter of the
+// frame across, wrists 0.4 frame heights above the shoulders at full
+// reach, fingers (knuckle to tip) as in the Sun Salutation open palm
+export const REFERENCE_BODY = {
+  shoulderWidth: 0.25,
+  reach: 0.4,
+  fingers: { thumb: 2.0, index: 2.67, middle: 2.9, ring: 2.67, pinky: 2.0 }
+};
+
+export const CALIBRATION_STEPS = [
+  { id: 't-pose', prompt: 'Stretch both arms out to the sides' },
+  { id: 'arms-up', prompt: 'Raise both arms straight up' },
+  { id: 'open-palm', prompt: 'Hold one hand up, palm open to the camera' }
+];
+
+// Wrist height (in reaches) above which an arm counts as raised
+const ARMS_UP_REACH = 0.5;
+
+// T-pose wrists may sit this far (frame heights) off shoulder level
+const LEVEL_TOLERANCE = 0.1;
+
+// Shoulders look narrow when the dancer turns; don't let that (or a
+// bad frame) stretch the profile more than this either way
+const MAX_SCALE = 2;
+
+// Finger corrections stay within this range of the reference
+const MAX_FINGER_SCALE = 1.4;
+
+/**
+ * Collects frames for one calibration step at a time, PoseRecorder style:
+ * measure() resolves once holdDuration of frames has been seen.
+ */
+export class Calibrator {
+  constructor({
+    holdDuration = 1500, // ms of frames averaged per step
+    minCoverage = 0.5    // Fraction of frames the body part must appear in
+  } = {}) {
+    this.holdDuration = holdDuration;
+    this.minCoverage = minCoverage;
+    this.pending = null;
+  }
+
+  get isMeasuring() {
+    return this.pending !== null;
+  }
+
+  /**
+   * Measure one step ('t-pose', 'arms-up' or 'open-palm')
+   */
+  measure(step) {
+    if (this.pending) {
+      return Promise.reject(new Error('A calibration step is already running'));
+    }
+
+    return new Promise((resolve, reject) => {
+      this.pending = { step, resolve, reject, start: null, frames: [] };
+    });
+  }
+
+  cancel() {
+    if (!this.pending) return;
+    this.pending.reject(new Error('Calibration cancelled'));
+    this.pending = null;
+  }
+
+  /**
+   * Feed a tracking frame ({ hands, pose }). Call every frame.
+   */
+  addFrame(data, timestamp = performance.now()) {
+    const pending = this.pending;
+    if (!pending) return;
+
+    if (pending.start === null) pending.start = timestamp;
+    pending.frames.push(data);
+
+    if (timestamp - pending.start < this.holdDuration) return;
+
+    this.pending = null;
+    try {
+      pending.resolve(this.summarize(pending.step, pending.frames));
+    } catch (err) {
+      pending.reject(err);
+    }
+  }
+
+  summarize(step, frames) {
+    if (step === 'open-palm') return this.measureHand(frames);
+
+    const poses = frames.map(f => f.pose).filter(Boolean);
+    if (poses.length < frames.length * this.minCoverage) {
+      throw new Error('Could not see your arms: step back so your whole upper body shows');
+    }
+
+    const landmarks = poses.map(p => p.landmarks);
+    const shoulderWidth = mean(landmarks.map(lm => Math.abs(lm[11].x - lm[12].x)));
+
+    if (step === 't-pose') {
+      const level = landmarks.every(lm =>
+        Math.abs(lm[15].y - lm[11].y) < LEVEL_TOLERANCE && Math.abs(lm[16].y - lm[12].y) < LEVEL_TOLERANCE);
+      if (!level) throw new Error('Keep both arms level with your shoulders');
+
+      const armLength = mean(landmarks.map(lm =>
+        (distance(lm[11], lm[13]) + distance(lm[13], lm[15]) +
+          distance(lm[12], lm[14]) + distance(lm[14], lm[16])) / 2));
+      return { shoulderWidth, armLength };
+    }
+
+    if (step === 'arms-up') {
+      const reach = mean(landmarks.map(lm => ((lm[11].y - lm[15].y) + (lm[12].y - lm[16].y)) / 2));
+      if (reach <= 0) throw new Error('Raise both wrists above your shoulders');
+      return { shoulderWidth, reach };
+    }
+
+    throw new Error(`Unknown calibration step "${step}"`);
+  }
+
+  /**
+   * Palm length and finger lengths of whichever hand was seen most
+   */
+  measureHand(frames) {
+    let samples = [];
+    for (const side of ['Left', 'Right']) {
+      const found = frames
+        .map(f => (f.hands || []).find(h => h.handedness === side))
+        .filter(Boolean);
+      if (found.length > samples.length) samples = found;
+    }
+
+    if (samples.length < frames.length * this.minCoverage) {
+      throw new Error('Could not see your hand: hold it up, fingers spread');
+    }
+
+    const poses = frames.map(f => f.pose).filter(Boolean);
+    const measures = samples.map(hand => handMeasures(hand.landmarks, hand.aspect || 1));
+
+    return {
+      palm: mean(measures.map(m => m.palm)),
+      shoulderWidth: poses.length ? mean(poses.map(p => Math.abs(p.landmarks[11].x - p.landmarks[12].x))) : null,
+      fingers: Object.fromEntries(Object.keys(FINGER_CHAINS).map(finger =>
+        [finger, mean(measures.map(m => m.fingers[finger]))]))
+    };
+  }
+}
+
+/**
+ * Combine the three step measurements into a profile. Reach and hand
+ * size are rescaled to the T-pose shoulder width, in case the dancer
+ * moved between steps.
+ */
+export function createProfile(name, { 't-pose': tPose, 'arms-up': armsUp, 'open-palm': palm }) {
+  if (!name) throw new Error('Enter your name first');
+
+  const width = tPose.shoulderWidth;
+  const handWidth = palm.shoulderWidth || width;
+
+  return {
+    name,
+    calibratedAt: new Date().toISOString(),
+    shoulderWidth: round(width),
+    armLength: round(tPose.armLength / width),
+    reach: round(armsUp.reach / armsUp.shoulderWidth),
+    handSize: round(palm.palm / handWidth),
+    fingers: Object.fromEntries(Object.entries(palm.fingers).map(([finger, length]) => [finger, round(length)]))
+  };
+}
+
+/**
+ * Express a processPose() result in reference-body units:
+ * - arm.reach: wrist height above the shoulder as a fraction of this
+ *   dancer's reach (0 = level, 1 = straight up)
+ * - arm.wristHeight: the same height for the reference body, which is
+ *   what body templates store
+ * - torsoTilt: scaled to the reference shoulder width
+ * - spread: wrist distance as a fraction of the T-pose wingspan (0-1)
+ * - bothArmsUp: both wrists above half the dancer's reach
+ */
+export function calibratePose(pose, profile) {
+  if (!pose || !profile) return pose;
+
+  const width = clamp(pose.shoulderWidth, profile.shoulderWidth / MAX_SCALE, profile.shoulderWidth * MAX_SCALE);
+  const reach = profile.reach * width;
+  const wingspan = (1 + 2 * profile.armLength) * width;
+
+  const arm = (side) => {
+    const a = pose[side];
+    const height = (a.armHeight - a.shoulderHeight) / reach;
+    return { ...a, reach: height, wristHeight: height * REFERENCE_BODY.reach };
+  };
+
+  const left = arm('left');
+  const right = arm('right');
+
+  return {
+    ...pose,
+    left,
+    right,
+    bothArmsUp: left.reach > ARMS_UP_REACH && right.reach > ARMS_UP_REACH,
+    spread: Math.min(1, pose.armsSpread / wingspan),
+    torsoTilt: pose.torsoTilt * REFERENCE_BODY.shoulderWidth / width,
+    calibrated: true
+  };
+}
+
+/**
+ * Per-finger factors that stretch this dancer's fingers to reference
+ * length before hand matching, or null without a profile
+ */
+export function fingerScales(profile) {
+  if (!profile || !profile.fingers) return null;
+
+  return Object.fromEntries(Object.entries(REFERENCE_BODY.fingers).map(([finger, length]) => {
+    const measured = profile.fingers[finger];
+    const scale = measured > 0 ? length / measured : 1;
+    return [finger, clamp(scale, 1 / MAX_FINGER_SCALE, MAX_FINGER_SCALE)];
+  }));
+}
+
+/**
+ * Stored profiles: { current: name|null, profiles: { name: profile } }
+ */
+export function loadProfiles() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    if (stored && stored.profiles) return stored;
+  } catch (err) {
+    console.warn('Could not read calibration profiles:', err.message);
+  }
+  return { current: null, profiles: {} };
+}
+
+/**
+ * Profile for a user (the current user by default), or null
+ */
+export function getProfile(name = null) {
+  const stored = loadProfiles();
+  return stored.profiles[name || stored.current] || null;
+}
+
+/**
+ * Save a profile and make its user the current one
+ */
+export function saveProfile(profile) {
+  const stored = loadProfiles();
+  stored.profiles[profile.name] = profile;
+  stored.current = profile.name;
+  writeProfiles(stored);
+}
+
+/**
+ * Switch user; returns their profile, or null if they haven't calibrated
+ */
+export function setCurrentUser(name) {
+  const stored = loadProfiles();
+  stored.current = name || null;
+  writeProfiles(stored);
+  return stored.profiles[name] || null;
+}
+
+export function removeProfile(name) {
+  const stored = loadProfiles();
+  delete stored.profiles[name];
+  if (stored.current === name) stored.current = null;
+  writeProfiles(stored);
+}
+
+function writeProfiles(stored) {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(stored));
+  } catch (err) {
+    console.warn('Could not save calibration profiles:', err.message);
+  }
+}
+
+/**
+ * Palm length (mean wrist-to-knuckle distance, in frame heights) and
+ * each finger's knuckle-to-tip length in palm lengths
+ */
+function handMeasures(landmarks, aspect) {
+  const point = (i) => ({ x: landmarks[i].x * aspect, y: landmarks[i].y });
+  const palm = mean([5, 9, 13, 17].map(i => distance(point(0), point(i))));
+
+  const fingers = {};
+  for (const [finger, chain] of Object.entries(FINGER_CHAINS)) {
+    let length = 0;
+    for (let j = 2; j < chain.length; j++) {
+      length += distance(point(chain[j - 1]), point(chain[j]));
+    }
+    fingers[finger] = length / palm;
+  }
+
+  return { palm, fingers };
+}
+
+function distance(a, b) {
+  return Math.hypot(a.x - b.x, a.y - b.y);
+}
+
+function mean(values) {
+  return values.reduce((a, b) => a + b, 0) / values.length;
+}
+
+function clamp(value, min, max) {
+  return Math.min(max, Math.max(min, value));
+}
+
+function round(value) {
+  return Math.round(value * 10000) / 10000;
+}
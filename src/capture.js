@@ -0,0 +1,151 @@
+/**
+ * Performance Video Capture
+ *
+ * Records the visualizer canvas to a WebM file, optionally composited
+ * over the mirrored camera feed, with the music and Tone.js synths on the
+ * soundtrack. Everything stays in the browser; the result is a Blob.
+ */
+
+// Tried in order; the first the browser supports wins
+const MIME_TYPES = [
+  'video/webm;codecs=vp9,opus',
+  'video/webm;codecs=vp8,opus',
+  'video/webm'
+];
+
+// How strongly the camera shows under the Ikat overlay
+const CAMERA_ALPHA = 0.6;
+
+export class PerformanceRecorder {
+  constructor({
+    canvas,              // Visualizer canvas
+    cameraVideo = null,  // <video> with the camera feed
+    soundEngine = null,
+    includeCamera = true,
+    mirrorCamera = true, // Match the on-screen selfie view
+    fps = 30
+  }) {
+    this.canvas = canvas;
+    this.cameraVideo = cameraVideo;
+    this.soundEngine = soundEngine;
+    this.includeCamera = includeCamera;
+    this.mirrorCamera = mirrorCamera;
+    this.fps = fps;
+
+    this.mediaRecorder = null;
+    this.chunks = [];
+    this.compositeFrame = null;
+  }
+
+  get isRecording() {
+    return this.mediaRecorder !== null && this.mediaRecorder.state === 'recording';
+  }
+
+  static isSupported() {
+    return typeof MediaRecorder !== 'undefined' && MIME_TYPES.some(type => MediaRecorder.isTypeSupported(type));
+  }
+
+  start() {
+    if (this.isRecording) {
+      throw new Error('Already recording');
+    }
+    if (!PerformanceRecorder.isSupported()) {
+      throw new Error('This browser cannot record WebM video');
+    }
+
+    const video = this.includeCamera && this.cameraVideo
+      ? this.startComposite()
+      : this.canvas.captureStream(this.fps);
+
+    const stream = new MediaStream(video.getVideoTracks());
+    if (this.soundEngine) {
+      const audio = this.soundEngine.getAudioStream();
+      if (audio) audio.getAudioTracks().forEach(track => stream.addTrack(track));
+    }
+
+    const mimeType = MIME_TYPES.find(type => MediaRecorder.isTypeSupported(type));
+    this.chunks = [];
+    this.mediaRecorder = new MediaRecorder(stream, { mimeType });
+    this.mediaRecorder.ondataavailable = (e) => {
+      if (e.data.size > 0) this.chunks.push(e.data);
+    };
+
+    // Collect data every second so a long take isn't one huge buffer
+    this.mediaRecorder.start(1000);
+    console.log(`Recording performance (${mimeType})`);
+  }
+
+  /**
+   * Stop and resolve with the WebM Blob
+   */
+  stop() {
+    const mediaRecorder = this.mediaRecorder;
+    if (!mediaRecorder) {
+      return Promise.reject(new Error('Not recording'));
+    }
+
+    return new Promise((resolve) => {
+      mediaRecorder.onstop = () => {
+        this.stopComposite();
+        // Audio tracks belong to the sound engine and are reused
+        mediaRecorder.stream.getVideoTracks().forEach(track => track.stop());
+        this.mediaRecorder = null;
+
+        resolve(new Blob(this.chunks, { type: 'video/webm' }));
+        this.chunks = [];
+      };
+      mediaRecorder.stop();
+    });
+  }
+
+  /**
+   * Draw camera + visualizer into a hidden canvas every frame. The
+   * visualizer's dark trail background is screened over the camera, so
+   * the dancer shows through and the medallions glow on top.
+   */
+  startComposite() {
+    const composite = document.createElement('canvas');
+    composite.width = this.canvas.width;
+    composite.height = this.canvas.height;
+    const ctx = composite.getContext('2d');
+
+    const draw = () => {
+      const { width, height } = composite;
+      ctx.globalCompositeOperation = 'source-over';
+      ctx.fillStyle = '#000';
+      ctx.fillRect(0, 0, width, height);
+
+      const camera = this.cameraVideo;
+      if (camera.readyState >= 2 && camera.videoWidth) {
+        // Cover the frame like object-fit: cover
+        const scale = Math.max(width / camera.videoWidth, height / camera.videoHeight);
+        const w = camera.videoWidth * scale;
+        const h = camera.videoHeight * scale;
+
+        ctx.save();
+        ctx.globalAlpha = CAMERA_ALPHA;
+        if (this.mirrorCamera) {
+          ctx.translate(width, 0);
+          ctx.scale(-1, 1);
+        }
+        ctx.drawImage(camera, (width - w) / 2, (height - h) / 2, w, h);
+        ctx.restore();
+      }
+
+      ctx.globalCompositeOperation = 'screen';
+      ctx.drawImage(this.canvas, 0, 0, width, height);
+
+      this.compositeFrame = requestAnimationFrame(draw);
+    };
+
+    draw();
+    return composite.captureStream(this.fps);
+  }
+
+  stopComposite() {
+    if (this.compositeFrame !== null) {
+      cancelAnimationFrame(this.compositeFrame);
+      this.compositeFrame = null;
+    }
+  }
+}
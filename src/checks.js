@@ -0,0 +1,159 @@
+/**
+ * Movement Checks
+ *
+ * Lesson steps that aren't a shape to copy but a way of moving: a hand
+ * trembling in the Lazgi range, shoulders or the neck sliding side to
+ * side. A check scores 0-1 like a template match, so the coach can hold
+ * it against the same pass criteria.
+ *
+ *   { "type": "tremble", "part": "wrist" | "fingers", "minFrequency": 4, "maxFrequency": 12, "minAmplitude": 0.05 }
+ *   { "type": "sway", "part": "shoulders" | "neck" | "torso" | "hips", "minAmplitude": 0.15 }
+ *
+ * Tremble amplitudes are in palm lengths (see tremble.js); sway is the
+ * side-to-side range over the last window, in shoulder widths, about a
+ * centre that stays put: walking sideways isn't a slide.
+ */
+
+// Typical Lazgi tremble (Hz) and a swing clearly above sensor jitter
+const TREMBLE_DEFAULTS = { minFrequency: 4, maxFrequency: 12, minAmplitude: 0.05 };
+
+// Side-to-side range (shoulder widths) that counts as a full slide
+const SWAY_AMPLITUDE = {
+  shoulders: 0.15,
+  neck: 0.1,
+  torso: 0.15,
+  hips: 0.2
+};
+
+// Steady travel (shoulder widths per window) past which there's no sway,
+// only a dancer moving across the frame
+const MAX_DRIFT = 0.3;
+
+// The parts each kind of check can watch
+const CHECK_PARTS = {
+  tremble: ['wrist', 'fingers'],
+  sway: Object.keys(SWAY_AMPLITUDE)
+};
+
+/**
+ * What's wrong with a check definition, or null if MotionChecks can
+ * score it
+ */
+export function checkProblem(check) {
+  if (!check || typeof check !== 'object') return 'is not an object';
+  if (!CHECK_PARTS[check.type]) return `has unknown type "${check.type}"`;
+  if (check.part !== undefined && !CHECK_PARTS[check.type].includes(check.part)) {
+    return `has unknown ${check.type} part "${check.part}" (${CHECK_PARTS[check.type].join(', ')})`;
+  }
+  return null;
+}
+
+export class MotionChecks {
+  constructor({
+    windowMs = 1500 // Sway history used for each score
+  } = {}) {
+    this.windowMs = windowMs;
+    this.reset();
+  }
+
+  reset() {
+    this.history = {}; // sway part -> [{ t, value }]
+  }
+
+  /**
+   * Score one frame ({ hands, pose }) against a check
+   */
+  score(check, data, timestamp = performance.now()) {
+    if (check.type === 'tremble') return scoreTremble(check, (data && data.hands) || []);
+    if (check.type === 'sway') return this.scoreSway(check, data && data.pose, timestamp);
+
+    throw new Error(`Unknown movement check "${check.type}"`);
+  }
+
+  scoreSway(check, pose, timestamp) {
+    const part = check.part || 'shoulders';
+    const buffer = this.history[part] || (this.history[part] = []);
+
+    const value = pose ? swayPosition(pose, part) : null;
+    if (value !== null) buffer.push({ t: timestamp, value });
+    while (buffer.length > 0 && timestamp - buffer[0].t > this.windowMs) {
+      buffer.shift();
+    }
+
+    // Need most of a window before a range means anything
+    if (buffer.length < 2 || buffer[buffer.length - 1].t - buffer[0].t < this.windowMs / 2) return 0;
+
+    // Travel is the straight-line trend across the window; what's left of
+    // the range beyond it is the sway
+    const values = buffer.map(s => s.value);
+    const travel = Math.abs(trendOf(buffer));
+    if (travel > MAX_DRIFT) return 0;
+
+    const range = Math.max(...values) - Math.min(...values);
+    return Math.min(1, Math.max(0, range - travel) / (check.minAmplitude || SWAY_AMPLITUDE[part]));
+  }
+}
+
+/**
+ * Best hand: zero outside the frequency band, rising to 1 at minAmplitude
+ */
+function scoreTremble(check, hands) {
+  const { minFrequency, maxFrequency, minAmplitude } = { ...TREMBLE_DEFAULTS, ...check };
+  let best = 0;
+
+  for (const hand of hands) {
+    if (!hand.tremble) continue;
+
+    const measurements = check.part === 'fingers'
+      ? Object.values(hand.tremble.fingers)
+      : [hand.tremble.wrist];
+
+    for (const m of measurements) {
+      if (!m || !m.active || m.frequency < minFrequency || m.frequency > maxFrequency) continue;
+      best = Math.max(best, Math.min(1, m.amplitude / minAmplitude));
+    }
+  }
+
+  return best;
+}
+
+/**
+ * Change across the window of a least-squares line through [{ t, value }]
+ */
+function trendOf(samples) {
+  const n = samples.length;
+  const meanT = samples.reduce((sum, s) => sum + s.t, 0) / n;
+  const meanV = samples.reduce((sum, s) => sum + s.value, 0) / n;
+  let covariance = 0;
+  let variance = 0;
+  for (const s of samples) {
+    covariance += (s.t - meanT) * (s.value - meanV);
+    variance += (s.t - meanT) ** 2;
+  }
+  const slope = variance > 0 ? covariance / variance : 0;
+  return slope * (samples[n - 1].t - samples[0].t);
+}
+
+/**
+ * Horizontal position of a body part in shoulder widths (the torso's is
+ * its tilt), or null when that part isn't visible
+ */
+function swayPosition(pose, part) {
+  const lm = pose.landmarks;
+  const width = pose.shoulderWidth || 1;
+  const shoulders = (lm[11].x + lm[12].x) / 2;
+
+  switch (part) {
+    case 'shoulders':
+      return shoulders / width;
+    case 'neck':
+      return (lm[0].x - shoulders) / width;
+    case 'torso':
+      return pose.torsoTilt / width;
+    case 'hips':
+      if ((lm[23].visibility ?? 1) < 0.5 || (lm[24].visibility ?? 1) < 0.5) return null;
+      return (lm[23].x + lm[24].x) / 2 / width;
+    default:
+      throw new Error(`Unknown body part "${part}"`);
+  }
+}
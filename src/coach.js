@@ -0,0 +1,201 @@
+/**
+ * Pose Coach Module
+ *
+ * Drives the Learn mode coaching loop: scores the tracked hands (and, for
+ * full-body templates, arms and torso) against the current template every
+ * frame and advances through the curriculum once the pose has been held
+ * above the match threshold long enough. Movements (time-series templates)
+ * pass as soon as the recent motion matches.
+ *
+ * Curriculum entries built from lessons (see lessons.js) may carry a
+ * movement `check` instead of a template, and their own `pass` criteria
+ * ({ score, hold }) in place of the coach's threshold and hold time.
+ */
+
+import {
+  templates,
+  getClosestTemplate,
+  getBodyMatch,
+  templateForHand
+} from './templates.js';
+import { compareJointAngles } from './matching.js';
+import { MotionBuffer, matchMovementForHands } from './movements.js';
+import { getCurriculum } from './library.js';
+import { MotionChecks } from './checks.js';
+
+export class PoseCoach {
+  constructor({
+    curriculum = getCurriculum(), // Shapes, whole body, then motion
+    threshold = 0.7,       // Match score needed to count as "holding" the pose
+    holdDuration = 1500,   // ms the pose must be held before advancing
+    mode = 'shape',        // 'shape' (landmark distance) | 'angles' (joint flexion)
+    autoAdvance = true,    // false: only score, never hold or move on
+    onPass = null,         // (template) when a template has been held
+    onAdvance = null,      // (template, index) when the lesson moves on
+    onComplete = null      // () when the last template has been held
+  } = {}) {
+    this.curriculum = curriculum;
+    this.threshold = threshold;
+    this.holdDuration = holdDuration;
+    this.mode = mode;
+    this.autoAdvance = autoAdvance;
+    this.onPass = onPass;
+    this.onAdvance = onAdvance;
+    this.onComplete = onComplete;
+
+    this.index = 0;
+    this.score = 0;
+    this.feedback = null;
+    this.activeTemplate = null; // Left/right hand variant matched this frame
+    this.components = null;     // Per-component scores for body templates
+    this.holdStart = null;
+    this.holdProgress = 0;
+    this.motion = new MotionBuffer();
+    this.checks = new MotionChecks();
+  }
+
+  get currentTemplate() {
+    return this.curriculum[this.index] || null;
+  }
+
+  /**
+   * Score a tracking frame ({ hands, pose }) against the active template.
+   * Call once per tracking frame.
+   */
+  update(data, timestamp = performance.now()) {
+    const template = this.currentTemplate;
+    this.motion.push(data && data.hands, timestamp);
+    if (!template) return { score: 0, holdProgress: 0, feedback: null, variant: null, components: null };
+
+    const { score: best, hand: bestHand, handTemplate, components } = this.scoreTemplate(template, data, timestamp);
+    this.score = best;
+    this.components = components;
+
+    // Show and explain the variant for the hand being coached
+    this.activeTemplate = bestHand ? templateForHand(handTemplate, bestHand.handedness) : null;
+
+    // Per-finger breakdown tells the learner what to fix (static poses only)
+    this.feedback = this.activeTemplate && this.activeTemplate.landmarks
+      ? compareJointAngles(bestHand, this.activeTemplate)
+      : null;
+
+    // A movement is complete the moment it matches; poses must be held
+    const pass = template.pass || {};
+    const threshold = pass.score ?? this.threshold;
+    const holdDuration = pass.hold ?? (template.frames ? 0 : this.holdDuration);
+
+    if (this.autoAdvance && best >= threshold) {
+      if (this.holdStart === null) this.holdStart = timestamp;
+      this.holdProgress = holdDuration > 0
+        ? Math.min((timestamp - this.holdStart) / holdDuration, 1)
+        : 1;
+
+      if (this.holdProgress >= 1) {
+        this.advance();
+      }
+    } else {
+      this.resetHold();
+    }
+
+    return {
+      score: this.score,
+      holdProgress: this.holdProgress,
+      feedback: this.feedback,
+      variant: this.activeTemplate,
+      components: this.components
+    };
+  }
+
+  /**
+   * Score hand templates by the closest hand, body templates as a whole,
+   * movements by the hand whose recent motion matches best, and movement
+   * checks by their own measure
+   */
+  scoreTemplate(template, data, timestamp = performance.now()) {
+    const hands = (data && data.hands) || [];
+
+    if (template.check) {
+      return { score: this.checks.score(template.check, data, timestamp), hand: null, handTemplate: null, components: null };
+    }
+
+    if (template.frames) {
+      const { score, hand } = matchMovementForHands(this.motion, hands, template);
+      return { score, hand, handTemplate: template, components: null };
+    }
+
+    if (!template.landmarks) {
+      const { score, hand, components } = getBodyMatch(data, template);
+      const handTemplate = template.hand
+        ? templates.find(t => t.id === template.hand.template)
+        : null;
+      return { score, hand: handTemplate ? hand : null, handTemplate, components };
+    }
+
+    let best = 0;
+    let bestHand = null;
+    for (const hand of hands) {
+      const score = getClosestTemplate(hand, template, { mode: this.mode });
+      if (bestHand === null || score > best) {
+        best = score;
+        bestHand = hand;
+      }
+    }
+
+    return { score: best, hand: bestHand, handTemplate: template, components: null };
+  }
+
+  /**
+   * Move on after a successful hold
+   */
+  advance() {
+    if (this.onPass) this.onPass(this.currentTemplate);
+    const isLast = this.index === this.curriculum.length - 1;
+    this.resetHold();
+
+    if (isLast) {
+      this.goTo(0);
+      if (this.onComplete) this.onComplete();
+      return;
+    }
+
+    this.goTo(this.index + 1);
+    if (this.onAdvance) this.onAdvance(this.currentTemplate, this.index);
+  }
+
+  /**
+   * Replace the curriculum (e.g. after templates are imported or captured)
+   */
+  setCurriculum(curriculum, index = 0) {
+    this.curriculum = curriculum;
+    this.goTo(index);
+  }
+
+  /**
+   * Manual navigation (arrow keys)
+   */
+  next() {
+    if (this.curriculum.length === 0) return;
+    this.goTo((this.index + 1) % this.curriculum.length);
+  }
+
+  previous() {
+    if (this.curriculum.length === 0) return;
+    this.goTo((this.index - 1 + this.curriculum.length) % this.curriculum.length);
+  }
+
+  goTo(index) {
+    this.index = Math.max(0, Math.min(index, this.curriculum.length - 1));
+    this.score = 0;
+    this.feedback = null;
+    this.activeTemplate = null;
+    this.components = null;
+    this.motion.clear();
+    this.checks.reset();
+    this.resetHold();
+  }
+
+  resetHold() {
+    this.holdStart = null;
+    this.holdProgress = 0;
+  }
+}
@@ -0,0 +1,246 @@
+/**
+ * Multi-Dancer Tracking
+ *
+ * MediaPipe Holistic follows one person. For groups, PoseLandmarker and
+ * HandLandmarker from MediaPipe Tasks find several bodies and hands per
+ * frame; this module loads them, pairs each hand with the body whose
+ * wrist it sits on, and keeps every dancer's ID stable across frames.
+ *
+ * Each dancer also gets a `slot` (0 = first to arrive) that picks their
+ * colour family and voice. A slot is freed when its dancer leaves, so a
+ * newcomer reuses it rather than growing the list forever.
+ */
+
+const TASKS_VISION_URL = 'https://cdn.jsdelivr.net/npm/@mediapipe/tasks-vision@0.10.14';
+const POSE_MODEL_URL = 'https://storage.googleapis.com/mediapipe-models/pose_landmarker/pose_landmarker_lite/float16/1/pose_landmarker_lite.task';
+const HAND_MODEL_URL = 'https://storage.googleapis.com/mediapipe-models/hand_landmarker/hand_landmarker/float16/1/hand_landmarker.task';
+
+// Colour families and voices run out after this many dancers
+export const MAX_DANCERS = 4;
+
+/**
+ * Several-person pose and hand landmarks from MediaPipe Tasks. The
+ * library is an ES module, so it is imported from the CDN on first use.
+ */
+export class MultiPersonDetector {
+  constructor({ maxDancers = MAX_DANCERS } = {}) {
+    this.maxDancers = maxDancers;
+    this.poseLandmarker = null;
+    this.handLandmarker = null;
+    this.loading = null;
+    this.lastTimestamp = -1;
+  }
+
+  get ready() {
+    return this.poseLandmarker !== null && this.handLandmarker !== null;
+  }
+
+  load() {
+    if (!this.loading) {
+      this.loading = this.createLandmarkers().catch((err) => {
+        this.loading = null;
+        throw err;
+      });
+    }
+    return this.loading;
+  }
+
+  async createLandmarkers() {
+    const vision = await import(/* @vite-ignore */ `${TASKS_VISION_URL}/vision_bundle.mjs`);
+    const fileset = await vision.FilesetResolver.forVisionTasks(`${TASKS_VISION_URL}/wasm`);
+
+    this.poseLandmarker = await vision.PoseLandmarker.createFromOptions(fileset, {
+      baseOptions: { modelAssetPath: POSE_MODEL_URL, delegate: 'GPU' },
+      runningMode: 'VIDEO',
+      numPoses: this.maxDancers
+    });
+
+    this.handLandmarker = await vision.HandLandmarker.createFromOptions(fileset, {
+      baseOptions: { modelAssetPath: HAND_MODEL_URL, delegate: 'GPU' },
+      runningMode: 'VIDEO',
+      numHands: this.maxDancers * 2
+    });
+
+    console.log(`Multi-dancer tracking initialized (up to ${this.maxDancers})`);
+  }
+
+  async setMaxDancers(maxDancers) {
+    this.maxDancers = maxDancers;
+    if (!this.ready) return;
+
+    await this.poseLandmarker.setOptions({ numPoses: maxDancers });
+    await this.handLandmarker.setOptions({ numHands: maxDancers * 2 });
+  }
+
+  /**
+   * Landmarks in image space: { poses: [[33 points]], hands: [[21 points]] }
+   */
+  detect(image, timestamp) {
+    // The landmarkers reject timestamps that don't increase
+    const t = Math.max(Math.round(timestamp), this.lastTimestamp + 1);
+    this.lastTimestamp = t;
+
+    return {
+      poses: this.poseLandmarker.detectForVideo(image, t).landmarks || [],
+      hands: this.handLandmarker.detectForVideo(image, t).landmarks || []
+    };
+  }
+
+  close() {
+    if (this.poseLandmarker) this.poseLandmarker.close();
+    if (this.handLandmarker) this.handLandmarker.close();
+    this.poseLandmarker = null;
+    this.handLandmarker = null;
+    this.loading = null;
+  }
+}
+
+/**
+ * Give each hand to the nearest pose wrist (15 = the dancer's left,
+ * 16 = right), at most one hand per wrist. Hands further than a shoulder
+ * width from every wrist belong to no one.
+ *
+ * @returns {Array} Per pose, [{ handedness, landmarks }]
+ */
+export function assignHands(poses, hands) {
+  const pairs = [];
+
+  poses.forEach((pose, p) => {
+    const width = Math.max(shoulderWidth(pose), 0.05);
+    for (const [handedness, index] of [['Left', 15], ['Right', 16]]) {
+      hands.forEach((hand, h) => {
+        const d = Math.hypot(hand[0].x - pose[index].x, hand[0].y - pose[index].y) / width;
+        if (d < 1) pairs.push({ p, h, handedness, d });
+      });
+    }
+  });
+
+  pairs.sort((a, b) => a.d - b.d);
+
+  const assigned = poses.map(() => []);
+  const usedHands = new Set();
+  const usedWrists = new Set();
+  for (const { p, h, handedness } of pairs) {
+    if (usedHands.has(h) || usedWrists.has(`${p}:${handedness}`)) continue;
+    usedHands.add(h);
+    usedWrists.add(`${p}:${handedness}`);
+    assigned[p].push({ handedness, landmarks: hands[h] });
+  }
+
+  return assigned;
+}
+
+/**
+ * Keeps dancer IDs stable: each body is matched to the nearest dancer
+ * seen recently (distance in shoulder widths), closest pairs first.
+ */
+export class DancerIdentifier {
+  constructor({
+    maxDistance = 1,   // Shoulder widths a dancer can move between frames
+    maxMissing = 1000  // ms a dancer may vanish before their ID is retired
+  } = {}) {
+    this.maxDistance = maxDistance;
+    this.maxMissing = maxMissing;
+    this.reset();
+  }
+
+  reset() {
+    this.dancers = []; // { id, slot, center, width, lastSeen }
+    this.nextId = 1;
+  }
+
+  /**
+   * Dancers currently known (seen within maxMissing)
+   */
+  get active() {
+    return this.dancers.map(({ id, slot }) => ({ id, slot }));
+  }
+
+  /**
+   * @param {Array} poses - Pose landmark arrays for this frame
+   * @returns {Array} { id, slot } for each pose, in the same order
+   */
+  identify(poses, timestamp) {
+    this.dancers = this.dancers.filter(d => timestamp - d.lastSeen <= this.maxMissing);
+
+    const bodies = poses.map(pose => ({ center: shoulderCenter(pose), width: shoulderWidth(pose) }));
+    const pairs = [];
+    bodies.forEach((body, b) => {
+      this.dancers.forEach((dancer, d) => {
+        const distance = Math.hypot(body.center.x - dancer.center.x, body.center.y - dancer.center.y) /
+          Math.max(dancer.width, 0.05);
+        if (distance <= this.maxDistance) pairs.push({ b, d, distance });
+      });
+    });
+    pairs.sort((a, c) => a.distance - c.distance);
+
+    const matches = new Array(poses.length).fill(null);
+    const taken = new Set();
+    for (const { b, d } of pairs) {
+      if (matches[b] !== null || taken.has(d)) continue;
+      matches[b] = this.dancers[d];
+      taken.add(d);
+    }
+
+    return bodies.map((body, b) => {
+      let dancer = matches[b];
+      if (!dancer) {
+        dancer = { id: this.nextId++, slot: this.freeSlot() };
+        this.dancers.push(dancer);
+      }
+      Object.assign(dancer, { center: body.center, width: body.width, lastSeen: timestamp });
+      return { id: dancer.id, slot: dancer.slot };
+    });
+  }
+
+  freeSlot() {
+    const used = new Set(this.dancers.map(d => d.slot));
+    let slot = 0;
+    while (used.has(slot)) slot++;
+    return slot;
+  }
+}
+
+/**
+ * A rolling score history per dancer, for readouts and later analysis
+ */
+export class ScoreStreams {
+  constructor({ windowMs = 10000 } = {}) {
+    this.windowMs = windowMs;
+    this.streams = {}; // dancer id -> [{ t, score }]
+  }
+
+  push(id, score, timestamp = performance.now()) {
+    const stream = this.streams[id] || (this.streams[id] = []);
+    stream.push({ t: timestamp, score });
+    while (stream.length > 0 && timestamp - stream[0].t > this.windowMs) {
+      stream.shift();
+    }
+  }
+
+  latest(id) {
+    const stream = this.streams[id];
+    return stream && stream.length ? stream[stream.length - 1].score : null;
+  }
+
+  history(id) {
+    return this.streams[id] || [];
+  }
+
+  /**
+   * Drop dancers that are no longer tracked
+   */
+  retain(ids) {
+    for (const id of Object.keys(this.streams)) {
+      if (!ids.includes(Number(id))) delete this.streams[id];
+    }
+  }
+}
+
+function shoulderCenter(pose) {
+  return { x: (pose[11].x + pose[12].x) / 2, y: (pose[11].y + pose[12].y) / 2 };
+}
+
+function shoulderWidth(pose) {
+  return Math.hypot(pose[11].x - pose[12].x, pose[11].y - pose[12].y);
+}
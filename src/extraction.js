@@ -0,0 +1,237 @@
+/**
+ * Reference Video Extraction Module
+ *
+ * Runs HolisticTracker on a local video file instead of the webcam so
+ * templates can be built from a real dancer. Scrub to a moment, mark it
+ * as a keyframe, then batch-export the keyframes as templates or extract
+ * a landmark track for the whole clip.
+ */
+
+import { createTemplates } from './authoring.js';
+import { serializeFrame, createTrack } from './tracks.js';
+
+export class VideoExtractor {
+  constructor({ tracker, videoElement, onFrame = null }) {
+    this.tracker = tracker;
+    this.videoElement = videoElement;
+    this.onFrame = onFrame; // (data, time) after each analyzed frame
+
+    this.sourceName = null;
+    this.objectUrl = null;
+    this.current = null;    // { time, data } for the frame on screen
+    this.keyframes = [];    // [{ time, data }] sorted by time
+    this.cancelled = false;
+    this.busy = false;
+  }
+
+  /**
+   * Load a video File (from an <input type="file">) or URL
+   */
+  async load(source) {
+    if (this.objectUrl) {
+      URL.revokeObjectURL(this.objectUrl);
+      this.objectUrl = null;
+    }
+
+    if (source instanceof Blob) {
+      this.objectUrl = URL.createObjectURL(source);
+      this.videoElement.src = this.objectUrl;
+      this.sourceName = source.name || 'video';
+    } else {
+      this.videoElement.src = source;
+      this.sourceName = source.split('/').pop();
+    }
+
+    this.keyframes = [];
+    this.current = null;
+
+    await waitForEvent(this.videoElement, 'loadeddata');
+    await this.seek(0);
+  }
+
+  get duration() {
+    return this.videoElement.duration || 0;
+  }
+
+  /**
+   * Jump to a time (seconds) and analyze that frame
+   */
+  async seek(time) {
+    const video = this.videoElement;
+    const target = Math.max(0, Math.min(time, this.duration));
+
+    if (Math.abs(video.currentTime - target) > 0.001) {
+      video.currentTime = target;
+      await waitForEvent(video, 'seeked');
+    }
+
+    return this.analyzeCurrentFrame();
+  }
+
+  /**
+   * Analyze whatever frame the video is showing
+   */
+  async analyzeCurrentFrame({ reset = true } = {}) {
+    const time = this.videoElement.currentTime;
+    const data = await this.tracker.analyzeFrame(this.videoElement, { reset });
+
+    this.current = { time, data };
+    if (this.onFrame) this.onFrame(data, time);
+    return data;
+  }
+
+  /**
+   * Keep the current frame. Marking the same time twice replaces it.
+   */
+  markKeyframe() {
+    if (!this.current || this.current.data.hands.length === 0) {
+      throw new Error('No hands detected in this frame');
+    }
+
+    this.keyframes = this.keyframes.filter(k => Math.abs(k.time - this.current.time) > 0.01);
+    this.keyframes.push(this.current);
+    this.keyframes.sort((a, b) => a.time - b.time);
+    return this.current;
+  }
+
+  removeKeyframe(index) {
+    this.keyframes.splice(index, 1);
+  }
+
+  /**
+   * Turn every keyframe into templates: one hand template per detected
+   * hand, plus a body template when the pose was tracked.
+   *
+   * @returns {{ templates: Array, bodyTemplates: Array }}
+   */
+  toTemplates(baseName = 'Reference') {
+    const result = { templates: [], bodyTemplates: [] };
+    // Keyframes closer than formatTime shows get the same name
+    const reserved = new Set();
+
+    for (const { time, data } of this.keyframes) {
+      const hands = {};
+      for (const hand of data.hands) {
+        hands[hand.handedness] = { landmarks: hand.landmarks, aspect: hand.aspect };
+      }
+      const capture = { hands, pose: data.pose, frameCount: 1 };
+      const sides = Object.keys(hands);
+
+      sides.forEach((side, i) => {
+        const suffix = sides.length > 1 ? ` ${side.toLowerCase()}` : '';
+        const { template, bodyTemplate } = createTemplates(capture, {
+          name: `${baseName} ${formatTime(time)}${suffix}`,
+          description: `From ${this.sourceName} at ${formatTime(time)}`,
+          category: 'reference',
+          hand: side,
+          includeBody: i === 0,
+          reserved
+        });
+
+        result.templates.push(template);
+        if (bodyTemplate) result.bodyTemplates.push(bodyTemplate);
+      });
+    }
+
+    return result;
+  }
+
+  /**
+   * Step through the whole clip and record a landmark track.
+   *
+   * @param {Object} options
+   * @param {number} options.fps - Frames sampled per second of video
+   * @param {Function} options.onProgress - (0-1) after each frame
+   */
+  async extractTrack({ fps = 15, onProgress = null } = {}) {
+    if (this.busy) throw new Error('Extraction already running');
+
+    this.busy = true;
+    this.cancelled = false;
+    this.videoElement.pause();
+
+    const frames = [];
+    const step = 1 / fps;
+
+    try {
+      for (let time = 0; time <= this.duration; time += step) {
+        if (this.cancelled) throw new Error('Extraction cancelled');
+
+        const video = this.videoElement;
+        video.currentTime = time;
+        await waitForEvent(video, 'seeked');
+
+        // Sequential frames: keep temporal smoothing except on the first
+        const data = await this.tracker.analyzeFrame(video, { reset: frames.length === 0 });
+        frames.push(serializeFrame(data, time * 1000));
+
+        if (this.onFrame) this.onFrame(data, time);
+        if (onProgress) onProgress(Math.min(time / this.duration, 1));
+      }
+    } finally {
+      this.busy = false;
+    }
+
+    return createTrack(frames, { source: this.sourceName });
+  }
+
+  cancel() {
+    this.cancelled = true;
+  }
+}
+
+function waitForEvent(element, type) {
+  return new Promise((resolve, reject) => {
+    const onEvent = () => {
+      element.removeEventListener('error', onError);
+      resolve();
+    };
+    const onError = () => {
+      element.removeEventListener(type, onEvent);
+      reject(new Error(`Video failed to load (${type})`));
+    };
+    element.addEventListener(type, onEvent, { once: true });
+    element.addEventListener('error', onError, { once: true });
+  });
+}
+
+export function formatTime(seconds) {
+  const minutes = Math.floor(seconds / 60);
+  const rest = (seconds % 60).toFixed(1).padStart(4, '0');
+  return `${minutes}:${rest}`;
+}
+
+/**
+ * Draw tracked hands and arms over a video (2D canvas, display space)
+ */
+export function drawFrameOverlay(canvas, data) {
+  const ctx = canvas.getContext('2d');
+  const { width, height } = canvas;
+  ctx.clearRect(0, 0, width, height);
+  if (!data) return;
+
+  const point = (lm) => [lm.x * width, lm.y * height];
+
+  if (data.pose) {
+    ctx.strokeStyle = 'rgba(255, 193, 7, 0.8)';
+    ctx.lineWidth = 2;
+    for (const side of ['left', 'right']) {
+      const arm = data.pose[side];
+      ctx.beginPath();
+      ctx.moveTo(...point(arm.shoulder));
+      ctx.lineTo(...point(arm.elbow));
+      ctx.lineTo(...point(arm.wrist));
+      ctx.stroke();
+    }
+  }
+
+  for (const hand of data.hands) {
+    ctx.fillStyle = hand.handedness === 'Left' ? 'rgb(0, 131, 143)' : 'rgb(183, 28, 28)';
+    for (const lm of hand.landmarks) {
+      const [x, y] = point(lm);
+      ctx.beginPath();
+      ctx.arc(x, y, 2.5, 0, Math.PI * 2);
+      ctx.fill();
+    }
+  }
+}
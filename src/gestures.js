@@ -0,0 +1,296 @@
+/**
+ * Percussive Gestures
+ *
+ * Finger snaps, claps and sharp wrist flicks, found in the tracked
+ * landmarks frame by frame, and judged against the music's beats:
+ *
+ * - Snap: thumb and middle fingertip touch, then spring apart within a
+ *   frame or two
+ * - Clap: the wrists rush together until they meet (pose wrists when the
+ *   body is in view, since clapping hands hide each other; hand wrists
+ *   otherwise)
+ * - Flick: the hand whips round the wrist, fast and through a wide angle
+ *
+ * Gestures last a frame or two, and smoothing would blunt them, so they
+ * are found in the unsmoothed landmarks each result keeps (`raw`), as
+ * tremble is.
+ *
+ * Events: { type: 'snap' | 'clap' | 'flick', hand: 'Left' | 'Right' | null,
+ *   time (ms), music (s or null), x, y (0-1, where to show it) }
+ */
+
+// Thumb to middle fingertip (palm lengths): touching, and sprung apart
+const SNAP_CONTACT = 0.3;
+const SNAP_RELEASE = 0.6;
+const SNAP_MAX_RELEASE_MS = 100;
+
+// Wrists meeting (shoulder widths with the pose, palm lengths with hands)
+// and how fast they must have been closing (per second)
+const CLAP = {
+  pose: { contact: 0.35, speed: 2.5 },
+  hands: { contact: 1.2, speed: 8 }
+};
+const CLAP_SPEED_WINDOW = 150; // ms
+
+// Hand direction (wrist to middle knuckle): turning speed (rad/s) and
+// the angle swept over the last FLICK_WINDOW ms (rad)
+const FLICK_SPEED = 8;
+const FLICK_SWEEP = 0.6;
+const FLICK_WINDOW = 150;
+
+// One gesture of a kind per hand within this long (ms)
+const REFRACTORY = 200;
+
+export class GestureDetector {
+  constructor() {
+    this.reset();
+  }
+
+  reset() {
+    this.hands = {};   // handedness -> { snap, angles, lastEvent }
+    this.clap = { samples: [], together: false, lastEvent: -Infinity };
+  }
+
+  /**
+   * One processed frame ({ hands, pose }); returns the gestures it ends
+   *
+   * @param {number} timestamp - ms
+   * @param {number|null} music - Music position (s) at this frame
+   */
+  update(data, timestamp, music = null) {
+    const events = [];
+    const hands = (data && data.hands) || [];
+    const seen = new Set();
+
+    for (const hand of hands) {
+      seen.add(hand.handedness);
+      const history = this.hands[hand.handedness] || (this.hands[hand.handedness] = {
+        snap: { touching: false, lastTouch: -Infinity },
+        angles: [],
+        lastEvent: { snap: -Infinity, flick: -Infinity }
+      });
+
+      const snap = this.detectSnap(hand, history, timestamp);
+      if (snap) events.push(snap);
+      const flick = this.detectFlick(hand, history, timestamp);
+      if (flick) events.push(flick);
+    }
+
+    // A hand that drops out starts over when it returns
+    for (const key of Object.keys(this.hands)) {
+      if (!seen.has(key)) delete this.hands[key];
+    }
+
+    const clap = this.detectClap(hands, data && data.pose, timestamp);
+    if (clap) events.push(clap);
+
+    return events.map(event => ({ ...event, time: timestamp, music }));
+  }
+
+  detectSnap(hand, history, timestamp) {
+    const lm = landmarksOf(hand);
+    const palm = palmLength(hand);
+    const gap = distance(lm[4], lm[12], hand.aspect) / palm;
+    const state = history.snap;
+
+    if (gap < SNAP_CONTACT) {
+      state.touching = true;
+      state.lastTouch = timestamp;
+      return null;
+    }
+
+    // Sprung apart, not eased apart
+    if (state.touching && gap > SNAP_RELEASE) {
+      state.touching = false;
+      if (timestamp - state.lastTouch <= SNAP_MAX_RELEASE_MS && timestamp - history.lastEvent.snap > REFRACTORY) {
+        history.lastEvent.snap = timestamp;
+        return { type: 'snap', hand: hand.handedness, x: lm[4].x, y: lm[4].y };
+      }
+    } else if (timestamp - state.lastTouch > SNAP_MAX_RELEASE_MS) {
+      state.touching = false;
+    }
+    return null;
+  }
+
+  detectFlick(hand, history, timestamp) {
+    const lm = landmarksOf(hand);
+    const aspect = hand.aspect || 1;
+    const angle = Math.atan2(lm[9].y - lm[0].y, (lm[9].x - lm[0].x) * aspect);
+
+    const angles = history.angles;
+    // Unwrapped, so a turn across ±π doesn't look like a full circle
+    const previous = angles.length ? angles[angles.length - 1] : null;
+    const unwrapped = previous ? previous.angle + wrapAngle(angle - previous.angle) : angle;
+    angles.push({ t: timestamp, angle: unwrapped });
+    while (angles.length > 0 && timestamp - angles[0].t > FLICK_WINDOW) angles.shift();
+
+    if (!previous || timestamp - history.lastEvent.flick <= REFRACTORY) return null;
+
+    const dt = (timestamp - previous.t) / 1000;
+    const speed = dt > 0 ? Math.abs(unwrapped - previous.angle) / dt : 0;
+    const values = angles.map(a => a.angle);
+    const sweep = Math.max(...values) - Math.min(...values);
+
+    if (speed > FLICK_SPEED && sweep > FLICK_SWEEP) {
+      history.lastEvent.flick = timestamp;
+      angles.length = 0;
+      return { type: 'flick', hand: hand.handedness, x: lm[12].x, y: lm[12].y };
+    }
+    return null;
+  }
+
+  detectClap(hands, pose, timestamp) {
+    const wrists = clapWrists(hands, pose);
+    const clap = this.clap;
+    if (!wrists) {
+      clap.samples = [];
+      clap.together = false;
+      return null;
+    }
+
+    const { gap, source, x, y } = wrists;
+    const { contact, speed } = CLAP[source];
+
+    // A change of source isn't motion
+    if (clap.samples.length && clap.samples[0].source !== source) clap.samples = [];
+    clap.samples.push({ t: timestamp, gap, source });
+    while (clap.samples.length > 0 && timestamp - clap.samples[0].t > CLAP_SPEED_WINDOW) clap.samples.shift();
+
+    if (gap > contact * 2) {
+      clap.together = false;
+      return null;
+    }
+    if (clap.together || gap > contact) return null;
+
+    const first = clap.samples[0];
+    const closing = timestamp > first.t ? (first.gap - gap) / ((timestamp - first.t) / 1000) : 0;
+    clap.together = true;
+
+    if (closing > speed && timestamp - clap.lastEvent > REFRACTORY) {
+      clap.lastEvent = timestamp;
+      return { type: 'clap', hand: null, x, y };
+    }
+    return null;
+  }
+}
+
+/**
+ * Judges gestures against the beat clock: each one's offset from the
+ * nearest beat, on time within `tolerance`, and a running rhythm score
+ */
+export class RhythmScorer {
+  constructor({
+    beatClock,
+    tolerance = 0.07, // s either side of the beat that counts as on time
+    recent = 16       // Gestures in the running score
+  }) {
+    this.beatClock = beatClock;
+    this.tolerance = tolerance;
+    this.recent = recent;
+    this.reset();
+  }
+
+  reset() {
+    this.judged = [];
+    this.counts = { on: 0, early: 0, late: 0 };
+  }
+
+  /**
+   * The gesture with { offset (s, negative = early), judgement, accuracy },
+   * or null without music or a beat map
+   */
+  judge(event) {
+    if (event.music === null || event.music === undefined || !this.beatClock.ready) return null;
+
+    const { offset, period } = this.beatClock.offsetAt(event.music);
+    const judgement = Math.abs(offset) <= this.tolerance ? 'on' : offset < 0 ? 'early' : 'late';
+
+    // Full marks on time, none a quarter beat off
+    const margin = Math.max(period / 4 - this.tolerance, 0.01);
+    const accuracy = Math.max(0, Math.min(1, 1 - (Math.abs(offset) - this.tolerance) / margin));
+
+    const judged = { ...event, offset, judgement, accuracy };
+    this.judged.push(judged);
+    this.counts[judgement]++;
+    return judged;
+  }
+
+  /**
+   * Mean accuracy of the latest gestures (0-1), null before any
+   */
+  get score() {
+    const latest = this.judged.slice(-this.recent);
+    if (latest.length === 0) return null;
+    return latest.reduce((sum, e) => sum + e.accuracy, 0) / latest.length;
+  }
+
+  summary() {
+    const offsets = this.judged.map(e => e.offset);
+    return {
+      events: this.judged.length,
+      ...this.counts,
+      byType: countBy(this.judged, e => e.type),
+      meanOffset: offsets.length ? offsets.reduce((a, b) => a + b, 0) / offsets.length : null,
+      score: this.judged.length
+        ? this.judged.reduce((sum, e) => sum + e.accuracy, 0) / this.judged.length
+        : null
+    };
+  }
+}
+
+/**
+ * The two wrists' gap for clap detection, in shoulder widths from the
+ * pose or palm lengths from the hands
+ */
+function clapWrists(hands, pose) {
+  if (pose) {
+    const lm = landmarksOf(pose);
+    const visible = [15, 16].every(i => (lm[i].visibility ?? 1) >= 0.5);
+    if (visible && pose.shoulderWidth > 0) {
+      return {
+        source: 'pose',
+        gap: Math.hypot(lm[15].x - lm[16].x, lm[15].y - lm[16].y) / pose.shoulderWidth,
+        x: (lm[15].x + lm[16].x) / 2,
+        y: (lm[15].y + lm[16].y) / 2
+      };
+    }
+  }
+
+  const left = hands.find(h => h.handedness === 'Left');
+  const right = hands.find(h => h.handedness === 'Right');
+  if (!left || !right) return null;
+
+  const palm = (palmLength(left) + palmLength(right)) / 2;
+  return {
+    source: 'hands',
+    gap: distance(landmarksOf(left)[9], landmarksOf(right)[9], left.aspect) / palm,
+    x: (landmarksOf(left)[9].x + landmarksOf(right)[9].x) / 2,
+    y: (landmarksOf(left)[9].y + landmarksOf(right)[9].y) / 2
+  };
+}
+
+function palmLength(hand) {
+  const lm = landmarksOf(hand);
+  return distance(lm[0], lm[9], hand.aspect) || 1;
+}
+
+/**
+ * Unsmoothed landmarks when the result has them
+ */
+function landmarksOf(part) {
+  return part.raw || part.landmarks;
+}
+
+function distance(a, b, aspect = 1) {
+  return Math.hypot((a.x - b.x) * aspect, a.y - b.y);
+}
+
+function wrapAngle(angle) {
+  return Math.atan2(Math.sin(angle), Math.cos(angle));
+}
+
+function countBy(items, key) {
+  const counts = {};
+  for (const item of items) counts[key(item)] = (counts[key(item)] || 0) + 1;
+  return counts;
+}
@@ -0,0 +1,161 @@
+/**
+ * Lessons Module
+ *
+ * A course walks the learner through Lazgi's sequential awakening:
+ * a still pose, then fingers, wrists, arms, shoulders, neck, torso and
+ * legs, each unit unlocked by passing the one before. Courses are JSON:
+ *
+ *   {
+ *     version: 1, id, name,
+ *     units: [{
+ *       id, name, focus, text,
+ *       video: { start, end },           // Optional learn video segment (s)
+ *       steps: [{
+ *         template: 'sun-pose',          // A hand, body or movement template id
+ *         check: { type, part, ... },    // ...or a movement check (checks.js)
+ *         name, text,                    // Shown while the step runs
+ *         pass: { score: 0.7, hold: 1500 },
+ *         video: { start, end },         // Overrides the unit's segment
+ *         tempo: { ... }                 // Adaptive tempo settings (tempo.js)
+ *       }]
+ *     }]
+ *   }
+ *
+ * unitCurriculum() turns a unit into PoseCoach curriculum entries, so a
+ * lesson runs through the same coach as the free curriculum. Finished
+ * units are remembered per course in localStorage.
+ */
+
+import { getCurriculum } from './library.js';
+import { checkProblem } from './checks.js';
+
+const COURSE_URL = './assets/lessons/awakening.json';
+const STORAGE_KEY = 'lazgi-lessons';
+export const COURSE_VERSION = 1;
+
+/**
+ * Fetch and validate a course
+ */
+export async function loadCourse(url = COURSE_URL) {
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`Failed to load course (${response.status})`);
+  }
+
+  const course = validateCourse(await response.json());
+  console.log(`Loaded course "${course.name}" (${course.units.length} units)`);
+  return course;
+}
+
+/**
+ * Check a course's shape, returning it, or throw
+ */
+export function validateCourse(course) {
+  if (!course || typeof course !== 'object' || !Array.isArray(course.units)) {
+    throw new Error('Course is not a JSON object with units');
+  }
+  if (course.version && course.version > COURSE_VERSION) {
+    throw new Error(`Course version ${course.version} is newer than supported (${COURSE_VERSION})`);
+  }
+  if (!course.id) throw new Error('Course has no id');
+
+  for (const unit of course.units) {
+    if (!unit.id || !Array.isArray(unit.steps) || unit.steps.length === 0) {
+      throw new Error(`Unit ${unit.id || '(no id)'} has no steps`);
+    }
+    unit.steps.forEach((step, i) => {
+      if (!step.template && !step.check) {
+        throw new Error(`A step in unit ${unit.id} has neither a template nor a check`);
+      }
+      const problem = step.template ? null : checkProblem(step.check);
+      if (problem) {
+        throw new Error(`Step ${i + 1} of unit ${unit.id}: the check ${problem}`);
+      }
+    });
+  }
+
+  return course;
+}
+
+/**
+ * A unit's steps as curriculum entries: the template itself (with the
+ * step's text, pass criteria and video segment on top), or a check entry
+ */
+export function unitCurriculum(unit) {
+  const library = getCurriculum();
+
+  return unit.steps.map((step, i) => {
+    const extras = {
+      pass: step.pass,
+      video: step.video || unit.video || null,
+      ...(step.tempo ? { tempo: step.tempo } : {})
+    };
+
+    if (step.template) {
+      const template = library.find(t => t.id === step.template);
+      if (!template) {
+        throw new Error(`Unit ${unit.id} uses unknown template "${step.template}"`);
+      }
+      return {
+        ...template,
+        ...extras,
+        name: step.name || template.name,
+        description: step.text || template.description
+      };
+    }
+
+    return {
+      id: `${unit.id}-${i + 1}`,
+      name: step.name || unit.name,
+      description: step.text || '',
+      check: step.check,
+      ...extras
+    };
+  });
+}
+
+/**
+ * Units finished so far in a course (ids)
+ */
+export function loadProgress(courseId) {
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
+    return stored[courseId] || [];
+  } catch (err) {
+    console.warn('Could not read lesson progress:', err.message);
+    return [];
+  }
+}
+
+export function markUnitComplete(courseId, unitId) {
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
+    const completed = stored[courseId] || [];
+    if (!completed.includes(unitId)) completed.push(unitId);
+    stored[courseId] = completed;
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(stored));
+  } catch (err) {
+    console.warn('Could not save lesson progress:', err.message);
+  }
+}
+
+/**
+ * The first unit is always open; each later one opens once the unit
+ * before it has been passed
+ */
+export function isUnlocked(course, index, completed) {
+  return index === 0 || completed.includes(course.units[index - 1].id);
+}
+
+/**
+ * Forget a course's finished units (start the progression over)
+ */
+export function resetProgress(courseId) {
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
+    delete stored[courseId];
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(stored));
+  } catch (err) {
+    console.warn('Could not reset lesson progress:', err.message);
+  }
+}
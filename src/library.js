@@ -0,0 +1,212 @@
+/**
+ * Template Library
+ *
+ * Loads hand, body and movement templates from JSON at runtime and
+ * handles importing and exporting template files. The arrays exported by
+ * templates.js and movements.js are filled in place, so every module
+ * that imported them sees the same data.
+ *
+ * File format:
+ *   { version: 1, templates: [...], bodyTemplates: [...], movements: [...] }
+ */
+
+import { templates, bodyTemplates } from './templates.js';
+import { movements, expandMovement } from './movements.js';
+
+const LIBRARY_URL = './assets/templates/templates.json';
+export const FORMAT_VERSION = 1;
+
+// Movement definitions as loaded (keyframes are kept for export)
+const movementSources = [];
+
+/**
+ * Fetch the bundled template library, replacing anything loaded before
+ */
+export async function loadLibrary(url = LIBRARY_URL) {
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`Failed to load templates (${response.status})`);
+  }
+
+  const data = await response.json();
+  templates.length = 0;
+  bodyTemplates.length = 0;
+  movements.length = 0;
+  movementSources.length = 0;
+
+  mergeLibrary(data);
+  console.log(`Loaded ${templates.length} templates, ${bodyTemplates.length} body templates, ${movements.length} movements`);
+}
+
+/**
+ * Add templates from a library object. Entries with an existing id
+ * replace the old one. The whole file is checked first, so a bad entry
+ * leaves the library as it was.
+ */
+export function mergeLibrary(data) {
+  validateLibrary(data);
+
+  // Keyframed movements expand against the hand templates, new ones included
+  const snapshot = [templates, bodyTemplates, movements, movementSources].map(list => [...list]);
+  try {
+    for (const template of data.templates || []) upsert(templates, template);
+    for (const template of data.bodyTemplates || []) upsert(bodyTemplates, template);
+    const expanded = (data.movements || []).map(definition => expandMovement(definition));
+    (data.movements || []).forEach((definition, i) => {
+      upsert(movementSources, definition);
+      upsert(movements, expanded[i]);
+    });
+  } catch (err) {
+    [templates, bodyTemplates, movements, movementSources].forEach((list, i) => {
+      list.length = 0;
+      list.push(...snapshot[i]);
+    });
+    throw err;
+  }
+}
+
+/**
+ * Check a library object's shape, or throw naming the first bad entry
+ */
+export function validateLibrary(data) {
+  if (!data || typeof data !== 'object') {
+    throw new Error('Template file is not a JSON object');
+  }
+  if (data.version && data.version > FORMAT_VERSION) {
+    throw new Error(`Template file version ${data.version} is newer than supported (${FORMAT_VERSION})`);
+  }
+  for (const key of ['templates', 'bodyTemplates', 'movements']) {
+    if (data[key] !== undefined && !Array.isArray(data[key])) {
+      throw new Error(`Template file "${key}" is not a list`);
+    }
+  }
+
+  const isPoint = (p) => p && Number.isFinite(p.x) && Number.isFinite(p.y);
+  const isHand = (landmarks) => Array.isArray(landmarks) && landmarks.length === 21 && landmarks.every(isPoint);
+
+  for (const template of data.templates || []) {
+    if (!template || !template.id || !isHand(template.landmarks)) {
+      throw new Error(`Invalid hand template: ${(template && template.id) || '(no id)'}`);
+    }
+  }
+
+  // Hand templates body templates and movements may refer to
+  const handIds = new Set([...templates, ...(data.templates || [])].map(t => t.id));
+
+  for (const template of data.bodyTemplates || []) {
+    const name = (template && template.id) || '(no id)';
+    if (!template || !template.id || !(template.hand || template.arms || template.torso)) {
+      throw new Error(`Invalid body template: ${name}`);
+    }
+    if (template.hand && !handIds.has(template.hand.template)) {
+      throw new Error(`Body template ${name} uses unknown hand template "${template.hand.template}"`);
+    }
+  }
+
+  for (const movement of data.movements || []) {
+    const name = (movement && movement.id) || '(no id)';
+    if (!movement || !movement.id || !Number.isFinite(movement.duration)) {
+      throw new Error(`Invalid movement: ${name}`);
+    }
+    if (movement.frames) {
+      if (!Array.isArray(movement.frames) || movement.frames.length === 0 ||
+          !movement.frames.every(f => f && Number.isFinite(f.t) && isHand(f.landmarks))) {
+        throw new Error(`Movement ${name} has invalid frames`);
+      }
+    } else {
+      if (!Array.isArray(movement.keyframes) || movement.keyframes.length === 0 ||
+          !movement.keyframes.every(k => k && Number.isFinite(k.t))) {
+        throw new Error(`Movement ${name} has invalid keyframes`);
+      }
+      const unknown = movement.keyframes.find(k => !handIds.has(k.template));
+      if (unknown) {
+        throw new Error(`Movement ${name} uses unknown hand template "${unknown.template}"`);
+      }
+    }
+  }
+}
+
+function upsert(list, item) {
+  const index = list.findIndex(existing => existing.id === item.id);
+  if (index === -1) {
+    list.push(item);
+  } else {
+    list[index] = item;
+  }
+}
+
+/**
+ * Everything currently loaded, in file format
+ */
+export function serializeLibrary() {
+  return {
+    version: FORMAT_VERSION,
+    templates: [...templates],
+    bodyTemplates: [...bodyTemplates],
+    movements: [...movementSources]
+  };
+}
+
+/**
+ * Download the library as a JSON file
+ */
+export function exportLibrary(filename = 'lazgi-templates.json') {
+  downloadJSON(serializeLibrary(), filename);
+}
+
+/**
+ * Save any JSON-able object as a local file.
+ * Use `compact` for large data such as landmark tracks.
+ */
+export function downloadJSON(data, filename, { compact = false } = {}) {
+  const json = compact ? JSON.stringify(data) : JSON.stringify(data, null, 2);
+  downloadBlob(new Blob([json], { type: 'application/json' }), filename);
+}
+
+/**
+ * Save a Blob (e.g. a recorded video) as a local file
+ */
+export function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+
+  // Revoking at once can cancel the download of a large file
+  setTimeout(() => URL.revokeObjectURL(url), 60000);
+}
+
+/**
+ * Merge a user-chosen JSON file into the library
+ */
+export async function importLibraryFile(file) {
+  const data = JSON.parse(await file.text());
+  mergeLibrary(data);
+}
+
+/**
+ * Default Learn mode order: hand shapes, whole body, then motion
+ */
+export function getCurriculum() {
+  return [...templates, ...bodyTemplates, ...movements];
+}
+
+/**
+ * Generate an id from a name that no loaded template uses yet
+ *
+ * @param {Set} reserved - Ids made for a batch not yet in the library;
+ *   the new id is added to it
+ */
+export function uniqueId(name, reserved = null) {
+  const base = name.toLowerCase().trim().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'pose';
+  const taken = new Set(getCurriculum().map(t => t.id));
+
+  let id = base;
+  for (let n = 2; taken.has(id) || (reserved && reserved.has(id)); n++) {
+    id = `${base}-${n}`;
+  }
+  if (reserved) reserved.add(id);
+  return id;
+}
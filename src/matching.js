@@ -0,0 +1,336 @@
+/**
+ * Hand Pose Matching Module
+ *
+ * Compares hands in a normalized space so the score depends on the
+ * shape of the hand, not where it sits in the frame:
+ * - Translation: landmarks are anchored at the wrist (landmark 0)
+ * - Scale: distances are divided by palm size (wrist to finger MCPs)
+ * - Rotation: optionally aligned to the template (2D Procrustes)
+ *
+ * A second mode compares finger joint flexion angles and reports
+ * which finger (or the wrist) is off and by how much.
+ *
+ * Arm and torso helpers score the body half of composite templates.
+ */
+
+// Finger base joints used to measure palm size
+const MCP_INDICES = [5, 9, 13, 17];
+
+// Average landmark error (in palm lengths) that scores zero
+const MATCH_TOLERANCE = 0.6;
+
+// Normalized templates never change, so compute them once
+const templateCache = new WeakMap();
+
+/**
+ * Wrist-anchor and palm-scale a set of landmarks.
+ *
+ * @param {Array} landmarks - 21 {x, y} points
+ * @param {number} aspect - Frame width / height, so x and y share units
+ * @param {Object|null} fingerScales - Per-finger length factors from the
+ *   dancer's calibration (see calibration.js), or null to leave as is
+ * @returns {Array} Normalized {x, y} points with the wrist at the origin
+ */
+export function normalizeHand(landmarks, aspect = 1, fingerScales = null) {
+  const wrist = landmarks[0];
+
+  let points = landmarks.map(lm => ({
+    x: (lm.x - wrist.x) * aspect,
+    y: lm.y - wrist.y
+  }));
+
+  if (fingerScales) points = scaleFingers(points, fingerScales);
+
+  let palmSize = 0;
+  for (const i of MCP_INDICES) {
+    palmSize += Math.hypot(points[i].x, points[i].y);
+  }
+  palmSize = palmSize / MCP_INDICES.length || 1;
+
+  return points.map(p => ({ x: p.x / palmSize, y: p.y / palmSize }));
+}
+
+/**
+ * Rotate points about the origin to best fit a reference set
+ * (rotation-only Procrustes; never reflects the hand).
+ *
+ * @returns {{ points: Array, angle: number }} Aligned points and the rotation applied
+ */
+export function alignRotation(points, reference) {
+  let cross = 0;
+  let dot = 0;
+
+  for (let i = 0; i < points.length; i++) {
+    cross += points[i].x * reference[i].y - points[i].y * reference[i].x;
+    dot += points[i].x * reference[i].x + points[i].y * reference[i].y;
+  }
+
+  const angle = Math.atan2(cross, dot);
+  const cos = Math.cos(angle);
+  const sin = Math.sin(angle);
+
+  return {
+    angle,
+    points: points.map(p => ({
+      x: p.x * cos - p.y * sin,
+      y: p.x * sin + p.y * cos
+    }))
+  };
+}
+
+/**
+ * Stretch each finger beyond its first joint, keeping the joint angles,
+ * so a dancer with short or long fingers compares like the reference hand
+ */
+function scaleFingers(points, fingerScales) {
+  const scaled = points.map(p => ({ ...p }));
+
+  for (const [finger, chain] of Object.entries(FINGER_CHAINS)) {
+    const scale = fingerScales[finger] ?? 1;
+    for (let j = 2; j < chain.length; j++) {
+      const from = points[chain[j - 1]];
+      const to = points[chain[j]];
+      scaled[chain[j]] = {
+        x: scaled[chain[j - 1]].x + (to.x - from.x) * scale,
+        y: scaled[chain[j - 1]].y + (to.y - from.y) * scale
+      };
+    }
+  }
+
+  return scaled;
+}
+
+function getNormalizedTemplate(template) {
+  let normalized = templateCache.get(template);
+  if (!normalized) {
+    normalized = normalizeHand(template.landmarks, template.aspect || 1);
+    templateCache.set(template, normalized);
+  }
+  return normalized;
+}
+
+/**
+ * Score a detected hand against a template.
+ *
+ * @param {Object} hand - Tracked hand ({ landmarks, aspect, fingerScales })
+ * @param {Object} template - Template with 21 landmarks
+ * @param {Object} options
+ * @param {boolean} options.alignRotation - Ignore hand orientation. Defaults to
+ *   true unless the template sets `orientationSensitive`.
+ * @returns {number} 0-1 where 1 is a perfect match
+ */
+export function matchHandShape(hand, template, options = {}) {
+  if (!hand || !template) return 0;
+
+  const align = options.alignRotation ?? !template.orientationSensitive;
+
+  const target = getNormalizedTemplate(template);
+  let detected = normalizeHand(hand.landmarks, hand.aspect || 1, hand.fingerScales);
+
+  if (align) {
+    detected = alignRotation(detected, target).points;
+  }
+
+  let totalDistance = 0;
+  for (let i = 0; i < 21; i++) {
+    totalDistance += Math.hypot(detected[i].x - target[i].x, detected[i].y - target[i].y);
+  }
+
+  const avgDistance = totalDistance / 21;
+  return Math.max(0, 1 - avgDistance / MATCH_TOLERANCE);
+}
+
+/**
+ * Joint-angle similarity
+ *
+ * Flexion is the bend at each joint along a finger chain
+ * (0° = perfectly straight). Comparing flexion tells the learner
+ * which finger to fix, not just how far off the whole hand is.
+ */
+
+export const FINGER_CHAINS = {
+  thumb: [0, 1, 2, 3, 4],
+  index: [0, 5, 6, 7, 8],
+  middle: [0, 9, 10, 11, 12],
+  ring: [0, 13, 14, 15, 16],
+  pinky: [0, 17, 18, 19, 20]
+};
+
+// Total flexion error (degrees) that scores zero for a finger
+const ANGLE_TOLERANCE = 60;
+
+// The three joints along each chain, knuckle first
+const JOINT_NAMES = ['base', 'middle', 'tip'];
+
+// Errors below this many degrees are not worth mentioning
+const FEEDBACK_THRESHOLD = 15;
+
+const toDegrees = (rad) => rad * 180 / Math.PI;
+
+function segmentAngle(a, b, c) {
+  const v1 = { x: b.x - a.x, y: b.y - a.y };
+  const v2 = { x: c.x - b.x, y: c.y - b.y };
+
+  const dot = v1.x * v2.x + v1.y * v2.y;
+  const mag1 = Math.hypot(v1.x, v1.y);
+  const mag2 = Math.hypot(v2.x, v2.y);
+
+  return Math.acos(Math.max(-1, Math.min(1, dot / (mag1 * mag2 + 0.0001))));
+}
+
+/**
+ * Measure flexion (degrees) at the three joints of every finger,
+ * plus the hand's direction (wrist to middle MCP).
+ */
+export function measureJointAngles(landmarks, aspect = 1) {
+  const points = normalizeHand(landmarks, aspect);
+  const fingers = {};
+
+  for (const [name, chain] of Object.entries(FINGER_CHAINS)) {
+    const joints = [];
+    for (let j = 1; j < chain.length - 1; j++) {
+      joints.push(toDegrees(segmentAngle(points[chain[j - 1]], points[chain[j]], points[chain[j + 1]])));
+    }
+    fingers[name] = joints;
+  }
+
+  const wrist = toDegrees(Math.atan2(points[9].y, points[9].x));
+
+  return { fingers, wrist };
+}
+
+function describeFinger(name, errors) {
+  const bend = errors.reduce((sum, e) => sum + e, 0);
+  const deviation = errors.reduce((sum, e) => sum + Math.abs(e), 0);
+
+  // Mostly one way: the whole finger. Mixed (one joint bent, another
+  // straight): the worst joint on its own
+  let part = name;
+  let error = bend;
+  if (Math.abs(bend) < deviation / 2) {
+    const worst = errors.reduce((w, e, j) => (Math.abs(e) > Math.abs(errors[w]) ? j : w), 0);
+    part = `${name} ${JOINT_NAMES[worst]} joint`;
+    error = errors[worst];
+  }
+
+  const amount = Math.round(Math.abs(error));
+  return error < 0
+    ? `${part} too straight, bend ${amount}° more`
+    : `${part} too bent, straighten ${amount}°`;
+}
+
+/**
+ * Compare joint angles between a detected hand and a template.
+ *
+ * @returns {Object} { score, fingers, wrist, feedback, handedness }
+ *   fingers[name] = { score, error, deviation, joints, target, hint }
+ *   where error is the signed total flexion difference in degrees
+ *   (negative = too straight) and deviation the sum of each joint's
+ *   absolute difference, which the score uses.
+ *   feedback lists hints worst-first.
+ */
+export function compareJointAngles(hand, template) {
+  if (!hand || !template) return null;
+
+  const detected = measureJointAngles(hand.landmarks, hand.aspect || 1);
+  const target = measureJointAngles(template.landmarks, template.aspect || 1);
+
+  const fingers = {};
+  const issues = [];
+  let total = 0;
+
+  for (const name of Object.keys(FINGER_CHAINS)) {
+    const joints = detected.fingers[name];
+    const targetJoints = target.fingers[name];
+
+    // Errors in opposite directions at two joints mustn't cancel out
+    const errors = joints.map((a, j) => a - targetJoints[j]);
+    const error = errors.reduce((sum, e) => sum + e, 0);
+    const deviation = errors.reduce((sum, e) => sum + Math.abs(e), 0);
+    const score = Math.max(0, 1 - deviation / ANGLE_TOLERANCE);
+
+    let hint = null;
+    if (deviation >= FEEDBACK_THRESHOLD) {
+      hint = describeFinger(name, errors);
+      issues.push({ error: deviation, hint });
+    }
+
+    fingers[name] = { score, error, deviation, joints, target: targetJoints, hint };
+    total += score;
+  }
+
+  // Wrist: signed difference in hand direction, wrapped to ±180°
+  const wristError = ((detected.wrist - target.wrist + 540) % 360) - 180;
+  const wristScore = Math.max(0, 1 - Math.abs(wristError) / ANGLE_TOLERANCE);
+  let wristHint = null;
+  if (Math.abs(wristError) >= FEEDBACK_THRESHOLD) {
+    const direction = wristError > 0 ? 'counter-clockwise' : 'clockwise';
+    wristHint = `turn wrist ${Math.round(Math.abs(wristError))}° ${direction}`;
+    issues.push({ error: Math.abs(wristError), hint: wristHint });
+  }
+
+  // Orientation only counts toward the score where the pose needs it
+  let count = Object.keys(FINGER_CHAINS).length;
+  if (template.orientationSensitive) {
+    total += wristScore;
+    count++;
+  }
+
+  issues.sort((a, b) => b.error - a.error);
+
+  return {
+    score: total / count,
+    fingers,
+    wrist: { score: wristScore, error: wristError, hint: wristHint },
+    feedback: issues.map(issue => issue.hint),
+    handedness: hand.handedness
+  };
+}
+
+/**
+ * Body posture matching
+ *
+ * Arm and torso targets come from composite body templates and are
+ * compared against HolisticTracker's processPose output.
+ */
+
+// Errors that score zero for each body component
+const ARM_ANGLE_TOLERANCE = 60;     // degrees at the elbow
+const WRIST_HEIGHT_TOLERANCE = 0.3; // frame heights
+const TORSO_TILT_TOLERANCE = 0.1;   // shoulder height difference
+
+/**
+ * Score one arm against a target.
+ *
+ * @param {Object} arm - pose.left or pose.right from processPose
+ * @param {Object} target - { angle } elbow angle in degrees (180 = straight),
+ *   and/or { wristHeight } wrist height above the shoulder in frame units
+ *   (reference-body units once the dancer is calibrated)
+ * @returns {number} 0-1, averaged over the targets given
+ */
+export function matchArm(arm, target) {
+  if (!arm || !target) return 0;
+
+  const scores = [];
+
+  if (target.angle !== undefined) {
+    const error = Math.abs(toDegrees(arm.armAngle) - target.angle);
+    scores.push(Math.max(0, 1 - error / ARM_ANGLE_TOLERANCE));
+  }
+
+  if (target.wristHeight !== undefined) {
+    const error = Math.abs(arm.wristHeight - target.wristHeight);
+    scores.push(Math.max(0, 1 - error / WRIST_HEIGHT_TOLERANCE));
+  }
+
+  return scores.length ? scores.reduce((a, b) => a + b, 0) / scores.length : 0;
+}
+
+/**
+ * Score torso tilt (pose.torsoTilt) against a target value
+ */
+export function matchTorsoTilt(pose, targetTilt) {
+  if (!pose) return 0;
+  const error = Math.abs(pose.torsoTilt - targetTilt);
+  return Math.max(0, 1 - error / TORSO_TILT_TOLERANCE);
+}
@@ -0,0 +1,303 @@
+/**
+ * Lazgi Movement Templates
+ *
+ * Static templates are freeze-frames; Lazgi moves are sequences. A
+ * movement is a recorded landmark sequence with timing:
+ *
+ *   { id, name, description, category, hand, duration, frames: [{ t, landmarks }] }
+ *
+ * The user's recent motion is scored against a movement with dynamic time
+ * warping (DTW), so a phrase danced a little faster, slower or unevenly
+ * still matches. Like static templates, movements are authored for one
+ * hand in mirrored display space and mirrored for the other.
+ */
+
+import { templates, templateForHand } from './templates.js';
+import { normalizeHand } from './matching.js';
+
+const FRAME_RATE = 30;
+
+// Frames both sequences are resampled to before comparing
+const RESAMPLE_FRAMES = 30;
+
+// DTW may warp at most this fraction of the sequence (Sakoe-Chiba band)
+const WARP_BAND = 0.25;
+
+// Overall tempo range tried when cutting the user's window
+const TEMPO_SCALES = [0.75, 1, 1.33];
+
+// Average frame cost (palm lengths) that scores zero
+const MOVEMENT_TOLERANCE = 0.6;
+
+// Wrist travel matters less than hand shape
+const WRIST_WEIGHT = 0.5;
+
+// Filled at runtime from assets/templates/templates.json (see library.js)
+export const movements = [];
+
+/**
+ * Movements can be stored as recorded `frames`, or as `keyframes` that
+ * pose a static template:
+ *
+ *   { t, template, x, y, angle, scale, ease }
+ *
+ * where (x, y) is the wrist position, angle rotates the hand about the
+ * wrist (radians), and ease ('linear' | 'smooth') shapes the segment
+ * arriving at that keyframe. Keyframed movements are expanded to frames
+ * here, so templates must be loaded first.
+ */
+export function expandMovement(definition) {
+  if (definition.frames) return { ...definition };
+
+  const keyframes = definition.keyframes.map(k => ({
+    x: 0.5,
+    y: 0.6,
+    angle: 0,
+    scale: 0.35,
+    ease: 'linear',
+    ...k,
+    landmarks: shape(k.template)
+  }));
+
+  return {
+    ...definition,
+    frames: sequence(definition.duration, (t) => {
+      const next = keyframes.findIndex(k => k.t >= t);
+      if (next === -1) return place(keyframes[keyframes.length - 1]);
+      if (next === 0) return place(keyframes[0]);
+
+      const from = keyframes[next - 1];
+      const to = keyframes[next];
+      let amount = (t - from.t) / ((to.t - from.t) || 1);
+      if (to.ease === 'smooth') amount = amount * amount * (3 - 2 * amount);
+
+      return place({
+        landmarks: blend(from.landmarks, to.landmarks, amount),
+        x: from.x + (to.x - from.x) * amount,
+        y: from.y + (to.y - from.y) * amount,
+        angle: from.angle + (to.angle - from.angle) * amount,
+        scale: from.scale + (to.scale - from.scale) * amount
+      });
+    })
+  };
+}
+
+function shape(id) {
+  const template = templates.find(t => t.id === id);
+  if (!template) throw new Error(`Unknown template in movement: ${id}`);
+  return template.landmarks;
+}
+
+// Rotate about the wrist, scale and move the wrist to (x, y)
+function place({ landmarks, x, y, angle, scale }) {
+  const wrist = landmarks[0];
+  const cos = Math.cos(angle);
+  const sin = Math.sin(angle);
+
+  return landmarks.map(lm => {
+    const dx = (lm.x - wrist.x) * scale;
+    const dy = (lm.y - wrist.y) * scale;
+    return { x: x + dx * cos - dy * sin, y: y + dx * sin + dy * cos };
+  });
+}
+
+function blend(a, b, amount) {
+  return a.map((lm, i) => ({
+    x: lm.x + (b[i].x - lm.x) * amount,
+    y: lm.y + (b[i].y - lm.y) * amount
+  }));
+}
+
+function sequence(duration, frameAt) {
+  const frames = [];
+  const count = Math.round(duration / 1000 * FRAME_RATE);
+  for (let i = 0; i <= count; i++) {
+    const t = i / count * duration;
+    frames.push({ t, landmarks: frameAt(t) });
+  }
+  return frames;
+}
+
+/**
+ * Rolling per-hand history of landmarks for movement matching
+ */
+export class MotionBuffer {
+  constructor({ maxAge = 3000 } = {}) {
+    this.maxAge = maxAge;
+    this.frames = {}; // handedness -> [{ t, landmarks, aspect, fingerScales }]
+  }
+
+  push(hands, timestamp = performance.now()) {
+    for (const hand of hands || []) {
+      const frames = this.frames[hand.handedness] || (this.frames[hand.handedness] = []);
+      frames.push({ t: timestamp, landmarks: hand.landmarks, aspect: hand.aspect || 1, fingerScales: hand.fingerScales });
+    }
+
+    for (const frames of Object.values(this.frames)) {
+      while (frames.length > 0 && timestamp - frames[0].t > this.maxAge) {
+        frames.shift();
+      }
+    }
+  }
+
+  get(handedness) {
+    return this.frames[handedness] || [];
+  }
+
+  clear() {
+    this.frames = {};
+  }
+}
+
+/**
+ * Per-frame features: wrist-anchored, palm-scaled hand shape plus the
+ * wrist's offset from the sequence's average position (in palm lengths).
+ */
+function toFeatures(frames) {
+  const shapes = frames.map(f => normalizeHand(f.landmarks, f.aspect || 1, f.fingerScales));
+
+  const wrists = frames.map(f => {
+    const aspect = f.aspect || 1;
+    const wrist = f.landmarks[0];
+    const middle = f.landmarks[9];
+    const palm = Math.hypot((middle.x - wrist.x) * aspect, middle.y - wrist.y) || 1;
+    return { x: wrist.x * aspect / palm, y: wrist.y / palm };
+  });
+
+  const cx = wrists.reduce((sum, w) => sum + w.x, 0) / wrists.length;
+  const cy = wrists.reduce((sum, w) => sum + w.y, 0) / wrists.length;
+
+  return shapes.map((points, i) => ({
+    points,
+    wrist: { x: wrists[i].x - cx, y: wrists[i].y - cy }
+  }));
+}
+
+function frameCost(a, b) {
+  let shapeCost = 0;
+  for (let i = 0; i < a.points.length; i++) {
+    shapeCost += Math.hypot(a.points[i].x - b.points[i].x, a.points[i].y - b.points[i].y);
+  }
+  shapeCost /= a.points.length;
+
+  const wristCost = Math.hypot(a.wrist.x - b.wrist.x, a.wrist.y - b.wrist.y);
+  return shapeCost + wristCost * WRIST_WEIGHT;
+}
+
+/**
+ * Pick `count` frames evenly spaced in time (nearest frame)
+ */
+function resample(frames, count) {
+  const start = frames[0].t;
+  const span = frames[frames.length - 1].t - start;
+  const result = [];
+  let j = 0;
+
+  for (let i = 0; i < count; i++) {
+    const t = start + span * i / (count - 1);
+    while (j < frames.length - 1 && Math.abs(frames[j + 1].t - t) <= Math.abs(frames[j].t - t)) {
+      j++;
+    }
+    result.push(frames[j]);
+  }
+
+  return result;
+}
+
+/**
+ * Dynamic time warping with a Sakoe-Chiba band.
+ * Returns the average cost along the best warping path.
+ */
+export function dtwDistance(a, b, cost, band = WARP_BAND) {
+  const n = a.length;
+  const m = b.length;
+  const width = Math.max(Math.ceil(Math.max(n, m) * band), Math.abs(n - m));
+
+  const table = Array.from({ length: n + 1 }, () => new Float64Array(m + 1).fill(Infinity));
+  const steps = Array.from({ length: n + 1 }, () => new Uint16Array(m + 1));
+  table[0][0] = 0;
+
+  for (let i = 1; i <= n; i++) {
+    const from = Math.max(1, i - width);
+    const to = Math.min(m, i + width);
+
+    for (let j = from; j <= to; j++) {
+      const options = [
+        [table[i - 1][j - 1], steps[i - 1][j - 1]],
+        [table[i - 1][j], steps[i - 1][j]],
+        [table[i][j - 1], steps[i][j - 1]]
+      ];
+      const [best, length] = options.reduce((x, y) => (y[0] < x[0] ? y : x));
+
+      table[i][j] = best + cost(a[i - 1], b[j - 1]);
+      steps[i][j] = length + 1;
+    }
+  }
+
+  return table[n][m] / (steps[n][m] || 1);
+}
+
+/**
+ * Score a hand's recent motion against a movement.
+ * Tries a few window lengths around the movement's duration so overall
+ * tempo can differ; DTW absorbs uneven timing within the window.
+ *
+ * @param {Array} frames - Recent frames for one hand, oldest first ({ t, landmarks, aspect })
+ * @param {Object} movement - Movement template (already the right hand variant)
+ * @returns {number} 0-1 where 1 is a perfect match
+ */
+export function matchMovement(frames, movement) {
+  if (!frames || frames.length < 2 || !movement) return 0;
+
+  const target = toFeatures(resample(movement.frames, RESAMPLE_FRAMES));
+  const end = frames[frames.length - 1].t;
+  let best = 0;
+
+  for (const scale of TEMPO_SCALES) {
+    const start = end - movement.duration * scale;
+    if (frames[0].t > start + 50) continue; // Not enough history yet
+
+    const window = frames.filter(f => f.t >= start);
+    if (window.length < 2) continue;
+
+    const detected = toFeatures(resample(window, RESAMPLE_FRAMES));
+    const avgCost = dtwDistance(detected, target, frameCost);
+    best = Math.max(best, 1 - avgCost / MOVEMENT_TOLERANCE);
+  }
+
+  return Math.max(0, best);
+}
+
+/**
+ * Score every tracked hand's recent motion, using the movement variant
+ * for that hand. Returns the best { score, hand, variant }.
+ */
+export function matchMovementForHands(buffer, hands, movement) {
+  let result = { score: 0, hand: null, variant: null };
+
+  for (const hand of hands || []) {
+    const variant = templateForHand(movement, hand.handedness);
+    if (!variant) continue;
+
+    const score = matchMovement(buffer.get(hand.handedness), variant);
+    if (result.hand === null || score > result.score) {
+      result = { score, hand, variant };
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Landmarks of a movement at time t (ms), looping
+ */
+export function movementFrameAt(movement, t) {
+  const frames = movement.frames;
+  const time = t % movement.duration;
+  let frame = frames[0];
+  for (const f of frames) {
+    if (f.t > time) break;
+    frame = f;
+  }
+  return frame.landmarks;
+}
@@ -8,14 +8,58 @@
  * - Segah (similar to Phrygian)
  * - Chargah (similar to major)
  * - Bayat (minor-ish)
+ *
+ * Two kinds of music: the recorded Lazgi (playRecordedMusic), or an
+ * arrangement of the doira, drone and finger synths that follows the
+ * dancer from introduction through build to climax (startArrangement).
  */
 
+import { Arrangement, BEATS_PER_BAR } from './arrangement.js';
+
 // Central Asian-inspired scale (Segah-like: E F G# A B C D E)
 const SCALE = ['E3', 'F3', 'G#3', 'A3', 'B3', 'C4', 'D4', 'E4', 'F4', 'G#4', 'A4', 'B4'];
 
 // Pentatonic for simpler mapping
 const PENTATONIC = ['E3', 'G3', 'A3', 'B3', 'D4', 'E4', 'G4', 'A4', 'B4', 'D5'];
 
+// One voice per dancer slot in a group: timbre, octave and stereo place
+const DANCER_VOICES = [
+  { oscillator: 'triangle', octave: 0, pan: 0 },
+  { oscillator: 'sine', octave: 1, pan: -0.6 },
+  { oscillator: 'fmsine', octave: -1, pan: 0.6 },
+  { oscillator: 'amsine', octave: 1, pan: 0.3 }
+];
+
+// Traditional Lazgi 6/8 pattern, one bar of BEATS_PER_BAR beats
+// DUM . tak tak DUM tak | DUM . tak tak DUM tak
+// Each stroke has a level: an arrangement's introduction plays only
+// level 0, the build adds level 1 (the full pattern), the climax the
+// level 2 fills
+const DOIRA_PATTERN = [
+  { time: '0:0:0', type: 'dum', level: 0 },
+  { time: '0:0:2', type: 'tak', level: 1 },
+  { time: '0:1:0', type: 'tak', level: 1 },
+  { time: '0:1:1', type: 'tak', level: 2 },
+  { time: '0:1:2', type: 'dum', level: 0 },
+  { time: '0:2:0', type: 'tak', level: 1 },
+  { time: '0:2:2', type: 'rim', level: 1 },
+  { time: '0:3:0', type: 'dum', level: 0 },
+  { time: '0:3:2', type: 'tak', level: 1 },
+  { time: '0:3:3', type: 'rim', level: 2 },
+  { time: '0:4:0', type: 'tak', level: 1 },
+  { time: '0:4:2', type: 'dum', level: 0 },
+  { time: '0:5:0', type: 'tak', level: 1 },
+  { time: '0:5:1', type: 'tak', level: 2 },
+  { time: '0:5:2', type: 'rim', level: 1 },
+  { time: '0:5:3', type: 'rim', level: 2 }
+];
+
+// What the music player plays: the performance video's soundtrack
+export const MUSIC_SOURCE = './assets/video/gulsanam-perform.mp4';
+
+// Shortest gap (ms) between a dancer voice's notes
+const VOICE_NOTE_GAP = 150;
+
 export class SoundEngine {
   constructor() {
     this.isStarted = false;
@@ -28,12 +72,25 @@ export class SoundEngine {
     this.rhythmPart = null;
     this.doira = null;
     this.baseTempo = 100; // BPM
+    this.arrangement = null; // Arrangement while the synths play one
+    this.arrangementPart = null; // Its own doira part
+    this.sectionIndex = 0;   // Arrangement section in play (its doira level)
+    this.sectionEvent = null; // Transport event bringing in the next section
+    this.savedTransport = null; // Tempo, transport and drone to restore after
+    this.onSectionChange = null; // (section) => ..., on each new section
     this.fft = null;
     this.fftData = new Float32Array(64);
 
     // Music player
     this.musicPlayer = null;
     this.musicVolume = 1;
+    this.playbackRate = 1;            // Below 1 when practising slowly
+    this.musicSource = null;          // Music routed through Tone's context
+    this.recordingDestination = null; // Audio for video capture
+
+    // A voice per dancer when several are tracked
+    this.dancerVoicesEnabled = false;
+    this.dancerVoices = {}; // Dancer id -> { synth, panner, lastNote, lastTime }
   }
 
   async start() {
@@ -75,9 +132,15 @@ export class SoundEngine {
       type: 'lowpass'
     }).connect(this.effects.delay);
 
+    // Vibrato follows the dancer's measured tremble
+    this.effects.vibrato = new Tone.Vibrato({
+      frequency: 6,
+      depth: 0
+    }).connect(this.effects.filter);
+
     // Connect synths to effects
     for (const synth of Object.values(this.synths)) {
-      synth.connect(this.effects.filter);
+      synth.connect(this.effects.vibrato);
     }
 
     // Drone bass (optional, low hum)
@@ -169,24 +232,23 @@ export class SoundEngine {
     this.doira.tak.volume.value = -10;
     this.doira.rim.volume.value = -16;
 
-    // Traditional Lazgi 6/8 pattern
-    // DUM . tak tak DUM tak | DUM . tak tak DUM tak
-    const pattern = [
-      { time: '0:0:0', type: 'dum' },
-      { time: '0:0:2', type: 'tak' },
-      { time: '0:1:0', type: 'tak' },
-      { time: '0:1:2', type: 'dum' },
-      { time: '0:2:0', type: 'tak' },
-      { time: '0:2:2', type: 'rim' },
-      { time: '0:3:0', type: 'dum' },
-      { time: '0:3:2', type: 'tak' },
-      { time: '1:0:0', type: 'tak' },
-      { time: '1:0:2', type: 'dum' },
-      { time: '1:1:0', type: 'tak' },
-      { time: '1:1:2', type: 'rim' },
-    ];
+    // The base pattern: every stroke up to level 1
+    this.rhythmPart = this.createDoiraPart(() => 1);
+
+    // Set tempo and meter and start
+    Tone.Transport.bpm.value = this.baseTempo;
+    Tone.Transport.timeSignature = BEATS_PER_BAR;
+    this.rhythmPart.start(0);
+    Tone.Transport.start();
+  }
+
+  /**
+   * A looping doira part playing the strokes up to maxLevel()
+   */
+  createDoiraPart(maxLevel) {
+    const part = new Tone.Part((time, event) => {
+      if (event.level > maxLevel()) return;
 
-    this.rhythmPart = new Tone.Part((time, event) => {
       if (event.type === 'dum') {
         this.doira.dum.triggerAttackRelease('C2', '16n', time);
       } else if (event.type === 'tak') {
@@ -194,20 +256,18 @@ export class SoundEngine {
       } else if (event.type === 'rim') {
         this.doira.rim.triggerAttackRelease('C6', '32n', time);
       }
-    }, pattern);
-
-    this.rhythmPart.loop = true;
-    this.rhythmPart.loopEnd = '2m';
+    }, DOIRA_PATTERN);
 
-    // Set tempo and start
-    Tone.Transport.bpm.value = this.baseTempo;
-    this.rhythmPart.start(0);
-    Tone.Transport.start();
+    part.loop = true;
+    part.loopEnd = '1m';
+    return part;
   }
 
   stop() {
     if (!this.isStarted) return;
 
+    this.stopArrangement();
+
     // Stop rhythm
     if (this.rhythmPart) {
       this.rhythmPart.stop();
@@ -223,6 +283,8 @@ export class SoundEngine {
       this.drone.triggerRelease();
     }
 
+    this.releaseDancerVoices([]);
+
     this.isStarted = false;
   }
 
@@ -259,26 +321,26 @@ export class SoundEngine {
       const noteIndex = Math.floor((1 - tip.y) * PENTATONIC.length);
       const note = PENTATONIC[Math.max(0, Math.min(noteIndex, PENTATONIC.length - 1))];
 
-      // Only trigger if note changed and there's enough movement
+      // Only trigger if note changed and there's enough movement; in an
+      // arrangement, on the section's note grid
       if (note !== this.lastNotes[name] && velocity > 0.1) {
-        this.synths[name].triggerAttackRelease(note, '8n');
+        if (this.arrangement) {
+          const grid = this.arrangement.sections[this.sectionIndex].noteGrid;
+          this.synths[name].triggerAttackRelease(note, grid, Tone.Transport.nextSubdivision(grid));
+        } else {
+          this.synths[name].triggerAttackRelease(note, '8n');
+        }
         this.lastNotes[name] = note;
       }
     }
 
-    // Special: wrist height affects drone volume
-    const wristY = landmarks[0].y;
-    const droneVol = -30 + (1 - wristY) * 15; // -30 to -15 dB
-    this.drone.volume.rampTo(droneVol, 0.3);
-
-    // Only adjust tempo for synthesized sounds (not recorded music)
-    if (!this.isPlayingRecorded) {
-      const targetTempo = 80 + velocity * 100;
-      const heightTempo = 80 + (1 - wristY) * 80;
-      const combinedTempo = (targetTempo + heightTempo) / 2;
-      Tone.Transport.bpm.rampTo(combinedTempo, 0.3);
+    // Special: wrist height affects drone volume (the arrangement sets
+    // its own, and the tempo, from updateEnergy)
+    if (!this.arrangement) {
+      const wristY = landmarks[0].y;
+      const droneVol = -30 + (1 - wristY) * 15; // -30 to -15 dB
+      this.drone.volume.rampTo(droneVol, 0.3);
     }
-
   }
 
   /**
@@ -323,6 +385,21 @@ export class SoundEngine {
     // For now, velocity affects filter Q or resonance
   }
 
+  /**
+   * Tremble (from TrembleAnalyzer) drives vibrato on the finger synths
+   * - Tremble frequency: vibrato rate
+   * - Tremble intensity: vibrato depth
+   */
+  updateTremble(tremble) {
+    if (!this.isStarted || !tremble || !this.effects.vibrato) return;
+
+    const { frequency, intensity } = tremble.overall;
+    if (frequency > 0) {
+      this.effects.vibrato.frequency.rampTo(frequency, 0.2);
+    }
+    this.effects.vibrato.depth.rampTo(intensity * 0.5, 0.2);
+  }
+
   /**
    * Pose (arms/shoulders) controls overall intensity
    * - Arms spread: stereo width / spatial
@@ -335,7 +412,8 @@ export class SoundEngine {
     // Arms spread controls overall reverb space
     if (this.effects.reverb) {
       const baseReverb = this.effects.reverb.wet.value;
-      const spreadBoost = pose.armsSpread * 0.3;
+      // Calibrated poses give spread as a fraction of the dancer's wingspan
+      const spreadBoost = (pose.spread ?? pose.armsSpread) * 0.3;
       this.effects.reverb.wet.rampTo(Math.min(baseReverb + spreadBoost, 0.8), 0.3);
     }
 
@@ -348,6 +426,72 @@ export class SoundEngine {
     // (left for future enhancement)
   }
 
+  /**
+   * Give each tracked dancer their own voice (on) or only drive the
+   * shared synths from the primary dancer (off)
+   */
+  setDancerVoices(enabled) {
+    this.dancerVoicesEnabled = enabled;
+    if (!enabled) this.releaseDancerVoices([]);
+  }
+
+  /**
+   * A dancer's higher hand plays their voice: height picks the note,
+   * tremble adds volume. Call per dancer each frame.
+   *
+   * @param {Object} dancer - { id, slot, hands } from the tracker
+   */
+  updateDancer(dancer) {
+    if (!this.isStarted || !this.dancerVoicesEnabled || !this.effects.filter) return;
+
+    const hand = [...dancer.hands].sort((a, b) => a.palmCenter.y - b.palmCenter.y)[0];
+    if (!hand) return;
+
+    let voice = this.dancerVoices[dancer.id];
+    if (!voice) {
+      const preset = DANCER_VOICES[dancer.slot % DANCER_VOICES.length];
+      const panner = new Tone.Panner(preset.pan).connect(this.effects.filter);
+      const synth = new Tone.Synth({
+        oscillator: { type: preset.oscillator },
+        envelope: { attack: 0.05, decay: 0.2, sustain: 0.3, release: 0.6 },
+        volume: -12
+      }).connect(panner);
+      voice = this.dancerVoices[dancer.id] = { synth, panner, octave: preset.octave, lastNote: null, lastTime: 0 };
+    }
+
+    const noteIndex = Math.floor((1 - hand.palmCenter.y) * PENTATONIC.length);
+    const base = PENTATONIC[Math.max(0, Math.min(noteIndex, PENTATONIC.length - 1))];
+    const note = Tone.Frequency(base).transpose(voice.octave * 12).toNote();
+
+    const now = performance.now();
+    if (note !== voice.lastNote && now - voice.lastTime >= VOICE_NOTE_GAP) {
+      const tremble = hand.tremble ? hand.tremble.overall.intensity : 0;
+      voice.synth.volume.rampTo(-14 + tremble * 8, 0.1);
+      voice.synth.triggerAttackRelease(note, '8n');
+      voice.lastNote = note;
+      voice.lastTime = now;
+    }
+  }
+
+  /**
+   * Dispose the voices of dancers no longer tracked
+   *
+   * @param {Array} activeIds - Dancer ids still in frame
+   */
+  releaseDancerVoices(activeIds) {
+    for (const [id, voice] of Object.entries(this.dancerVoices)) {
+      if (activeIds.includes(Number(id))) continue;
+      voice.synth.triggerRelease();
+      delete this.dancerVoices[id];
+
+      // Let the note ring out first
+      setTimeout(() => {
+        voice.synth.dispose();
+        voice.panner.dispose();
+      }, 1000);
+    }
+  }
+
   /**
    * Trigger a specific note (for template match rewards)
    */
@@ -360,6 +504,22 @@ export class SoundEngine {
     synth.triggerAttackRelease(chord, '2n');
   }
 
+  /**
+   * A doira stroke for a percussive gesture: a clap is the low dum, a
+   * flick the tak, a snap the rim
+   */
+  playGestureHit(type) {
+    if (!this.isStarted || !this.doira) return;
+
+    if (type === 'clap') {
+      this.doira.dum.triggerAttackRelease('C2', '16n');
+    } else if (type === 'flick') {
+      this.doira.tak.triggerAttackRelease('16n');
+    } else if (type === 'snap') {
+      this.doira.rim.triggerAttackRelease('C6', '32n');
+    }
+  }
+
   /**
    * Play a traditional Lazgi rhythm pattern
    */
@@ -382,10 +542,10 @@ export class SoundEngine {
       { time: '0:1', drum: 'snare' },
       { time: '0:2', drum: 'snare' },
       { time: '0:3', drum: 'kick' },
-      { time: '1:0', drum: 'snare' },
-      { time: '1:1', drum: 'kick' },
-      { time: '1:2', drum: 'snare' },
-      { time: '1:3', drum: 'snare' }
+      { time: '0:4', drum: 'snare' },
+      { time: '0:5', drum: 'kick' },
+      { time: '0:6', drum: 'snare' },
+      { time: '0:7', drum: 'snare' }
     ];
 
     const part = new Tone.Part((time, event) => {
@@ -397,7 +557,7 @@ export class SoundEngine {
     }, pattern);
 
     part.loop = true;
-    part.loopEnd = '2m';
+    part.loopEnd = '0:8';
     part.start(0);
 
     Tone.Transport.start();
@@ -408,29 +568,25 @@ export class SoundEngine {
    * Source: Gulsanam Mamazoitova - Lazgi
    * Uses HTML5 Audio for stability with screen recording
    */
-  async playRecordedMusic() {
+  async playRecordedMusic(position = null) {
+    // Jump to a position (seconds), e.g. to follow a replayed session
+    if (position !== null && this.musicPlayer) {
+      this.musicPlayer.currentTime = position;
+    }
+
     // Already playing, don't restart
     if (this.isPlayingRecorded) {
       return;
     }
 
-    // Create hidden video element for audio (Descript captures video audio better than <audio>)
-    if (!this.musicPlayer) {
-      this.musicPlayer = document.createElement('video');
-      this.musicPlayer.src = './assets/video/gulsanam-perform.mp4';
-      this.musicPlayer.loop = true;
-      this.musicPlayer.volume = 0.5;
-      this.musicPlayer.playbackRate = 1.0;
-      this.musicPlayer.style.display = 'none';
-      this.musicPlayer.playsInline = true;
-      document.body.appendChild(this.musicPlayer);
-      this.musicPlayer.addEventListener('canplaythrough', () => {
-        console.log('Lazgi music loaded');
-      });
+    this.stopArrangement();
+    this.createMusicPlayer();
+
+    if (position !== null) {
+      this.musicPlayer.currentTime = position;
     }
 
-    // Ensure playback rate is always 1.0
-    this.musicPlayer.playbackRate = 1.0;
+    this.musicPlayer.playbackRate = this.playbackRate;
     await this.musicPlayer.play();
     this.isPlayingRecorded = true;
     console.log('Playing Gulsanam Mamazoitova - Lazgi');
@@ -447,6 +603,67 @@ export class SoundEngine {
     }
   }
 
+  createMusicPlayer() {
+    if (this.musicPlayer) return;
+
+    // Create hidden video element for audio (Descript captures video audio better than <audio>)
+    this.musicPlayer = document.createElement('video');
+    this.musicPlayer.src = MUSIC_SOURCE;
+    this.musicPlayer.loop = true;
+    this.musicPlayer.volume = 0.5;
+    this.musicPlayer.playbackRate = this.playbackRate;
+    this.musicPlayer.preservesPitch = true;
+    this.musicPlayer.style.display = 'none';
+    this.musicPlayer.playsInline = true;
+    document.body.appendChild(this.musicPlayer);
+    this.musicPlayer.addEventListener('canplaythrough', () => {
+      console.log('Lazgi music loaded');
+    });
+  }
+
+  /**
+   * Synths and music mixed into one MediaStream, for video capture.
+   * The first call routes the music player through the Tone.js context
+   * (it keeps playing to the speakers too). Null until sound is started.
+   */
+  getAudioStream() {
+    if (!this.isStarted) return null;
+
+    const context = Tone.getContext().rawContext;
+    if (!this.recordingDestination) {
+      this.recordingDestination = context.createMediaStreamDestination();
+      Tone.Destination.connect(this.recordingDestination);
+    }
+
+    this.createMusicPlayer();
+    if (!this.musicSource) {
+      // An element can only be attached to the audio graph once
+      this.musicSource = context.createMediaElementSource(this.musicPlayer);
+      this.musicSource.connect(context.destination);
+      this.musicSource.connect(this.recordingDestination);
+    }
+
+    return this.recordingDestination.stream;
+  }
+
+  /**
+   * Pause the music where it is (stopRecordedMusic rewinds)
+   */
+  pauseRecordedMusic() {
+    if (this.isPlayingRecorded) {
+      this.musicPlayer.pause();
+      this.isPlayingRecorded = false;
+    }
+  }
+
+  /**
+   * Music position in seconds, or null when it isn't playing
+   */
+  getMusicPosition() {
+    if (!this.isPlayingRecorded || !this.musicPlayer) return null;
+    return this.musicPlayer.currentTime;
+  }
+
   toggleRecordedMusic() {
     if (this.isPlayingRecorded) {
       this.stopRecordedMusic();
@@ -456,6 +673,123 @@ export class SoundEngine {
     return this.isPlayingRecorded;
   }
 
+  /**
+   * Play the adaptive arrangement instead of the recorded music: the
+   * doira, drone and finger synths, starting slow in the introduction
+   */
+  startArrangement() {
+    if (!this.isStarted || this.arrangement) return;
+
+    this.stopRecordedMusic();
+
+    // The base rhythm may be running on the same transport: leave it be,
+    // and put the tempo back afterwards
+    this.savedTransport = {
+      bpm: Tone.Transport.bpm.value,
+      state: Tone.Transport.state,
+      drone: this.drone.volume.value
+    };
+
+    this.arrangement = new Arrangement();
+    this.applySection();
+    this.arrangementPart = this.createDoiraPart(() => this.sectionIndex);
+
+    Tone.Transport.bpm.value = this.arrangement.bpm;
+    if (Tone.Transport.state === 'started') {
+      this.arrangementPart.start(Tone.Transport.nextSubdivision('1m'));
+    } else {
+      this.arrangementPart.start(0);
+      Tone.Transport.start();
+    }
+    console.log('Arrangement started');
+  }
+
+  stopArrangement() {
+    if (!this.arrangement) return;
+
+    this.arrangement = null;
+    this.sectionIndex = 0;
+    if (this.sectionEvent !== null) {
+      Tone.Transport.clear(this.sectionEvent);
+      this.sectionEvent = null;
+    }
+    this.arrangementPart.stop();
+    this.arrangementPart.dispose();
+    this.arrangementPart = null;
+
+    const saved = this.savedTransport;
+    this.savedTransport = null;
+    Tone.Transport.bpm.cancelScheduledValues(Tone.now());
+    Tone.Transport.bpm.value = saved.bpm;
+    this.drone.volume.cancelScheduledValues(Tone.now());
+    this.drone.volume.value = saved.drone;
+    if (saved.state === 'stopped') {
+      Tone.Transport.stop();
+    } else if (saved.state === 'paused') {
+      Tone.Transport.pause();
+    }
+    console.log('Arrangement stopped');
+  }
+
+  /**
+   * The dancer's energy and tremble (each 0-1) drive the arrangement's
+   * tempo and sections. Sections change on the next bar line.
+   */
+  updateEnergy(energy, tremble, timestamp = performance.now()) {
+    if (!this.arrangement) return;
+
+    const { bpm, changed } = this.arrangement.update(energy, tremble, timestamp);
+    Tone.Transport.bpm.rampTo(bpm, 0.5);
+
+    if (changed) {
+      if (this.sectionEvent !== null) Tone.Transport.clear(this.sectionEvent);
+      this.sectionEvent = Tone.Transport.scheduleOnce(() => {
+        this.sectionEvent = null;
+        this.applySection();
+      }, Tone.Transport.nextSubdivision('1m'));
+    }
+  }
+
+  /**
+   * Bring in the arrangement's current section
+   */
+  applySection() {
+    if (!this.arrangement) return;
+
+    this.sectionIndex = this.arrangement.index;
+    const section = this.arrangement.section;
+    this.drone.volume.rampTo(section.drone, 2);
+    console.log(`Arrangement: ${section.name}`);
+    if (this.onSectionChange) this.onSectionChange(section);
+  }
+
+  /**
+   * A beat of the recorded music (from BeatClock): the Transport takes
+   * the music's tempo, so the doira and anything else on it follow the
+   * recording as it speeds up, and its bars restart on the downbeats
+   */
+  onBeat(beat) {
+    if (!this.isStarted || !this.isPlayingRecorded) return;
+
+    Tone.Transport.bpm.value = beat.bpm * this.playbackRate;
+
+    if (beat.downbeat && Tone.Transport.state === 'started') {
+      const ticksPerBar = Tone.Transport.PPQ * BEATS_PER_BAR;
+      Tone.Transport.ticks = Math.round(Tone.Transport.ticks / ticksPerBar) * ticksPerBar;
+    }
+  }
+
+  /**
+   * Slow the music down (or back to 1) without changing its pitch
+   */
+  setPlaybackRate(rate) {
+    this.playbackRate = rate;
+    if (this.musicPlayer) {
+      this.musicPlayer.preservesPitch = true;
+      this.musicPlayer.playbackRate = rate;
+    }
+  }
+
   /**
    * Set music volume (0-1)
    */
@@ -0,0 +1,342 @@
+/**
+ * Progress History Module
+ *
+ * Keeps the learner's practice history on this device, in IndexedDB. Each
+ * visit is one session record:
+ *
+ *   { startedAt, endedAt, date: 'YYYY-MM-DD', minutes: { learn, perform },
+ *     bestScores: { templateId: 0-1 }, mastered: [templateId],
+ *     units: [unitId], reports: [{ grade, score, duration }] }
+ *
+ * ProgressTracker fills in the current session as the learner practises
+ * and saves it every so often; summarizeHistory() turns the stored
+ * sessions into daily trends, personal bests and the practice streak.
+ * Nothing leaves the device except through exportHistory().
+ */
+
+const DB_NAME = 'lazgi-progress';
+const DB_VERSION = 1;
+const STORE = 'sessions';
+export const HISTORY_VERSION = 1;
+
+// Longest gap (ms) between tracked frames still counted as practice
+const MAX_PRACTICE_GAP = 1000;
+
+// How often the current session is written (ms)
+const SAVE_INTERVAL = 30000;
+
+let dbPromise = null;
+
+function openDatabase() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const open = indexedDB.open(DB_NAME, DB_VERSION);
+      open.onupgradeneeded = () => {
+        const store = open.result.createObjectStore(STORE, { keyPath: 'startedAt' });
+        store.createIndex('date', 'date');
+      };
+      open.onsuccess = () => resolve(open.result);
+      open.onerror = () => {
+        dbPromise = null;
+        reject(open.error);
+      };
+    });
+  }
+  return dbPromise;
+}
+
+/**
+ * Run one request in a transaction on the sessions store
+ */
+async function withStore(mode, action) {
+  const db = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(STORE, mode);
+    const request = action(transaction.objectStore(STORE));
+    transaction.oncomplete = () => resolve(request ? request.result : undefined);
+    transaction.onerror = () => reject(transaction.error);
+  });
+}
+
+export function saveSession(record) {
+  return withStore('readwrite', store => store.put(record));
+}
+
+/**
+ * All stored sessions, oldest first
+ */
+export function loadHistory() {
+  return withStore('readonly', store => store.getAll());
+}
+
+export function clearHistory() {
+  return withStore('readwrite', store => store.clear());
+}
+
+/**
+ * The whole history as a file-ready object
+ */
+export async function exportHistory() {
+  return {
+    version: HISTORY_VERSION,
+    exportedAt: new Date().toISOString(),
+    sessions: await loadHistory()
+  };
+}
+
+/**
+ * Merge an exported history. Sessions already stored (same start time)
+ * are kept as they are. Every session is checked first: one bad session
+ * rejects the whole file, so nothing is written.
+ *
+ * @returns {number} How many sessions were added
+ */
+export async function importHistory(data) {
+  if (!data || !Array.isArray(data.sessions)) {
+    throw new Error('Not a progress history file');
+  }
+  if (data.version && data.version > HISTORY_VERSION) {
+    throw new Error(`History version ${data.version} is newer than supported (${HISTORY_VERSION})`);
+  }
+  data.sessions.forEach((session, i) => {
+    const problem = sessionProblem(session);
+    if (problem) throw new Error(`Session ${i + 1} in the file ${problem}`);
+  });
+
+  const known = new Set((await loadHistory()).map(s => s.startedAt));
+  const added = data.sessions.filter(s => !known.has(s.startedAt));
+  for (const session of added) {
+    await saveSession(session);
+  }
+  return added.length;
+}
+
+/**
+ * What's wrong with a session record, or null if summarizeHistory() can
+ * read it
+ */
+function sessionProblem(session) {
+  const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+  const isIdList = (value) => Array.isArray(value) && value.every(id => typeof id === 'string');
+
+  if (!session || typeof session !== 'object') return 'is not an object';
+  if (typeof session.startedAt !== 'string' || Number.isNaN(Date.parse(session.startedAt))) {
+    return 'has no valid start time';
+  }
+  if (typeof session.date !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(session.date)) {
+    return 'has no valid date';
+  }
+  if (!session.minutes || !isNumber(session.minutes.learn) || !isNumber(session.minutes.perform)) {
+    return 'has no practice minutes';
+  }
+  if (!session.bestScores || typeof session.bestScores !== 'object' ||
+      !Object.values(session.bestScores).every(isNumber)) {
+    return 'has invalid best scores';
+  }
+  if (!isIdList(session.mastered)) return 'has an invalid mastered list';
+  if (!isIdList(session.units)) return 'has an invalid units list';
+  if (!Array.isArray(session.reports)) return 'has an invalid reports list';
+  return null;
+}
+
+/**
+ * Records the current visit: practice time while someone is tracked,
+ * best score per template, templates mastered, lesson units passed and
+ * report grades.
+ */
+export class ProgressTracker {
+  constructor() {
+    const now = new Date();
+    this.session = {
+      startedAt: now.toISOString(),
+      endedAt: now.toISOString(),
+      date: localDate(now),
+      minutes: { learn: 0, perform: 0 },
+      bestScores: {},
+      mastered: [],
+      units: [],
+      reports: []
+    };
+    this.lastFrame = null;
+    this.dirty = false;
+    this.timer = null;
+  }
+
+  /**
+   * Save every SAVE_INTERVAL and when the page is hidden or closed
+   */
+  start() {
+    this.timer = setInterval(() => this.save(), SAVE_INTERVAL);
+    document.addEventListener('visibilitychange', () => {
+      if (document.visibilityState === 'hidden') this.save();
+    });
+    window.addEventListener('pagehide', () => this.save());
+  }
+
+  /**
+   * A tracked frame with someone in it: counts toward practice time
+   */
+  addFrame(mode, timestamp) {
+    // A timestamp that went backwards (a new source) only restarts the count
+    const delta = this.lastFrame === null ? 0 : timestamp - this.lastFrame;
+    if (delta > 0 && delta <= MAX_PRACTICE_GAP) {
+      this.session.minutes[mode] += delta / 60000;
+      this.dirty = true;
+    }
+    this.lastFrame = timestamp;
+  }
+
+  recordScore(templateId, score) {
+    if (score > (this.session.bestScores[templateId] || 0)) {
+      this.session.bestScores[templateId] = Math.round(score * 1000) / 1000;
+      this.dirty = true;
+    }
+  }
+
+  recordMastered(templateId) {
+    if (!this.session.mastered.includes(templateId)) {
+      this.session.mastered.push(templateId);
+      this.dirty = true;
+    }
+  }
+
+  recordUnit(unitId) {
+    if (!this.session.units.includes(unitId)) {
+      this.session.units.push(unitId);
+      this.dirty = true;
+    }
+  }
+
+  recordReport(report) {
+    this.session.reports.push({ grade: report.grade, score: report.score, duration: report.duration });
+    this.dirty = true;
+  }
+
+  /**
+   * Write the session if anything changed (visits with no practice
+   * aren't stored)
+   */
+  async save() {
+    if (!this.dirty) return;
+    this.dirty = false;
+    this.session.endedAt = new Date().toISOString();
+
+    const { minutes } = this.session;
+    try {
+      await saveSession({
+        ...this.session,
+        minutes: { learn: round(minutes.learn), perform: round(minutes.perform) }
+      });
+    } catch (err) {
+      this.dirty = true;
+      console.warn('Could not save progress:', err.message);
+    }
+  }
+}
+
+/**
+ * Trends and records from the stored sessions.
+ *
+ * @returns {Object} { days: [{ date, minutes, best }] for the last `days`
+ *   days (best = mean of that day's best scores, null if none),
+ *   personalBests: { templateId: { score, date } }, mastered: [ids],
+ *   units: [ids], streak: { current, longest }, totalMinutes }
+ */
+export function summarizeHistory(sessions, { days = 14, today = new Date() } = {}) {
+  const byDate = {};
+  const personalBests = {};
+  const mastered = new Set();
+  const units = new Set();
+  let totalMinutes = 0;
+
+  // Records from before import checks may be malformed: leave them out
+  for (const session of sessions.filter(s => !sessionProblem(s))) {
+    const minutes = (session.minutes.learn || 0) + (session.minutes.perform || 0);
+    const day = byDate[session.date] || (byDate[session.date] = { minutes: 0, scores: {} });
+    day.minutes += minutes;
+    totalMinutes += minutes;
+
+    for (const [id, score] of Object.entries(session.bestScores || {})) {
+      day.scores[id] = Math.max(day.scores[id] || 0, score);
+      if (!personalBests[id] || score > personalBests[id].score) {
+        personalBests[id] = { score, date: session.date };
+      }
+    }
+    (session.mastered || []).forEach(id => mastered.add(id));
+    (session.units || []).forEach(id => units.add(id));
+  }
+
+  const trend = [];
+  for (let i = days - 1; i >= 0; i--) {
+    const date = localDate(addDays(today, -i));
+    const day = byDate[date];
+    const scores = day ? Object.values(day.scores) : [];
+    trend.push({
+      date,
+      minutes: day ? round(day.minutes) : 0,
+      best: scores.length ? round(scores.reduce((a, b) => a + b, 0) / scores.length) : null
+    });
+  }
+
+  return {
+    days: trend,
+    personalBests,
+    mastered: [...mastered],
+    units: [...units],
+    streak: streakOf(Object.keys(byDate).filter(date => byDate[date].minutes > 0), today),
+    totalMinutes: round(totalMinutes)
+  };
+}
+
+/**
+ * Consecutive practice days: the current run (ending today, or
+ * yesterday if today hasn't been practised yet) and the longest
+ */
+function streakOf(dates, today) {
+  const practised = new Set(dates);
+
+  let current = 0;
+  let day = practised.has(localDate(today)) ? today : addDays(today, -1);
+  while (practised.has(localDate(day))) {
+    current++;
+    day = addDays(day, -1);
+  }
+
+  let longest = 0;
+  for (const date of practised) {
+    // Count only from the first day of each run
+    if (practised.has(localDate(addDays(parseDate(date), -1)))) continue;
+    let length = 0;
+    let d = parseDate(date);
+    while (practised.has(localDate(d))) {
+      length++;
+      d = addDays(d, 1);
+    }
+    longest = Math.max(longest, length);
+  }
+
+  return { current, longest };
+}
+
+/**
+ * YYYY-MM-DD in the learner's time zone
+ */
+function localDate(date) {
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+function parseDate(date) {
+  const [year, month, day] = date.split('-').map(Number);
+  return new Date(year, month - 1, day);
+}
+
+function addDays(date, n) {
+  const result = new Date(date);
+  result.setDate(result.getDate() + n);
+  return result;
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
@@ -0,0 +1,169 @@
+/**
+ * Tracking Quality Module
+ *
+ * Looks at each tracking result (and, for lighting, the camera image)
+ * and works out what is stopping the tracker from seeing the dancer
+ * well: too dark, too close or too far, hands out of frame, arms cropped.
+ * Issues must persist for a moment before they are reported, so a single
+ * dropped frame doesn't flash a warning.
+ *
+ * Distance uses shoulder width as a fraction of the frame width: about
+ * 0.15-0.4 keeps both raised arms and the hands in view at 640x480.
+ */
+
+// Mean luminance (0-1) below which MediaPipe starts losing the hands
+const DARK_THRESHOLD = 0.25;
+
+// Pose points below this visibility count as not seen
+const MIN_VISIBILITY = 0.5;
+
+// Landmarks this close to the edge (fraction of the frame) are cut off
+const EDGE_MARGIN = 0.02;
+
+// Lighting is sampled from a tiny copy of the frame, this often (ms)
+const BRIGHTNESS_INTERVAL = 500;
+
+// Most urgent first: one fix often clears the rest
+const ISSUE_ORDER = ['dark', 'no-person', 'too-close', 'too-far', 'arms-cropped', 'left-hand', 'right-hand'];
+
+export class QualityMonitor {
+  constructor({
+    videoElement = null,
+    minShoulderWidth = 0.15, // Fraction of frame width; smaller is too far
+    maxShoulderWidth = 0.4,  // Larger is too close
+    holdDuration = 1000      // ms an issue must last before it is shown
+  } = {}) {
+    this.videoElement = videoElement;
+    this.minShoulderWidth = minShoulderWidth;
+    this.maxShoulderWidth = maxShoulderWidth;
+    this.holdDuration = holdDuration;
+
+    this.brightness = null;
+    this.lastBrightnessCheck = -Infinity;
+    this.canvas = null;
+    this.since = {}; // issue id -> first time it was seen (ms)
+  }
+
+  /**
+   * Check a tracking result.
+   *
+   * @returns {Object} { issues: [{ id, message }], brightness,
+   *   shoulderWidth, hands: { Left, Right }, pose } where hands and pose
+   *   are confidences (0-1, null when not tracked)
+   */
+  update(data, timestamp = performance.now()) {
+    if (timestamp - this.lastBrightnessCheck >= BRIGHTNESS_INTERVAL) {
+      this.brightness = this.measureBrightness();
+      this.lastBrightnessCheck = timestamp;
+    }
+
+    const found = this.diagnose(data);
+    const ids = new Set(found.map(issue => issue.id));
+
+    for (const id of Object.keys(this.since)) {
+      if (!ids.has(id)) delete this.since[id];
+    }
+    for (const id of ids) {
+      if (this.since[id] === undefined) this.since[id] = timestamp;
+    }
+
+    const issues = found
+      .filter(issue => timestamp - this.since[issue.id] >= this.holdDuration)
+      .sort((a, b) => ISSUE_ORDER.indexOf(a.id) - ISSUE_ORDER.indexOf(b.id));
+
+    const hands = { Left: null, Right: null };
+    for (const hand of data.hands || []) {
+      hands[hand.handedness] = hand.confidence;
+    }
+
+    return {
+      issues,
+      brightness: this.brightness,
+      shoulderWidth: data.pose ? data.pose.shoulderWidth : null,
+      hands,
+      pose: data.pose ? data.pose.confidence : null
+    };
+  }
+
+  /**
+   * Everything wrong with this one frame
+   */
+  diagnose(data) {
+    const issues = [];
+    const pose = data.pose;
+
+    if (this.brightness !== null && this.brightness < DARK_THRESHOLD) {
+      issues.push({ id: 'dark', message: 'Too dark: add light in front of you' });
+    }
+
+    if (!pose || pose.confidence < MIN_VISIBILITY) {
+      issues.push({ id: 'no-person', message: 'Step into view of the camera' });
+      return issues;
+    }
+
+    const width = pose.shoulderWidth;
+    if (width > this.maxShoulderWidth) {
+      issues.push({ id: 'too-close', message: 'Too close: step back from the camera' });
+    } else if (width < this.minShoulderWidth) {
+      issues.push({ id: 'too-far', message: 'Too far: come a little closer' });
+    }
+
+    // Elbows or wrists the model can't see, or cut off by the frame edge
+    const cropped = ['left', 'right'].some(side => {
+      const arm = pose[side];
+      return pose.visibility[side] < MIN_VISIBILITY || !inFrame(arm.elbow) || !inFrame(arm.wrist);
+    });
+    if (cropped && width <= this.maxShoulderWidth) {
+      issues.push({ id: 'arms-cropped', message: 'Arms are cut off: make room for both arms in the frame' });
+    }
+
+    for (const side of ['Left', 'Right']) {
+      if ((data.hands || []).some(h => h.handedness === side)) continue;
+
+      const wrist = pose[side.toLowerCase()].wrist;
+      const name = side.toLowerCase();
+      issues.push({
+        id: `${name}-hand`,
+        message: inFrame(wrist)
+          ? `Can't see your ${name} hand: open it toward the camera`
+          : `Your ${name} hand is out of frame`
+      });
+    }
+
+    return issues;
+  }
+
+  /**
+   * Mean luminance (0-1) of the camera image, or null without one
+   */
+  measureBrightness() {
+    const video = this.videoElement;
+    if (!video || video.readyState < 2 || !video.videoWidth) return null;
+
+    if (!this.canvas) {
+      this.canvas = document.createElement('canvas');
+      this.canvas.width = 32;
+      this.canvas.height = 24;
+      this.context = this.canvas.getContext('2d', { willReadFrequently: true });
+    }
+
+    const { width, height } = this.canvas;
+    this.context.drawImage(video, 0, 0, width, height);
+    const pixels = this.context.getImageData(0, 0, width, height).data;
+
+    let total = 0;
+    for (let i = 0; i < pixels.length; i += 4) {
+      total += 0.2126 * pixels[i] + 0.7152 * pixels[i + 1] + 0.0722 * pixels[i + 2];
+    }
+    return total / (pixels.length / 4) / 255;
+  }
+
+  reset() {
+    this.since = {};
+  }
+}
+
+function inFrame(landmark) {
+  return landmark.x > EDGE_MARGIN && landmark.x < 1 - EDGE_MARGIN &&
+    landmark.y > EDGE_MARGIN && landmark.y < 1 - EDGE_MARGIN;
+}
@@ -0,0 +1,443 @@
+/**
+ * Performance Report Module
+ *
+ * Grades a recorded Perform session. The session's frames are run back
+ * through the tracker's processing (smoothing, tremble, calibration), then
+ * measured:
+ *
+ * - Poses: time a hand held a recognized template (findBestMatch)
+ * - Tremble: time trembling in the Lazgi range, and how steady it was
+ * - Arms: wrist height above the shoulders and left/right symmetry
+ * - Energy: hand speed, in palm lengths per second
+ * - Timing: motion accents (peaks in hand speed) against the music's beat
+ *
+ * Each measure is scored 0-1 and the weighted mean gives the grade.
+ * Snaps, claps and flicks (gestures.js) are judged against the beat too,
+ * as a rhythm summary beside the grade.
+ * Reports are JSON, with a per-second series for the charts:
+ *
+ *   { version, createdAt, recordedAt, duration, score, grade,
+ *     scores: { poses, tremble, arms, energy, timing },
+ *     poses, tremble, arms, energy, timing, rhythm, series: [{ t, ... }] }
+ */
+
+import { findBestMatch } from './templates.js';
+import { REFERENCE_BODY } from './calibration.js';
+import { GestureDetector, RhythmScorer } from './gestures.js';
+import { BeatClock } from './beats.js';
+import { BEATS_PER_BAR } from './arrangement.js';
+
+export const REPORT_VERSION = 1;
+
+// Fewer frames than this (about two seconds) are too little to grade
+export const MIN_REPORT_FRAMES = 60;
+
+// A hand counts as holding a pose at this match score
+const POSE_THRESHOLD = 0.7;
+
+// Lazgi tremble band (Hz)
+const TREMBLE_BAND = [4, 12];
+
+// What earns a full score on each measure
+const FULL_MARKS = {
+  poses: 0.5,   // Fraction of the time in a recognized pose
+  tremble: 0.3, // Fraction of the time trembling in the band
+  reach: 0.5,   // Mean wrist height, in reaches above the shoulder
+  energy: 4     // Mean hand speed, palm lengths per second
+};
+
+const WEIGHTS = { poses: 0.25, tremble: 0.25, arms: 0.2, energy: 0.15, timing: 0.15 };
+
+const GRADES = [[0.85, 'A'], [0.7, 'B'], [0.55, 'C'], [0.4, 'D'], [0, 'F']];
+
+// Gaps longer than this (ms) don't count as time spent
+const MAX_FRAME_GAP = 200;
+
+// Motion accents must be this far apart (ms)
+const ACCENT_SPACING = 200;
+
+/**
+ * Analyze a session ({ frames: [{ t, hands, pose, music }] }).
+ *
+ * @param {Object} session - Recorded or loaded session
+ * @param {Object} options
+ * @param {Function} options.process - (frame, timestamp) => tracking
+ *   result, e.g. tracker.process with fresh filters
+ * @param {Array} options.beats - Beat times in music seconds, if known
+ * @param {number} options.bpm - Otherwise a steady beat at this tempo
+ */
+export function analyzeSession(session, { process, beats = null, bpm = 100 }) {
+  const samples = [];
+  const previous = {};
+  const gestures = new GestureDetector();
+  const gestureEvents = [];
+  let lastT = null;
+
+  for (const frame of session.frames) {
+    const data = process(frame, frame.t);
+    const dt = lastT === null ? 0 : Math.min(frame.t - lastT, MAX_FRAME_GAP);
+    lastT = frame.t;
+    samples.push(measureFrame(data, frame, dt, previous));
+    gestureEvents.push(...gestures.update(data, frame.t, frame.music ?? null));
+  }
+
+  const duration = samples.reduce((sum, s) => sum + s.dt, 0) / 1000;
+  const poses = summarizePoses(samples, duration);
+  const tremble = summarizeTremble(samples, duration);
+  const arms = summarizeArms(samples);
+  const energy = summarizeEnergy(samples);
+  const timing = summarizeTiming(samples, { beats, bpm });
+  const rhythm = summarizeRhythm(gestureEvents, { beats, bpm });
+
+  const scores = {
+    poses: Math.min(1, poses.recognized / FULL_MARKS.poses),
+    tremble: Math.min(1, tremble.inBand / FULL_MARKS.tremble) * (0.5 + 0.5 * tremble.steadiness),
+    arms: arms.height === null ? 0 : 0.5 * Math.min(1, Math.max(0, arms.height) / FULL_MARKS.reach) + 0.5 * arms.symmetry,
+    energy: Math.min(1, energy.mean / FULL_MARKS.energy),
+    timing: timing ? timing.score : null
+  };
+
+  // Timing only counts when the music was playing
+  let total = 0;
+  let weight = 0;
+  for (const [name, score] of Object.entries(scores)) {
+    if (score === null) continue;
+    total += score * WEIGHTS[name];
+    weight += WEIGHTS[name];
+  }
+  const score = weight > 0 ? total / weight : 0;
+
+  return {
+    version: REPORT_VERSION,
+    createdAt: new Date().toISOString(),
+    recordedAt: session.recordedAt || null,
+    duration: round(duration),
+    score: round(score),
+    grade: GRADES.find(([min]) => score >= min)[1],
+    scores: Object.fromEntries(Object.entries(scores).map(([k, v]) => [k, v === null ? null : round(v)])),
+    poses,
+    tremble,
+    arms: { height: arms.height, symmetry: arms.symmetry, left: arms.left, right: arms.right },
+    energy,
+    timing,
+    rhythm,
+    series: seriesOf(samples)
+  };
+}
+
+/**
+ * One frame's measurements
+ */
+function measureFrame(data, frame, dt, previous) {
+  const scoring = (data.profiles && data.profiles.scoring) || data;
+  const sample = { t: frame.t, dt, music: frame.music ?? null, pose: null, tremble: null, left: null, right: null, speed: null };
+
+  // Best recognized pose over both hands
+  let best = { template: null, score: 0 };
+  for (const hand of scoring.hands) {
+    const match = findBestMatch(hand);
+    if (match.score > best.score) best = match;
+  }
+  if (best.template && best.score >= POSE_THRESHOLD) sample.pose = best.template.id;
+
+  // The stronger hand's tremble
+  const trembling = data.hands
+    .map(h => h.tremble && h.tremble.overall)
+    .filter(Boolean)
+    .sort((a, b) => b.intensity - a.intensity)[0];
+  if (trembling) {
+    sample.tremble = {
+      active: trembling.active,
+      inBand: trembling.active && trembling.frequency >= TREMBLE_BAND[0] && trembling.frequency <= TREMBLE_BAND[1],
+      frequency: trembling.frequency,
+      steadiness: trembling.steadiness
+    };
+  }
+
+  // Wrist heights in reaches above the shoulder (calibrated when possible)
+  if (data.pose) {
+    for (const side of ['left', 'right']) {
+      const arm = data.pose[side];
+      sample[side] = arm.reach ?? arm.wristHeight / REFERENCE_BODY.reach;
+    }
+  }
+
+  // Fastest wrist, in palm lengths per second
+  const speeds = [];
+  for (const hand of data.hands) {
+    const wrist = hand.landmarks[0];
+    const aspect = hand.aspect || 1;
+    const palm = Math.hypot((hand.landmarks[9].x - wrist.x) * aspect, hand.landmarks[9].y - wrist.y) || 1;
+    const last = previous[hand.handedness];
+    if (last && dt > 0) {
+      speeds.push(Math.hypot((wrist.x - last.x) * aspect, wrist.y - last.y) / palm / (dt / 1000));
+    }
+    previous[hand.handedness] = wrist;
+  }
+  for (const side of Object.keys(previous)) {
+    if (!data.hands.some(h => h.handedness === side)) delete previous[side];
+  }
+  if (speeds.length) sample.speed = Math.max(...speeds);
+
+  return sample;
+}
+
+function summarizePoses(samples, duration) {
+  const time = {};
+  let held = 0;
+  for (const s of samples) {
+    if (!s.pose) continue;
+    time[s.pose] = (time[s.pose] || 0) + s.dt / 1000;
+    held += s.dt / 1000;
+  }
+
+  return {
+    recognized: duration > 0 ? round(held / duration) : 0,
+    time: Object.fromEntries(Object.entries(time).map(([id, seconds]) => [id, round(seconds)]))
+  };
+}
+
+function summarizeTremble(samples, duration) {
+  const trembling = samples.filter(s => s.tremble && s.tremble.active);
+  const inBand = trembling.filter(s => s.tremble.inBand);
+  const seconds = (list) => list.reduce((sum, s) => sum + s.dt, 0) / 1000;
+
+  return {
+    active: duration > 0 ? round(seconds(trembling) / duration) : 0,
+    inBand: duration > 0 ? round(seconds(inBand) / duration) : 0,
+    frequency: inBand.length ? round(mean(inBand.map(s => s.tremble.frequency))) : null,
+    steadiness: inBand.length ? round(mean(inBand.map(s => s.tremble.steadiness))) : 0
+  };
+}
+
+/**
+ * Mean arm heights, and symmetry: 1 when both wrists are level, 0 when
+ * they are a whole reach apart
+ */
+function summarizeArms(samples) {
+  const withPose = samples.filter(s => s.left !== null);
+  if (withPose.length === 0) return { height: null, symmetry: 0, left: null, right: null };
+
+  const left = mean(withPose.map(s => s.left));
+  const right = mean(withPose.map(s => s.right));
+  const symmetry = mean(withPose.map(s => Math.max(0, 1 - Math.abs(s.left - s.right))));
+
+  return { height: round((left + right) / 2), symmetry: round(symmetry), left: round(left), right: round(right) };
+}
+
+function summarizeEnergy(samples) {
+  const speeds = samples.filter(s => s.speed !== null).map(s => s.speed);
+  return {
+    mean: speeds.length ? round(mean(speeds)) : 0,
+    peak: speeds.length ? round(Math.max(...speeds)) : 0
+  };
+}
+
+/**
+ * Offsets of motion accents from the nearest beat. Accents are hand speed
+ * peaks well above the session's average. Returns null without music.
+ *
+ * @returns {Object|null} { accents, offset (mean, ms, negative = early),
+ *   spread (mean absolute offset, ms), score }
+ */
+function summarizeTiming(samples, { beats, bpm }) {
+  const moving = samples.filter(s => s.speed !== null && s.music !== null);
+  if (moving.length < 3) return null;
+
+  const speeds = moving.map(s => s.speed);
+  const average = mean(speeds);
+  const spread = Math.sqrt(mean(speeds.map(v => (v - average) ** 2)));
+  const threshold = average + spread;
+
+  const offsets = [];
+  let lastAccent = -Infinity;
+  for (let i = 1; i < moving.length - 1; i++) {
+    const s = moving[i];
+    if (s.speed < threshold || s.speed < moving[i - 1].speed || s.speed < moving[i + 1].speed) continue;
+    if (s.t - lastAccent < ACCENT_SPACING) continue;
+    lastAccent = s.t;
+    offsets.push(beatOffset(s.music, { beats, bpm }));
+  }
+
+  if (offsets.length === 0) return null;
+
+  // Offsets are fractions of a beat (-0.5 to 0.5); random accents average
+  // a quarter beat off, which scores zero
+  const absolute = mean(offsets.map(o => Math.abs(o.fraction)));
+  return {
+    accents: offsets.length,
+    offset: Math.round(mean(offsets.map(o => o.ms))),
+    spread: Math.round(mean(offsets.map(o => Math.abs(o.ms)))),
+    score: round(Math.max(0, 1 - absolute * 4))
+  };
+}
+
+/**
+ * Snaps, claps and flicks on, ahead of or behind the beat. Null without
+ * music or gestures.
+ */
+function summarizeRhythm(events, { beats, bpm }) {
+  const timed = events.filter(e => e.music !== null);
+  if (timed.length === 0) return null;
+
+  // Without a beat map, a steady grid at `bpm` over the music played
+  const grid = beats && beats.length > 1
+    ? beats
+    : Array.from({ length: Math.ceil(Math.max(...timed.map(e => e.music)) * bpm / 60) + 2 }, (_, i) => i * 60 / bpm);
+
+  const scorer = new RhythmScorer({
+    beatClock: new BeatClock({ getTime: () => null, analysis: { beats: grid, downbeats: [], beatsPerBar: BEATS_PER_BAR } })
+  });
+  timed.forEach(e => scorer.judge(e));
+
+  const { events: count, on, early, late, byType, meanOffset, score } = scorer.summary();
+  return { events: count, on, early, late, byType, offset: Math.round(meanOffset * 1000), score: round(score) };
+}
+
+/**
+ * Signed distance from a music time (s) to the nearest beat
+ */
+function beatOffset(time, { beats, bpm }) {
+  if (beats && beats.length > 1) {
+    let i = 0;
+    while (i < beats.length - 1 && beats[i + 1] <= time) i++;
+    const next = Math.min(i + 1, beats.length - 1);
+    const nearest = Math.abs(beats[next] - time) < Math.abs(time - beats[i]) ? next : i;
+    const period = nearest < beats.length - 1 ? beats[nearest + 1] - beats[nearest] : beats[nearest] - beats[nearest - 1];
+    const ms = (time - beats[nearest]) * 1000;
+    return { ms, fraction: Math.max(-0.5, Math.min(0.5, ms / 1000 / period)) };
+  }
+
+  const period = 60 / bpm;
+  let phase = (time % period) / period;
+  if (phase > 0.5) phase -= 1;
+  return { ms: phase * period * 1000, fraction: phase };
+}
+
+/**
+ * Per-second averages for the charts
+ */
+function seriesOf(samples) {
+  const bins = [];
+  for (const s of samples) {
+    const second = Math.floor(s.t / 1000);
+    const bin = bins[second] || (bins[second] = { t: second, n: 0, posed: 0, tremble: 0, speed: [], left: [], right: [] });
+    bin.n++;
+    if (s.pose) bin.posed++;
+    if (s.tremble && s.tremble.inBand) bin.tremble++;
+    if (s.speed !== null) bin.speed.push(s.speed);
+    if (s.left !== null) {
+      bin.left.push(s.left);
+      bin.right.push(s.right);
+    }
+  }
+
+  return bins.filter(Boolean).map(bin => ({
+    t: bin.t,
+    poses: round(bin.posed / bin.n),
+    tremble: round(bin.tremble / bin.n),
+    energy: bin.speed.length ? round(mean(bin.speed)) : null,
+    left: bin.left.length ? round(mean(bin.left)) : null,
+    right: bin.right.length ? round(mean(bin.right)) : null,
+    symmetry: bin.left.length ? round(mean(bin.left.map((l, i) => Math.max(0, 1 - Math.abs(l - bin.right[i]))))) : null
+  }));
+}
+
+/**
+ * Line chart of report series keys on a canvas: [{ key, label, color }].
+ * The y axis runs from 0 to `max` (or the largest value); `labels` names
+ * the two ends of the x axis (seconds by default).
+ */
+export function drawLineChart(canvas, series, lines, { max = null, labels = null } = {}) {
+  const ctx = canvas.getContext('2d');
+  const { width, height } = canvas;
+  const pad = 24;
+  ctx.clearRect(0, 0, width, height);
+  if (series.length < 2) return;
+
+  const values = series.flatMap(point => lines.map(line => point[line.key])).filter(v => v !== null);
+  const top = max ?? Math.max(...values, 0.01);
+  const x = (i) => pad + (i / (series.length - 1)) * (width - pad * 2);
+  const y = (v) => height - pad - (Math.min(Math.max(v, 0), top) / top) * (height - pad * 2);
+
+  drawAxes(ctx, width, height, pad, labels || ['0s', `${series[series.length - 1].t}s`]);
+
+  lines.forEach((line, n) => {
+    ctx.strokeStyle = line.color;
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    let drawing = false;
+    series.forEach((point, i) => {
+      const v = point[line.key];
+      if (v === null) {
+        drawing = false;
+        return;
+      }
+      if (drawing) ctx.lineTo(x(i), y(v));
+      else ctx.moveTo(x(i), y(v));
+      drawing = true;
+    });
+    ctx.stroke();
+
+    ctx.fillStyle = line.color;
+    ctx.fillText(line.label, pad + 4 + n * 80, 12);
+  });
+}
+
+/**
+ * Horizontal bar chart: [{ label, value }] with values 0-max
+ */
+export function drawBarChart(canvas, bars, { max = 1, format = (v) => `${Math.round(v * 100)}%` } = {}) {
+  const ctx = canvas.getContext('2d');
+  const { width, height } = canvas;
+  ctx.clearRect(0, 0, width, height);
+  if (bars.length === 0) return;
+
+  const labelWidth = 90;
+  const row = height / bars.length;
+  ctx.font = '11px sans-serif';
+  ctx.textBaseline = 'middle';
+
+  bars.forEach((bar, i) => {
+    const cy = row * i + row / 2;
+    ctx.fillStyle = 'rgba(255, 248, 225, 0.8)';
+    ctx.fillText(bar.label, 0, cy);
+
+    ctx.fillStyle = 'rgba(255, 193, 7, 0.15)';
+    ctx.fillRect(labelWidth, cy - row * 0.3, width - labelWidth - 50, row * 0.6);
+
+    if (bar.value !== null) {
+      ctx.fillStyle = '#ffc107';
+      ctx.fillRect(labelWidth, cy - row * 0.3, (width - labelWidth - 50) * Math.min(bar.value / max, 1), row * 0.6);
+    }
+
+    ctx.fillStyle = 'rgba(255, 248, 225, 0.8)';
+    ctx.fillText(bar.value === null ? '-' : format(bar.value), width - 44, cy);
+  });
+}
+
+function drawAxes(ctx, width, height, pad, [startLabel, endLabel]) {
+  ctx.strokeStyle = 'rgba(255, 193, 7, 0.3)';
+  ctx.lineWidth = 1;
+  ctx.beginPath();
+  ctx.moveTo(pad, pad);
+  ctx.lineTo(pad, height - pad);
+  ctx.lineTo(width - pad, height - pad);
+  ctx.stroke();
+
+  ctx.font = '10px sans-serif';
+  ctx.fillStyle = 'rgba(255, 248, 225, 0.6)';
+  ctx.textBaseline = 'alphabetic';
+  ctx.fillText(startLabel, pad, height - 8);
+  ctx.textAlign = 'right';
+  ctx.fillText(endLabel, width - pad, height - 8);
+  ctx.textAlign = 'left';
+}
+
+function mean(values) {
+  return values.reduce((a, b) => a + b, 0) / values.length;
+}
+
+function round(value) {
+  return Math.round(value * 1000) / 1000;
+}
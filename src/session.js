@@ -0,0 +1,149 @@
+/**
+ * Session Recording and Replay
+ *
+ * Records a Perform-mode run: every tracking result (raw landmarks, see
+ * tracks.js) plus where the music was at that moment. A session is a
+ * landmark track with two extras:
+ *
+ *   { ...track, recordedAt, mode, frames: [{ t, hands, pose, music }] }
+ *
+ * where `music` is the music player position in seconds (null while the
+ * music was off). Replay feeds the frames back through the tracker as a
+ * LandmarkSource, so the visualizer, coach and sound engine see exactly
+ * what they saw live, and keeps the music in step.
+ */
+
+import { serializeFrame, createTrack } from './tracks.js';
+import { LandmarkSource } from './sources.js';
+
+// Music further than this from the recording (seconds) is re-synced
+const MUSIC_DRIFT = 0.25;
+
+export class SessionRecorder {
+  constructor() {
+    this.frames = null;
+    this.startTime = null;
+  }
+
+  get isRecording() {
+    return this.frames !== null;
+  }
+
+  start() {
+    this.frames = [];
+    this.startTime = null;
+  }
+
+  /**
+   * Feed a tracking result. Call every frame while recording.
+   *
+   * @param {Object} data - Tracking result ({ hands, pose, timestamp })
+   * @param {number|null} musicPosition - SoundEngine.getMusicPosition()
+   */
+  addFrame(data, musicPosition = null) {
+    if (!this.frames) return;
+
+    const timestamp = data.timestamp ?? performance.now();
+    if (this.startTime === null) this.startTime = timestamp;
+
+    const frame = serializeFrame(data, timestamp - this.startTime);
+    frame.music = musicPosition === null ? null : Math.round(musicPosition * 1000) / 1000;
+    this.frames.push(frame);
+  }
+
+  /**
+   * Finish recording and return the session
+   */
+  stop({ mode = 'perform' } = {}) {
+    if (!this.frames) {
+      throw new Error('Not recording');
+    }
+
+    const session = {
+      ...createTrack(this.frames, { source: 'session' }),
+      recordedAt: new Date().toISOString(),
+      mode
+    };
+
+    this.frames = null;
+    return session;
+  }
+}
+
+/**
+ * Plays a session back through the tracker with play/pause/seek.
+ * Call update() every frame to keep the music in step.
+ */
+export class SessionPlayer {
+  constructor({ session, soundEngine }) {
+    this.session = session;
+    this.soundEngine = soundEngine;
+    this.source = new LandmarkSource({ track: session, loop: false });
+  }
+
+  get duration() {
+    return this.session.duration;
+  }
+
+  get currentTime() {
+    return this.source.currentTime;
+  }
+
+  get paused() {
+    return this.source.paused || this.source.ended;
+  }
+
+  play() {
+    if (this.source.ended) this.source.seek(0);
+    this.source.play();
+    this.syncMusic(true);
+  }
+
+  pause() {
+    this.source.pause();
+    this.soundEngine.pauseRecordedMusic();
+  }
+
+  seek(t) {
+    this.source.seek(t);
+    this.syncMusic(true);
+  }
+
+  /**
+   * Where the music should be at time t (ms), or null if it was off
+   */
+  musicAt(t) {
+    const frames = this.session.frames;
+    let frame = null;
+    for (const f of frames) {
+      if (f.t > t) break;
+      frame = f;
+    }
+
+    if (!frame || frame.music === null || frame.music === undefined) return null;
+    return frame.music + (t - frame.t) / 1000;
+  }
+
+  /**
+   * Start, stop or re-seek the music to match the recording. Music only
+   * plays when sound is on, as it did live.
+   */
+  syncMusic(force = false) {
+    const engine = this.soundEngine;
+    const target = this.paused ? null : this.musicAt(this.currentTime);
+
+    if (target === null || !engine.isStarted) {
+      engine.pauseRecordedMusic();
+      return;
+    }
+
+    const position = engine.getMusicPosition();
+    if (force || position === null || Math.abs(position - target) > MUSIC_DRIFT) {
+      engine.playRecordedMusic(target);
+    }
+  }
+
+  update() {
+    this.syncMusic();
+  }
+}
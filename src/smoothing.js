@@ -0,0 +1,155 @@
+/**
+ * Landmark Smoothing Module
+ *
+ * One Euro filters (Casiez et al., CHI 2012) on every landmark coordinate.
+ * The cutoff frequency rises with speed: a still hand is smoothed hard,
+ * so sensor jitter disappears, while fast motion passes with little lag.
+ *
+ * Speeds are measured in palm lengths (shoulder widths for the pose) per
+ * second, so the same settings work near and far from the camera. A real
+ * 4-12 Hz wrist tremble moves several palm lengths per second, far faster
+ * than jitter, so with a high `beta` it opens the filter and survives.
+ * TrembleAnalyzer still measures from the raw landmarks.
+ */
+
+export const SMOOTHING_PRESETS = {
+  // Responsive: medallions and sound follow the tremble (~90% of an 8 Hz
+  // tremble kept, jitter cut by a quarter)
+  visuals: { minCutoff: 1, beta: 16, dCutoff: 15 },
+  // Steadier: matching cares about held shapes more than flicker (jitter
+  // cut by 40%, ~65% of an 8 Hz tremble kept)
+  scoring: { minCutoff: 0.5, beta: 8, dCutoff: 5 }
+};
+
+// Longest gap (ms) a filter bridges; after that it starts over
+const MAX_GAP = 250;
+
+function smoothingFactor(cutoff, dt) {
+  const tau = 1 / (2 * Math.PI * cutoff);
+  return 1 / (1 + tau / dt);
+}
+
+/**
+ * One Euro filter for a single value
+ */
+export class OneEuroFilter {
+  constructor({ minCutoff = 1, beta = 0, dCutoff = 1 } = {}) {
+    this.minCutoff = minCutoff; // Hz at rest
+    this.beta = beta;           // How fast the cutoff rises with speed
+    this.dCutoff = dCutoff;     // Hz for the speed estimate
+    this.reset();
+  }
+
+  reset() {
+    this.value = null;
+    this.derivative = 0;
+    this.lastTime = null;
+  }
+
+  /**
+   * @param {number} value - New measurement
+   * @param {number} timestamp - ms
+   * @param {number} scale - Units per palm length, so speed is scale-free
+   */
+  filter(value, timestamp, scale = 1) {
+    if (this.value === null) {
+      this.value = value;
+      this.lastTime = timestamp;
+      return value;
+    }
+
+    const dt = (timestamp - this.lastTime) / 1000;
+    if (dt <= 0) return this.value;
+    this.lastTime = timestamp;
+
+    const speed = (value - this.value) / dt / (scale || 1);
+    this.derivative += smoothingFactor(this.dCutoff, dt) * (speed - this.derivative);
+
+    const cutoff = this.minCutoff + this.beta * Math.abs(this.derivative);
+    this.value += smoothingFactor(cutoff, dt) * (value - this.value);
+    return this.value;
+  }
+}
+
+/**
+ * Smooths whole tracking frames ({ hands: [{ handedness, landmarks,
+ * aspect }], pose: { landmarks } | null }, the track format) with one
+ * filter per landmark coordinate. Hands and pose that drop out are
+ * forgotten, so a hand coming back doesn't sweep in from its old place.
+ */
+export class LandmarkSmoother {
+  constructor(options = SMOOTHING_PRESETS.visuals) {
+    this.options = { ...options };
+    this.filters = {}; // key -> [{ x, y, z }] of OneEuroFilter
+    this.lastSeen = {};
+  }
+
+  /**
+   * Change cutoff/beta on the fly (keeps the current state)
+   */
+  configure(options) {
+    Object.assign(this.options, options);
+    for (const points of Object.values(this.filters)) {
+      for (const point of points) {
+        for (const filter of Object.values(point)) {
+          Object.assign(filter, this.options);
+        }
+      }
+    }
+  }
+
+  reset() {
+    this.filters = {};
+    this.lastSeen = {};
+  }
+
+  smoothFrame(frame, timestamp) {
+    const seen = new Set();
+
+    const hands = frame.hands.map(hand => {
+      seen.add(hand.handedness);
+      const aspect = hand.aspect || 1;
+      const wrist = hand.landmarks[0];
+      const middle = hand.landmarks[9];
+      const palm = Math.hypot((middle.x - wrist.x) * aspect, middle.y - wrist.y);
+      return { ...hand, landmarks: this.smooth(hand.handedness, hand.landmarks, timestamp, palm) };
+    });
+
+    let pose = null;
+    if (frame.pose) {
+      seen.add('pose');
+      const left = frame.pose.landmarks[11];
+      const right = frame.pose.landmarks[12];
+      const shoulders = Math.hypot(left.x - right.x, left.y - right.y);
+      pose = { ...frame.pose, landmarks: this.smooth('pose', frame.pose.landmarks, timestamp, shoulders) };
+    }
+
+    for (const key of Object.keys(this.filters)) {
+      if (!seen.has(key)) {
+        delete this.filters[key];
+        delete this.lastSeen[key];
+      }
+    }
+
+    return { ...frame, hands, pose };
+  }
+
+  smooth(key, landmarks, timestamp, scale) {
+    if (!this.filters[key] || timestamp - this.lastSeen[key] > MAX_GAP) {
+      this.filters[key] = landmarks.map(() => ({
+        x: new OneEuroFilter(this.options),
+        y: new OneEuroFilter(this.options),
+        z: new OneEuroFilter(this.options)
+      }));
+    }
+    this.lastSeen[key] = timestamp;
+
+    const filters = this.filters[key];
+    return landmarks.map((lm, i) => ({
+      ...lm,
+      x: filters[i].x.filter(lm.x, timestamp, scale),
+      y: filters[i].y.filter(lm.y, timestamp, scale),
+      z: lm.z === undefined ? lm.z : filters[i].z.filter(lm.z, timestamp, scale)
+    }));
+  }
+}
@@ -0,0 +1,346 @@
+/**
+ * Video Sources
+ *
+ * Where HolisticTracker gets its frames from. Every source shares one
+ * small interface:
+ *
+ *   open(videoElement)  Start feeding the tracker's <video> element
+ *   close()             Release devices, object URLs and timers
+ *   kind                'camera' | 'video' | 'images' | 'landmarks'
+ *
+ * Camera, video file and image sequence sources all end up playing in the
+ * video element, so the tracker runs MediaPipe on them the same way. A
+ * LandmarkSource instead replays a recorded track (see tracks.js) and the
+ * tracker skips the model entirely: useful without a camera, and for
+ * reproducing a bug frame by frame.
+ */
+
+import { validateTrack } from './tracks.js';
+
+export const RESOLUTIONS = {
+  '480p': { width: 640, height: 480 },
+  '720p': { width: 1280, height: 720 },
+  '1080p': { width: 1920, height: 1080 }
+};
+
+/**
+ * Live webcam, optionally a specific device and resolution
+ */
+export class WebcamSource {
+  constructor({ deviceId = null, width = 640, height = 480, facingMode = 'user' } = {}) {
+    this.kind = 'camera';
+    this.deviceId = deviceId;
+    this.width = width;
+    this.height = height;
+    this.facingMode = facingMode;
+    this.videoElement = null;
+  }
+
+  /**
+   * Cameras the browser can see. Labels are only filled in once the
+   * user has granted camera permission.
+   */
+  static async listDevices() {
+    const devices = await navigator.mediaDevices.enumerateDevices();
+    return devices
+      .filter(d => d.kind === 'videoinput')
+      .map((d, i) => ({ deviceId: d.deviceId, label: d.label || `Camera ${i + 1}` }));
+  }
+
+  async open(videoElement) {
+    const video = { width: this.width, height: this.height };
+    if (this.deviceId) {
+      video.deviceId = { exact: this.deviceId };
+    } else {
+      video.facingMode = this.facingMode;
+    }
+
+    const stream = await navigator.mediaDevices.getUserMedia({ video });
+
+    this.videoElement = videoElement;
+    videoElement.srcObject = stream;
+    await videoElement.play();
+  }
+
+  close() {
+    const video = this.videoElement;
+    if (video && video.srcObject) {
+      video.srcObject.getTracks().forEach(track => track.stop());
+      video.srcObject = null;
+    }
+    this.videoElement = null;
+  }
+}
+
+/**
+ * A local video file (File/Blob) or URL, looped by default
+ */
+export class VideoFileSource {
+  constructor({ file, loop = true }) {
+    this.kind = 'video';
+    this.file = file;
+    this.loop = loop;
+    this.objectUrl = null;
+    this.videoElement = null;
+  }
+
+  get name() {
+    return this.file instanceof Blob ? (this.file.name || 'video') : this.file.split('/').pop();
+  }
+
+  async open(videoElement) {
+    if (this.file instanceof Blob) {
+      this.objectUrl = URL.createObjectURL(this.file);
+    }
+
+    this.videoElement = videoElement;
+    videoElement.srcObject = null;
+    videoElement.src = this.objectUrl || this.file;
+    videoElement.loop = this.loop;
+    videoElement.muted = true;
+    await videoElement.play();
+  }
+
+  close() {
+    const video = this.videoElement;
+    if (video) {
+      video.pause();
+      video.removeAttribute('src');
+      video.loop = false;
+      video.load();
+    }
+    if (this.objectUrl) {
+      URL.revokeObjectURL(this.objectUrl);
+      this.objectUrl = null;
+    }
+    this.videoElement = null;
+  }
+}
+
+/**
+ * Still images played in order at a fixed frame rate. Frames are drawn
+ * to a canvas whose stream feeds the video element.
+ */
+export class ImageSequenceSource {
+  constructor({ files, fps = 15, loop = true }) {
+    this.kind = 'images';
+    // Files from a folder picker arrive in no particular order
+    this.files = [...files].sort((a, b) => fileName(a).localeCompare(fileName(b), undefined, { numeric: true }));
+    this.fps = fps;
+    this.loop = loop;
+    this.images = [];
+    this.objectUrls = [];
+    this.index = 0;
+    this.timer = null;
+    this.videoElement = null;
+  }
+
+  async open(videoElement) {
+    if (this.files.length === 0) {
+      throw new Error('No images in the sequence');
+    }
+
+    this.images = await Promise.all(this.files.map(file => this.loadImage(file)));
+
+    const first = this.images[0];
+    this.canvas = document.createElement('canvas');
+    this.canvas.width = first.naturalWidth;
+    this.canvas.height = first.naturalHeight;
+    this.context = this.canvas.getContext('2d');
+
+    this.index = 0;
+    this.drawFrame();
+
+    this.videoElement = videoElement;
+    videoElement.srcObject = this.canvas.captureStream(this.fps);
+    await videoElement.play();
+
+    this.timer = setInterval(() => {
+      if (this.index >= this.images.length - 1 && !this.loop) return;
+      this.index = (this.index + 1) % this.images.length;
+      this.drawFrame();
+    }, 1000 / this.fps);
+  }
+
+  loadImage(file) {
+    const url = file instanceof Blob ? URL.createObjectURL(file) : file;
+    if (file instanceof Blob) this.objectUrls.push(url);
+
+    return new Promise((resolve, reject) => {
+      const image = new Image();
+      image.onload = () => resolve(image);
+      image.onerror = () => reject(new Error(`Could not load image ${fileName(file)}`));
+      image.src = url;
+    });
+  }
+
+  drawFrame() {
+    const { width, height } = this.canvas;
+    this.context.drawImage(this.images[this.index], 0, 0, width, height);
+  }
+
+  close() {
+    clearInterval(this.timer);
+    this.timer = null;
+
+    const video = this.videoElement;
+    if (video && video.srcObject) {
+      video.srcObject.getTracks().forEach(track => track.stop());
+      video.srcObject = null;
+    }
+
+    this.objectUrls.forEach(url => URL.revokeObjectURL(url));
+    this.objectUrls = [];
+    this.images = [];
+    this.videoElement = null;
+  }
+}
+
+/**
+ * Replays a recorded landmark track without running MediaPipe.
+ *
+ * With `realtime` on, frames follow the wall clock (scaled by `speed`).
+ * With it off, every tracker tick advances exactly one frame, so a replay
+ * behaves the same on any machine. Either way playback can be paused and
+ * seeked, which is how session replay (see session.js) drives it.
+ */
+export class LandmarkSource {
+  constructor({ track, loop = true, speed = 1, realtime = true }) {
+    this.kind = 'landmarks';
+    this.providesLandmarks = true;
+    this.track = validateTrack(track);
+    this.loop = loop;
+    this.speed = speed;
+    this.realtime = realtime;
+
+    // One loop lasts a frame longer than the track, so the last and
+    // first frames don't land on the same time
+    const frames = this.track.frames;
+    const step = frames.length > 1 ? frames[frames.length - 1].t - frames[frames.length - 2].t : 0;
+    this.period = (this.track.duration || 0) + step || 1;
+
+    this.paused = false;
+    this.rewind();
+  }
+
+  /**
+   * Read a track from a File or URL
+   */
+  static async load(file, options = {}) {
+    let track;
+    if (file instanceof Blob) {
+      track = JSON.parse(await file.text());
+    } else {
+      const response = await fetch(file);
+      if (!response.ok) {
+        throw new Error(`Failed to load track (${response.status})`);
+      }
+      track = await response.json();
+    }
+    return new LandmarkSource({ track, ...options });
+  }
+
+  async open(videoElement) {
+    // Nothing to show: clear whatever the previous source left behind
+    videoElement.srcObject = null;
+    videoElement.removeAttribute('src');
+    this.rewind();
+  }
+
+  rewind() {
+    this.position = 0;  // ms into the current lap
+    this.lastNow = null;
+    this.index = -1;
+    this.lap = 0;       // Completed loops, so frame times keep increasing
+    this.seeked = false;
+  }
+
+  /**
+   * Position in the track (ms)
+   */
+  get currentTime() {
+    if (this.realtime) return Math.min(this.position, this.track.duration);
+    return this.index >= 0 ? this.track.frames[this.index].t : 0;
+  }
+
+  get ended() {
+    return !this.loop && this.index === this.track.frames.length - 1;
+  }
+
+  play() {
+    this.paused = false;
+  }
+
+  pause() {
+    this.paused = true;
+  }
+
+  /**
+   * Jump to a time (ms). The next frame returned is flagged `seeked` so
+   * consumers can drop history that no longer follows on.
+   */
+  seek(t) {
+    const frames = this.track.frames;
+    this.position = Math.max(0, Math.min(t, this.track.duration));
+
+    // Step back one so the frame at the new position is returned next
+    let at = frames.findIndex(f => f.t > this.position) - 1;
+    if (at === -2) at = frames.length - 1;
+    this.index = Math.max(-1, at - 1);
+    this.seeked = true;
+  }
+
+  /**
+   * The frame due at `now`, or null if it was already returned.
+   * Frames get a `time` (ms) that keeps increasing across loops.
+   */
+  nextFrame(now = performance.now()) {
+    const frames = this.track.frames;
+    if (frames.length === 0) return null;
+
+    const elapsed = this.lastNow === null || this.paused ? 0 : (now - this.lastNow) * this.speed;
+    this.lastNow = now;
+
+    let index = this.index;
+    if (this.realtime) {
+      this.position += elapsed;
+      if (!this.loop) {
+        this.position = Math.min(this.position, this.track.duration);
+      } else if (this.position >= this.period) {
+        this.lap += Math.floor(this.position / this.period);
+        this.position %= this.period;
+        index = -1;
+      }
+
+      while (index < frames.length - 1 && frames[index + 1].t <= this.position) {
+        index++;
+      }
+    } else if (!this.paused) {
+      index++;
+      if (index >= frames.length) {
+        if (!this.loop) return null;
+        index = 0;
+        this.lap++;
+      }
+    }
+
+    if (index === this.index || index < 0) return null;
+    this.index = index;
+
+    const frame = frames[index];
+    const result = { ...frame, time: this.lap * this.period + frame.t };
+    if (this.seeked) {
+      result.seeked = true;
+      this.seeked = false;
+    }
+    return result;
+  }
+
+  close() {
+    this.lastNow = null;
+  }
+}
+
+function fileName(file) {
+  return file instanceof Blob ? file.name : String(file);
+}
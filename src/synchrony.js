@@ -0,0 +1,172 @@
+/**
+ * Synchrony Module
+ *
+ * How in step two dancers are: two tracked dancers, or the user against
+ * a reference track extracted from the learn video. Each frame is reduced
+ * to per-limb features that ignore size and position in the frame:
+ *
+ * - Arms: directions of the upper arm and forearm
+ * - Hands: wrist-anchored, palm-scaled shape (see matching.js)
+ * - Torso: angle of the shoulder line
+ *
+ * Over a sliding window the second stream is compared against the first
+ * at a range of small lags, and the best lag wins, so a follower who is a
+ * beat behind the leader still reads as in sync (with that lag reported).
+ *
+ * Works on tracking results and raw track frames alike: both carry
+ * `hands[].landmarks` and `pose.landmarks` in display space.
+ */
+
+import { normalizeHand } from './matching.js';
+
+export const LIMBS = ['leftArm', 'rightArm', 'leftHand', 'rightHand', 'torso'];
+
+// Feature distance that scores zero, per kind of limb
+const TOLERANCE = {
+  arm: 0.8,   // Summed unit-vector difference of the two arm segments
+  hand: 0.6,  // Mean landmark distance in palm lengths
+  torso: 0.3  // Radians of shoulder-line tilt
+};
+
+// Frames further apart than this (ms) don't count as the same moment
+const MAX_GAP = 100;
+
+const ARM_JOINTS = { leftArm: [11, 13, 15], rightArm: [12, 14, 16] };
+const HAND_SIDES = { leftHand: 'Left', rightHand: 'Right' };
+
+/**
+ * Per-limb features of one frame (limbs that weren't tracked are left out)
+ */
+export function extractFeatures(data) {
+  const features = {};
+  const pose = data && data.pose && data.pose.landmarks;
+
+  if (pose) {
+    for (const [limb, [shoulder, elbow, wrist]] of Object.entries(ARM_JOINTS)) {
+      features[limb] = [direction(pose[shoulder], pose[elbow]), direction(pose[elbow], pose[wrist])];
+    }
+    features.torso = Math.atan2(pose[11].y - pose[12].y, pose[11].x - pose[12].x);
+  }
+
+  for (const [limb, side] of Object.entries(HAND_SIDES)) {
+    const hand = ((data && data.hands) || []).find(h => h.handedness === side);
+    if (hand) features[limb] = normalizeHand(hand.landmarks, hand.aspect || 1);
+  }
+
+  return features;
+}
+
+/**
+ * Similarity (0-1) of one limb in two feature sets, or null if either
+ * is missing it
+ */
+export function compareLimb(limb, a, b) {
+  if (a[limb] === undefined || b[limb] === undefined) return null;
+
+  let distance;
+  let tolerance;
+  if (limb === 'torso') {
+    distance = Math.abs(Math.atan2(Math.sin(a.torso - b.torso), Math.cos(a.torso - b.torso)));
+    tolerance = TOLERANCE.torso;
+  } else if (limb.endsWith('Arm')) {
+    distance = a[limb].reduce((sum, v, i) => sum + Math.hypot(v.x - b[limb][i].x, v.y - b[limb][i].y), 0);
+    tolerance = TOLERANCE.arm;
+  } else {
+    distance = a[limb].reduce((sum, p, i) => sum + Math.hypot(p.x - b[limb][i].x, p.y - b[limb][i].y), 0) / a[limb].length;
+    tolerance = TOLERANCE.hand;
+  }
+
+  return Math.max(0, 1 - distance / tolerance);
+}
+
+export class SynchronyMeter {
+  constructor({
+    windowMs = 2000, // How much recent motion is compared
+    maxLagMs = 300,  // Largest lead or lag still counted as in sync
+    lagStepMs = 33   // Lag search resolution (about one frame)
+  } = {}) {
+    this.windowMs = windowMs;
+    this.maxLagMs = maxLagMs;
+    this.lagStepMs = lagStepMs;
+    this.reset();
+  }
+
+  reset() {
+    this.streams = { a: [], b: [] }; // [{ t, features }]
+  }
+
+  /**
+   * Add the two dancers' frames for this moment (either may be null
+   * when that dancer wasn't tracked)
+   */
+  push(a, b, timestamp = performance.now()) {
+    if (a) this.streams.a.push({ t: timestamp, features: extractFeatures(a) });
+    if (b) this.streams.b.push({ t: timestamp, features: extractFeatures(b) });
+
+    // Keep enough history to look back a full window at the largest lag
+    const oldest = timestamp - this.windowMs - this.maxLagMs;
+    for (const stream of Object.values(this.streams)) {
+      while (stream.length > 0 && stream[0].t < oldest) stream.shift();
+    }
+  }
+
+  /**
+   * Synchrony over the current window at the best lag.
+   *
+   * @returns {Object} { score (0-1), lag (ms, positive = b behind a),
+   *   limbs: { leftArm, rightArm, leftHand, rightHand, torso } (0-1 or
+   *   null when a limb wasn't seen in both) }
+   */
+  measure(now = performance.now()) {
+    let best = null;
+
+    const steps = Math.floor(this.maxLagMs / this.lagStepMs);
+    for (let step = -steps; step <= steps; step++) {
+      const result = this.measureAt(step * this.lagStepMs, now);
+      if (result && (!best || result.score > best.score)) best = result;
+    }
+
+    return best || { score: 0, lag: 0, limbs: Object.fromEntries(LIMBS.map(limb => [limb, null])) };
+  }
+
+  /**
+   * Mean per-limb similarity with stream b shifted back by `lag` ms
+   */
+  measureAt(lag, now) {
+    const a = this.streams.a.filter(frame => frame.t >= now - this.windowMs);
+    const b = this.streams.b;
+    if (a.length === 0 || b.length === 0) return null;
+
+    const totals = Object.fromEntries(LIMBS.map(limb => [limb, { sum: 0, count: 0 }]));
+    let j = 0;
+
+    for (const frame of a) {
+      const target = frame.t + lag;
+      while (j < b.length - 1 && Math.abs(b[j + 1].t - target) <= Math.abs(b[j].t - target)) j++;
+      if (Math.abs(b[j].t - target) > MAX_GAP) continue;
+
+      for (const limb of LIMBS) {
+        const score = compareLimb(limb, frame.features, b[j].features);
+        if (score === null) continue;
+        totals[limb].sum += score;
+        totals[limb].count++;
+      }
+    }
+
+    const limbs = {};
+    const scores = [];
+    for (const limb of LIMBS) {
+      const { sum, count } = totals[limb];
+      limbs[limb] = count > 0 ? sum / count : null;
+      if (count > 0) scores.push(limbs[limb]);
+    }
+
+    if (scores.length === 0) return null;
+    return { score: scores.reduce((x, y) => x + y, 0) / scores.length, lag, limbs };
+  }
+}
+
+function direction(from, to) {
+  const length = Math.hypot(to.x - from.x, to.y - from.y) || 1;
+  return { x: (to.x - from.x) / length, y: (to.y - from.y) / length };
+}
@@ -2,7 +2,19 @@
  * Lazgi Hand Position Templates
  *
  * Each template defines a target hand configuration for learning mode.
- * Landmarks are normalized coordinates (0-1).
+ * Landmarks are normalized coordinates (0-1) in mirrored (selfie) display
+ * space, the same space HolisticTracker reports. Templates captured from a
+ * camera also record the frame `aspect` (width / height).
+ *
+ * Template data lives in assets/templates/templates.json and is loaded
+ * at runtime by library.js; the arrays below are filled in place.
+ *
+ * `hand` names the hand a template is authored for ('Left' | 'Right').
+ * The other hand is matched against an automatically mirrored variant
+ * unless the template sets `mirrorable: false`.
+ *
+ * Set `orientationSensitive` on poses whose direction matters (e.g. palm
+ * toward the sun) so matching keeps rotation significant.
  *
  * Based on Khorezm Lazgi movement vocabulary:
  * - Sun salutation (raised palm)
@@ -10,257 +22,176 @@
  * - "Broken" angular poses
  */
 
-export const templates = [
-  {
-    id: 'sun-salutation',
-    name: 'Sun Salutation',
-    description: 'Arm raised, palm toward the sun',
-    category: 'opening',
-    landmarks: generateSunSalutation()
-  },
-  {
-    id: 'trembling-flame',
-    name: 'Trembling Flame',
-    description: 'Wrist bent, fingers spread like fire',
-    category: 'trembling',
-    landmarks: generateTremblingFlame()
-  },
-  {
-    id: 'broken-angle',
-    name: 'Broken Angle',
-    description: 'Angular wrist, bent fingers - Khorezm style',
-    category: 'broken',
-    landmarks: generateBrokenAngle()
-  },
-  {
-    id: 'finger-flutter',
-    name: 'Finger Flutter',
-    description: 'Fingers spread and slightly curved',
-    category: 'trembling',
-    landmarks: generateFingerFlutter()
-  },
-  {
-    id: 'closed-lotus',
-    name: 'Closed Lotus',
-    description: 'Fingertips together, palm cupped',
-    category: 'transition',
-    landmarks: generateClosedLotus()
-  }
-];
+import { matchHandShape, compareJointAngles, matchArm, matchTorsoTilt } from './matching.js';
+
+// Filled at runtime from assets/templates/templates.json (see library.js)
+export const templates = [];
 
 /**
- * Generate idealized landmark positions for each pose.
- * These are approximations; refine with actual video frame extraction.
+ * Full-body templates
+ *
+ * Lazgi poses combine a hand shape with arm and torso posture. Each
+ * component is optional and carries a weight; weights are normalized
+ * when scoring.
+ *
+ * - hand: { template, side, weight } - hand template id, 'Left' | 'Right' | 'any'
+ * - arms: { left, right, weight } - per-arm { angle (elbow, degrees), wristHeight
+ *   (wrist above shoulder, frame units for the reference body in calibration.js) }
+ * - torso: { tilt, weight } - target torsoTilt (0 = level shoulders)
  */
+export const bodyTemplates = [];
 
-function generateSunSalutation() {
-  // Open palm facing up, fingers spread
-  return [
-    { x: 0.5, y: 0.8 },   // 0: Wrist
-
-    // Thumb (slightly to the side)
-    { x: 0.35, y: 0.75 }, // 1
-    { x: 0.28, y: 0.65 }, // 2
-    { x: 0.22, y: 0.55 }, // 3
-    { x: 0.18, y: 0.45 }, // 4: Thumb tip
-
-    // Index finger (pointing up-left)
-    { x: 0.42, y: 0.65 }, // 5
-    { x: 0.38, y: 0.50 }, // 6
-    { x: 0.35, y: 0.35 }, // 7
-    { x: 0.32, y: 0.20 }, // 8: Index tip
-
-    // Middle finger (pointing up)
-    { x: 0.50, y: 0.62 }, // 9
-    { x: 0.50, y: 0.45 }, // 10
-    { x: 0.50, y: 0.28 }, // 11
-    { x: 0.50, y: 0.12 }, // 12: Middle tip
-
-    // Ring finger (pointing up-right)
-    { x: 0.58, y: 0.65 }, // 13
-    { x: 0.62, y: 0.50 }, // 14
-    { x: 0.65, y: 0.35 }, // 15
-    { x: 0.68, y: 0.20 }, // 16: Ring tip
-
-    // Pinky (pointing right)
-    { x: 0.65, y: 0.72 }, // 17
-    { x: 0.72, y: 0.60 }, // 18
-    { x: 0.78, y: 0.50 }, // 19
-    { x: 0.82, y: 0.42 }  // 20: Pinky tip
-  ];
-}
-
-function generateTremblingFlame() {
-  // Wrist bent, fingers spread upward like flames
-  return [
-    { x: 0.5, y: 0.85 },
-
-    { x: 0.32, y: 0.78 },
-    { x: 0.25, y: 0.68 },
-    { x: 0.22, y: 0.55 },
-    { x: 0.20, y: 0.42 },
-
-    { x: 0.40, y: 0.68 },
-    { x: 0.38, y: 0.52 },
-    { x: 0.36, y: 0.36 },
-    { x: 0.35, y: 0.22 },
+// Mirrored variants, created on first use
+const mirroredTemplates = new WeakMap();
 
-    { x: 0.50, y: 0.65 },
-    { x: 0.50, y: 0.48 },
-    { x: 0.50, y: 0.32 },
-    { x: 0.50, y: 0.15 },
+const mirrorLandmarks = (landmarks) => landmarks.map(lm => ({ ...lm, x: 1 - lm.x }));
 
-    { x: 0.60, y: 0.68 },
-    { x: 0.62, y: 0.52 },
-    { x: 0.64, y: 0.36 },
-    { x: 0.66, y: 0.22 },
+/**
+ * Flip a template horizontally for the opposite hand.
+ * Works for static templates (landmarks) and movements (frames).
+ */
+export function mirrorTemplate(template) {
+  const mirrored = {
+    ...template,
+    id: `${template.id}-${template.hand === 'Left' ? 'right' : 'left'}`,
+    hand: template.hand === 'Left' ? 'Right' : 'Left',
+    mirroredFrom: template.id
+  };
+
+  if (template.landmarks) {
+    mirrored.landmarks = mirrorLandmarks(template.landmarks);
+  }
+  if (template.frames) {
+    mirrored.frames = template.frames.map(f => ({ ...f, landmarks: mirrorLandmarks(f.landmarks) }));
+  }
 
-    { x: 0.68, y: 0.75 },
-    { x: 0.74, y: 0.62 },
-    { x: 0.78, y: 0.50 },
-    { x: 0.82, y: 0.38 }
-  ];
+  return mirrored;
 }
 
-function generateBrokenAngle() {
-  // Angular "broken" pose characteristic of Khorezm
-  return [
-    { x: 0.5, y: 0.75 },
-
-    // Thumb bent inward
-    { x: 0.42, y: 0.68 },
-    { x: 0.38, y: 0.58 },
-    { x: 0.40, y: 0.50 },
-    { x: 0.45, y: 0.45 },
-
-    // Index sharply bent
-    { x: 0.45, y: 0.60 },
-    { x: 0.42, y: 0.48 },
-    { x: 0.48, y: 0.40 },
-    { x: 0.55, y: 0.38 },
-
-    // Middle with angle
-    { x: 0.52, y: 0.58 },
-    { x: 0.52, y: 0.45 },
-    { x: 0.58, y: 0.38 },
-    { x: 0.65, y: 0.35 },
-
-    // Ring bent
-    { x: 0.58, y: 0.60 },
-    { x: 0.60, y: 0.50 },
-    { x: 0.65, y: 0.45 },
-    { x: 0.72, y: 0.42 },
+/**
+ * Get the variant of a template for a given hand.
+ * Returns null if the template cannot be performed with that hand.
+ */
+export function templateForHand(template, handedness) {
+  if (!template || !template.hand || !handedness || template.hand === handedness) {
+    return template;
+  }
+  if (template.mirrorable === false) return null;
 
-    // Pinky curved
-    { x: 0.65, y: 0.65 },
-    { x: 0.70, y: 0.58 },
-    { x: 0.75, y: 0.55 },
-    { x: 0.80, y: 0.52 }
-  ];
+  let variant = mirroredTemplates.get(template);
+  if (!variant) {
+    variant = mirrorTemplate(template);
+    mirroredTemplates.set(template, variant);
+  }
+  return variant;
 }
 
-function generateFingerFlutter() {
-  // Spread fingers, slight curve for flutter motion
-  return [
-    { x: 0.5, y: 0.82 },
-
-    { x: 0.30, y: 0.72 },
-    { x: 0.22, y: 0.60 },
-    { x: 0.18, y: 0.48 },
-    { x: 0.15, y: 0.38 },
-
-    { x: 0.38, y: 0.65 },
-    { x: 0.32, y: 0.48 },
-    { x: 0.28, y: 0.32 },
-    { x: 0.25, y: 0.18 },
-
-    { x: 0.50, y: 0.62 },
-    { x: 0.50, y: 0.42 },
-    { x: 0.50, y: 0.25 },
-    { x: 0.50, y: 0.08 },
-
-    { x: 0.62, y: 0.65 },
-    { x: 0.68, y: 0.48 },
-    { x: 0.72, y: 0.32 },
-    { x: 0.75, y: 0.18 },
+/**
+ * Calculate match score between detected hand and template.
+ * Position, distance from camera and (unless the template is
+ * orientation-sensitive) hand rotation do not affect the score.
+ * Pass `mode: 'angles'` to score by finger joint flexion instead of
+ * landmark distance. The template is mirrored to match the hand's side.
+ * Returns 0-1 where 1 is perfect match.
+ */
+export function getClosestTemplate(hand, template, options = {}) {
+  template = templateForHand(template, hand && hand.handedness);
+  if (!template) return 0;
 
-    { x: 0.70, y: 0.72 },
-    { x: 0.78, y: 0.60 },
-    { x: 0.82, y: 0.48 },
-    { x: 0.85, y: 0.38 }
-  ];
+  if (options.mode === 'angles') {
+    const comparison = compareJointAngles(hand, template);
+    return comparison ? comparison.score : 0;
+  }
+  return matchHandShape(hand, template, options);
 }
 
-function generateClosedLotus() {
-  // Fingertips together, palm cupped
-  return [
-    { x: 0.5, y: 0.85 },
-
-    { x: 0.40, y: 0.78 },
-    { x: 0.38, y: 0.68 },
-    { x: 0.42, y: 0.58 },
-    { x: 0.48, y: 0.52 },
-
-    { x: 0.45, y: 0.70 },
-    { x: 0.44, y: 0.58 },
-    { x: 0.46, y: 0.46 },
-    { x: 0.50, y: 0.38 },
-
-    { x: 0.50, y: 0.68 },
-    { x: 0.50, y: 0.55 },
-    { x: 0.50, y: 0.42 },
-    { x: 0.50, y: 0.32 },
+/**
+ * Find best matching template from all templates
+ */
+export function findBestMatch(hand, options = {}) {
+  let bestScore = 0;
+  let bestTemplate = null;
 
-    { x: 0.55, y: 0.70 },
-    { x: 0.56, y: 0.58 },
-    { x: 0.54, y: 0.46 },
-    { x: 0.50, y: 0.38 },
+  for (const template of templates) {
+    const score = getClosestTemplate(hand, template, options);
+    if (score > bestScore) {
+      bestScore = score;
+      bestTemplate = template;
+    }
+  }
 
-    { x: 0.60, y: 0.75 },
-    { x: 0.62, y: 0.65 },
-    { x: 0.58, y: 0.55 },
-    { x: 0.52, y: 0.48 }
-  ];
+  return { template: bestTemplate, score: bestScore };
 }
 
 /**
- * Calculate match score between detected hand and template.
- * Returns 0-1 where 1 is perfect match.
+ * Score a full tracking frame ({ hands, pose }) against a body template.
+ * Components with no tracking data score zero.
+ *
+ * @returns {Object} { score, hand, components } where hand is the tracked
+ *   hand used for the hand component and components maps each component
+ *   name to { score, weight }
  */
-export function getClosestTemplate(hand, template) {
-  if (!hand || !template) return 0;
+export function getBodyMatch(data, bodyTemplate) {
+  const components = {};
+  const hands = (data && data.hands) || [];
+  const pose = data && data.pose;
+  let bestHand = null;
+
+  if (bodyTemplate.hand) {
+    const { template: templateId, side = 'any', weight = 1 } = bodyTemplate.hand;
+    const handTemplate = templates.find(t => t.id === templateId);
+    let best = 0;
+
+    for (const hand of hands) {
+      if (side !== 'any' && hand.handedness !== side) continue;
+      const score = getClosestTemplate(hand, handTemplate);
+      if (bestHand === null || score > best) {
+        best = score;
+        bestHand = hand;
+      }
+    }
 
-  let totalDistance = 0;
-  const landmarks = hand.landmarks;
+    components.hand = { score: best, weight };
+  }
 
-  for (let i = 0; i < 21; i++) {
-    const detected = landmarks[i];
-    const target = template.landmarks[i];
+  if (bodyTemplate.arms) {
+    const { left, right, weight = 1 } = bodyTemplate.arms;
+    const scores = [];
+    if (left) scores.push(pose ? matchArm(pose.left, left) : 0);
+    if (right) scores.push(pose ? matchArm(pose.right, right) : 0);
 
-    // Euclidean distance
-    const dx = detected.x - target.x;
-    const dy = detected.y - target.y;
-    totalDistance += Math.sqrt(dx * dx + dy * dy);
+    const score = scores.length ? scores.reduce((a, b) => a + b, 0) / scores.length : 0;
+    components.arms = { score, weight };
   }
 
-  // Normalize: average distance per landmark, invert for score
-  const avgDistance = totalDistance / 21;
+  if (bodyTemplate.torso) {
+    const { tilt = 0, weight = 1 } = bodyTemplate.torso;
+    components.torso = { score: matchTorsoTilt(pose, tilt), weight };
+  }
 
-  // 0.05 = perfect, 0.3 = very wrong
-  const score = Math.max(0, 1 - avgDistance / 0.25);
+  let total = 0;
+  let totalWeight = 0;
+  for (const { score, weight } of Object.values(components)) {
+    total += score * weight;
+    totalWeight += weight;
+  }
 
-  return score;
+  return {
+    score: totalWeight > 0 ? total / totalWeight : 0,
+    hand: bestHand,
+    components
+  };
 }
 
 /**
- * Find best matching template from all templates
+ * Find best matching body template for a tracking frame
  */
-export function findBestMatch(hand) {
+export function findBestBodyMatch(data) {
   let bestScore = 0;
   let bestTemplate = null;
 
-  for (const template of templates) {
-    const score = getClosestTemplate(hand, template);
+  for (const template of bodyTemplates) {
+    const { score } = getBodyMatch(data, template);
     if (score > bestScore) {
       bestScore = score;
       bestTemplate = template;
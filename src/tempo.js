@@ -0,0 +1,107 @@
+/**
+ * Adaptive Tempo Module
+ *
+ * Learn mode can start the reference video and music slowed down and
+ * bring them up to speed as the learner keeps up. Every `interval` the
+ * mean match score over the last `window` is looked up on the lesson's
+ * adaptation curve, which gives the change in playback rate: negative
+ * when the learner is falling behind, zero while they are working at
+ * it, positive once they are matching well.
+ *
+ * The curve is a list of [score, rate change] points, linearly
+ * interpolated and held flat past either end. Lessons (curriculum
+ * entries) can override any setting with a `tempo` object:
+ *
+ *   { "tempo": { "start": 0.5, "min": 0.4, "max": 1, "curve": [[0.3, -0.1], [0.8, 0.1]] } }
+ */
+
+export const DEFAULT_TEMPO = {
+  start: 0.6,     // Playback rate a lesson begins at
+  min: 0.5,       // Slowest the lesson drops to
+  max: 1.0,       // Full speed
+  interval: 3000, // ms between adjustments
+  window: 4000,   // ms of scores averaged for each adjustment
+  curve: [
+    [0.3, -0.1],  // Lost: slow down
+    [0.5, 0],     // Working at it: hold the tempo
+    [0.7, 0],
+    [0.9, 0.1]    // Keeping up: speed up
+  ]
+};
+
+export class TempoAdapter {
+  constructor(options = {}) {
+    this.configure(options);
+  }
+
+  /**
+   * Apply a lesson's tempo settings (anything missing uses the default)
+   * and start again from its start rate
+   */
+  configure(options = {}) {
+    this.options = { ...DEFAULT_TEMPO, ...(options || {}) };
+    this.rate = clamp(this.options.start, this.options.min, this.options.max);
+    this.reset();
+  }
+
+  reset() {
+    this.scores = []; // [{ t, score }]
+    this.lastChange = null;
+  }
+
+  /**
+   * Feed this frame's match score.
+   *
+   * @returns {number} The playback rate to use now
+   */
+  update(score, timestamp = performance.now()) {
+    const { interval, window, min, max } = this.options;
+
+    this.scores.push({ t: timestamp, score });
+    while (this.scores.length > 0 && timestamp - this.scores[0].t > window) {
+      this.scores.shift();
+    }
+
+    if (this.lastChange === null) this.lastChange = timestamp;
+    if (timestamp - this.lastChange < interval) return this.rate;
+    this.lastChange = timestamp;
+
+    const mean = this.scores.reduce((sum, s) => sum + s.score, 0) / this.scores.length;
+    const change = rateChange(this.options.curve, mean);
+    const rate = clamp(round(this.rate + change), min, max);
+
+    if (rate !== this.rate) {
+      console.log(`Tempo ${Math.round(this.rate * 100)}% -> ${Math.round(rate * 100)}% (match ${Math.round(mean * 100)}%)`);
+      this.rate = rate;
+    }
+    return this.rate;
+  }
+}
+
+/**
+ * Rate change for a mean score, interpolated along the curve
+ */
+export function rateChange(curve, score) {
+  if (!curve || curve.length === 0) return 0;
+
+  const points = [...curve].sort((a, b) => a[0] - b[0]);
+  if (score <= points[0][0]) return points[0][1];
+
+  for (let i = 1; i < points.length; i++) {
+    const [x1, y1] = points[i];
+    if (score <= x1) {
+      const [x0, y0] = points[i - 1];
+      return x1 === x0 ? y1 : y0 + (y1 - y0) * (score - x0) / (x1 - x0);
+    }
+  }
+
+  return points[points.length - 1][1];
+}
+
+function clamp(value, min, max) {
+  return Math.min(max, Math.max(min, value));
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
@@ -16,18 +16,149 @@
  * 11: left_shoulder, 12: right_shoulder
  * 13: left_elbow, 14: right_elbow
  * 15: left_wrist, 16: right_wrist
+ *
+ * Mirroring policy: the camera feed is shown mirrored (selfie view), so
+ * with `mirror` on (default) every x coordinate is flipped before results
+ * leave the tracker. Downstream code (visualizer, templates) works in that
+ * display space. Handedness and pose left/right always name the dancer's
+ * own (anatomical) hand, never the side of the image it appears on.
+ *
+ * Each hand also carries `tremble`: wrist and fingertip oscillation
+ * frequency, amplitude and steadiness from TrembleAnalyzer.
+ *
+ * Frames come from a source (see sources.js): the webcam by default, or
+ * a video file, image sequence or recorded landmark track. Landmark
+ * tracks are already in display space and skip MediaPipe.
+ *
+ * Landmarks are smoothed (see smoothing.js) before results leave the
+ * tracker. The main result uses the `smoothing` settings; consumers that
+ * want different filtering read `data.profiles[name]` instead (e.g.
+ * `scoring`). Every hand and pose keeps its unsmoothed landmarks as `raw`.
+ *
+ * With a calibration profile set (see calibration.js), live poses and
+ * hands are expressed in reference-body units so scoring fits the dancer.
+ *
+ * With `maxDancers` above one, camera and video frames go through the
+ * multi-person landmarkers in ensemble.js instead of Holistic. Each
+ * result then also lists every dancer as `data.dancers: [{ id, slot,
+ * hands, pose, profiles }]`, each with their own smoothing and tremble
+ * history; the top-level hands and pose are the longest-tracked dancer's.
  */
 
+import { TrembleAnalyzer } from './tremble.js';
+import { WebcamSource } from './sources.js';
+import { LandmarkSmoother, SMOOTHING_PRESETS } from './smoothing.js';
+import { calibratePose, fingerScales } from './calibration.js';
+import { MultiPersonDetector, DancerIdentifier, assignHands } from './ensemble.js';
+
+// Shoulders, elbows and wrists
+const UPPER_BODY = [11, 12, 13, 14, 15, 16];
+
+function visibilityOf(landmark) {
+  return landmark.visibility === undefined ? 1 : landmark.visibility;
+}
+
 export class HolisticTracker {
-  constructor({ onResults, videoElement }) {
+  constructor({
+    onResults,
+    videoElement,
+    mirror = true,
+    source = null,
+    smoothing = SMOOTHING_PRESETS.visuals,       // Main output; null for raw
+    profiles = { scoring: SMOOTHING_PRESETS.scoring },
+    maxDancers = 1                               // Above 1 tracks a group
+  }) {
     this.onResults = onResults;
     this.videoElement = videoElement;
+    this.mirror = mirror;
+    this.source = source || new WebcamSource();
+    this.trembleAnalyzer = new TrembleAnalyzer();
+    this.smoother = smoothing ? new LandmarkSmoother(smoothing) : null;
+    this.profiles = {};
+    for (const [name, options] of Object.entries(profiles)) {
+      this.profiles[name] = new LandmarkSmoother(options);
+    }
     this.holistic = null;
+    this.pendingFrame = null; // Resolver for a one-off analyzeFrame() call
+    this.analyzing = false;   // A one-off analysis holds the model
+    this.analysisQueue = Promise.resolve(); // analyzeFrame() calls, run in turn
+    this.liveSend = null;     // The live loop's frame with the model, if any
+    this.activeImage = null;  // Image being analyzed, if not the camera
+    this.calibration = null;  // Dancer's body profile, if calibrated
+    this.maxDancers = maxDancers;
+    this.detector = null;     // Multi-person landmarkers, when maxDancers > 1
+    this.identifier = new DancerIdentifier();
+    this.dancerFilters = {};  // Dancer id -> { smoother, profiles, trembleAnalyzer }
     this.running = false;
     this.enabled = true; // Can be disabled to pause tracking
   }
 
   async start() {
+    if (!this.source.providesLandmarks) {
+      await this.loadModels();
+    }
+
+    // Open the source (for the webcam this triggers camera permission)
+    await this.source.open(this.videoElement);
+
+    this.running = true;
+    this.processFrame();
+
+    console.log(`Holistic tracking started (${this.source.kind})`);
+  }
+
+  /**
+   * Switch to another source without restarting the tracker
+   */
+  async setSource(source) {
+    if (this.source) this.source.close();
+    this.source = source;
+
+    if (!source.providesLandmarks) {
+      await this.loadModels();
+      if (this.holistic) this.holistic.reset();
+    }
+    this.resetFilters();
+    this.identifier.reset();
+
+    await source.open(this.videoElement);
+    console.log(`Tracking source: ${source.kind}`);
+  }
+
+  /**
+   * Track up to this many dancers (1 = Holistic, one person)
+   */
+  async setMaxDancers(maxDancers) {
+    this.maxDancers = maxDancers;
+    this.identifier.reset();
+    this.dancerFilters = {};
+
+    if (maxDancers > 1 && this.detector) {
+      await this.detector.setMaxDancers(maxDancers);
+    }
+    if (this.running && !this.source.providesLandmarks) {
+      await this.loadModels();
+    }
+  }
+
+  /**
+   * Load whichever model live tracking needs
+   */
+  async loadModels() {
+    if (this.maxDancers > 1) {
+      if (!this.detector) this.detector = new MultiPersonDetector({ maxDancers: this.maxDancers });
+      await this.detector.load();
+    } else {
+      this.loadModel();
+    }
+  }
+
+  /**
+   * Create the MediaPipe model on first use
+   */
+  loadModel() {
+    if (this.holistic) return;
+
     const Holistic = window.Holistic;
 
     if (!Holistic) {
@@ -49,28 +180,28 @@ export class HolisticTracker {
     });
 
     this.holistic.onResults((results) => this.processResults(results));
-
-    // Use native browser camera API
-    const stream = await navigator.mediaDevices.getUserMedia({
-      video: { width: 640, height: 480, facingMode: 'user' }
-    });
-
-    this.videoElement.srcObject = stream;
-    await this.videoElement.play();
-
-    this.running = true;
-    this.processFrame();
-
-    console.log('Holistic tracking started (hands + pose)');
   }
 
   async processFrame() {
     if (!this.running) return;
 
     try {
-      // Only process frames when enabled (skip in learn mode)
-      if (this.enabled && this.videoElement.readyState >= 2) {
-        await this.holistic.send({ image: this.videoElement });
+      if (this.source.providesLandmarks) {
+        // Recorded track: no model, just the next due frame
+        const frame = this.enabled ? this.source.nextFrame() : null;
+        if (frame) this.processTrackFrame(frame);
+      } else if (this.enabled && !this.analyzing && this.videoElement.readyState >= 2) {
+        // Only process frames when enabled and no one-off analysis is running
+        if (this.maxDancers > 1) {
+          if (this.detector && this.detector.ready) {
+            const timestamp = performance.now();
+            this.processDancers(this.detector.detect(this.videoElement, timestamp), timestamp);
+          }
+        } else if (this.holistic) {
+          this.liveSend = this.holistic.send({ image: this.videoElement });
+          await this.liveSend;
+          this.liveSend = null;
+        }
       }
     } catch (err) {
       console.warn('Tracking frame error:', err.message);
@@ -80,6 +211,48 @@ export class HolisticTracker {
     requestAnimationFrame(() => this.processFrame());
   }
 
+  /**
+   * Run the model on a single image (e.g. a paused video file) and
+   * resolve with its results instead of calling onResults. Pause live
+   * tracking with setEnabled(false) first.
+   *
+   * @param {HTMLVideoElement|HTMLImageElement|HTMLCanvasElement} image
+   * @param {Object} options
+   * @param {boolean} options.reset - Clear temporal smoothing first (after a seek)
+   *
+   * Calls made while one is running wait their turn.
+   */
+  analyzeFrame(image, options = {}) {
+    const result = this.analysisQueue.then(() => this.runAnalysis(image, options));
+    this.analysisQueue = result.catch(() => {});
+    return result;
+  }
+
+  async runAnalysis(image, { reset = false }) {
+    this.loadModel();
+    this.analyzing = true;
+
+    try {
+      // A live frame already sent would answer in this one's place
+      if (this.liveSend) await this.liveSend.catch(() => {});
+
+      if (reset) this.holistic.reset();
+
+      return await new Promise((resolve, reject) => {
+        this.activeImage = image;
+        this.pendingFrame = resolve;
+
+        this.holistic.send({ image }).catch((err) => {
+          this.pendingFrame = null;
+          this.activeImage = null;
+          reject(err);
+        });
+      });
+    } finally {
+      this.analyzing = false;
+    }
+  }
+
   /**
    * Enable or disable tracking (pause without stopping camera)
    */
@@ -90,39 +263,239 @@ export class HolisticTracker {
 
   processResults(results) {
     try {
-      const data = {
-        hands: [],
-        pose: null
-      };
+      const timestamp = performance.now();
+      const aspect = this.getAspect();
 
-      // Process left hand
+      // Raw display-space landmarks, in the same shape as a track frame
+      const frame = { hands: [], pose: null };
+
+      // Left hand (the dancer's left)
       if (results.leftHandLandmarks) {
-        data.hands.push(this.processHand(results.leftHandLandmarks, 'Left'));
+        frame.hands.push({ handedness: 'Left', aspect, landmarks: this.toDisplaySpace(results.leftHandLandmarks) });
       }
 
-      // Process right hand
+      // Right hand
       if (results.rightHandLandmarks) {
-        data.hands.push(this.processHand(results.rightHandLandmarks, 'Right'));
+        frame.hands.push({ handedness: 'Right', aspect, landmarks: this.toDisplaySpace(results.rightHandLandmarks) });
       }
 
-      // Process pose (arms and shoulders)
+      // Pose (arms and shoulders)
       if (results.poseLandmarks) {
-        data.pose = this.processPose(results.poseLandmarks);
+        frame.pose = { landmarks: this.toDisplaySpace(results.poseLandmarks) };
+      }
+
+      // One-off analysis: hand the unsmoothed result back to analyzeFrame()
+      if (this.pendingFrame) {
+        const resolve = this.pendingFrame;
+        this.pendingFrame = null;
+        this.activeImage = null;
+        resolve(this.buildResult(frame, timestamp));
+        return;
       }
 
-      this.onResults(data);
+      this.emit(frame, timestamp);
     } catch (err) {
       console.warn('Error processing tracking results:', err.message);
+
+      if (this.pendingFrame) {
+        const resolve = this.pendingFrame;
+        this.pendingFrame = null;
+        this.activeImage = null;
+        resolve({ hands: [], pose: null });
+        return;
+      }
+
       // Send empty data to keep visualizer responsive
       this.onResults({ hands: [], pose: null });
     }
   }
 
-  processHand(landmarks, handedness) {
+  /**
+   * Rebuild a tracking result from a recorded track frame (see tracks.js).
+   * Frame times stand in for the clock so replays are repeatable.
+   */
+  processTrackFrame(frame) {
+    try {
+      // After a seek the old history no longer leads up to this frame
+      if (frame.seeked) this.resetFilters();
+
+      this.emit(frame, frame.time);
+    } catch (err) {
+      console.warn('Error replaying track frame:', err.message);
+    }
+  }
+
+  /**
+   * Smooth a raw frame, measure tremble and pass it to onResults
+   */
+  emit(frame, timestamp) {
+    this.onResults(this.process(frame, timestamp));
+  }
+
+  /**
+   * Smooth a raw frame and measure tremble, with the tracker's own filters
+   * or a dancer's. Each smoothing profile is built too, as
+   * `data.profiles[name]`.
+   */
+  process(frame, timestamp, filters = this, calibration = this.calibration) {
+    const smoothed = filters.smoother ? filters.smoother.smoothFrame(frame, timestamp) : frame;
+    const data = this.buildResult(smoothed, timestamp, frame, calibration);
+
+    // Wrist and finger oscillation from the raw landmarks (attaches hand.tremble)
+    filters.trembleAnalyzer.update(data.hands, timestamp);
+
+    data.profiles = {};
+    for (const [name, smoother] of Object.entries(filters.profiles)) {
+      const profile = this.buildResult(smoother.smoothFrame(frame, timestamp), timestamp, frame, calibration);
+      for (const hand of profile.hands) {
+        const measured = data.hands.find(h => h.handedness === hand.handedness);
+        hand.tremble = measured ? measured.tremble : undefined;
+      }
+      data.profiles[name] = profile;
+    }
+
+    return data;
+  }
+
+  /**
+   * Split multi-person landmarks into one frame per dancer, process each
+   * with its own filters and pass the group to onResults. Calibration is
+   * one person's, so it only applies to the primary dancer.
+   */
+  processDancers({ poses, hands }, timestamp) {
+    try {
+      const aspect = this.getAspect();
+      const displayPoses = poses.map(pose => this.toDisplaySpace(pose));
+      const handsByPose = assignHands(displayPoses, hands.map(hand => this.toDisplaySpace(hand)));
+      const ids = this.identifier.identify(displayPoses, timestamp);
+
+      const dancers = displayPoses.map((pose, i) => {
+        const frame = {
+          hands: handsByPose[i].map(hand => ({ ...hand, aspect })),
+          pose: { landmarks: pose }
+        };
+        return { ...ids[i], frame };
+      }).sort((a, b) => a.id - b.id);
+
+      // Filters of dancers who have left
+      const active = this.identifier.active.map(d => String(d.id));
+      for (const id of Object.keys(this.dancerFilters)) {
+        if (!active.includes(id)) delete this.dancerFilters[id];
+      }
+
+      const results = dancers.map(({ id, slot, frame }, i) => {
+        const filters = this.dancerFilters[id] || (this.dancerFilters[id] = this.createFilters());
+        return { id, slot, ...this.process(frame, timestamp, filters, i === 0 ? this.calibration : null) };
+      });
+
+      const primary = results[0] || { hands: [], pose: null, profiles: {}, timestamp };
+      this.onResults({ ...primary, dancers: results });
+    } catch (err) {
+      console.warn('Error processing dancers:', err.message);
+      this.onResults({ hands: [], pose: null, dancers: [] });
+    }
+  }
+
+  /**
+   * Fresh smoothing and tremble state with the tracker's current settings
+   */
+  createFilters() {
+    const profiles = {};
+    for (const [name, smoother] of Object.entries(this.profiles)) {
+      profiles[name] = new LandmarkSmoother(smoother.options);
+    }
+
+    return {
+      smoother: this.smoother ? new LandmarkSmoother(this.smoother.options) : null,
+      profiles,
+      trembleAnalyzer: new TrembleAnalyzer()
+    };
+  }
+
+  /**
+   * Processed hands and pose from a frame of landmarks. `raw` keeps the
+   * unsmoothed landmarks on each hand and pose for recording and analysis.
+   * A calibration profile normalizes the result to the reference body.
+   */
+  buildResult(frame, timestamp, raw = frame, calibration = null) {
+    const poseLandmarks = raw.pose ? raw.pose.landmarks : null;
+    const scales = fingerScales(calibration);
+
+    return {
+      hands: frame.hands.map((hand, i) => ({
+        ...this.processHand(hand.landmarks, hand.handedness, hand.aspect),
+        confidence: this.calculateHandConfidence(raw.hands[i].landmarks, hand.handedness, poseLandmarks),
+        fingerScales: scales,
+        raw: raw.hands[i].landmarks
+      })),
+      pose: frame.pose
+        ? { ...calibratePose(this.processPose(frame.pose.landmarks), calibration), raw: raw.pose.landmarks }
+        : null,
+      timestamp
+    };
+  }
+
+  /**
+   * Normalize live results to a dancer's body profile (null to stop).
+   * One-off analyzeFrame() results are never calibrated: a reference
+   * video shows someone else.
+   */
+  setCalibration(profile) {
+    this.calibration = profile || null;
+  }
+
+  /**
+   * Landmark smoothing for the main output (null = raw landmarks)
+   */
+  setSmoothing(options) {
+    if (!options) {
+      this.smoother = null;
+    } else if (this.smoother) {
+      this.smoother.configure(options);
+    } else {
+      this.smoother = new LandmarkSmoother(options);
+    }
+    this.dancerFilters = {}; // Rebuilt with the new settings
+  }
+
+  /**
+   * Add, retune or remove (options = null) a named smoothing profile
+   */
+  setProfile(name, options) {
+    if (!options) {
+      delete this.profiles[name];
+    } else if (this.profiles[name]) {
+      this.profiles[name].configure(options);
+    } else {
+      this.profiles[name] = new LandmarkSmoother(options);
+    }
+    this.dancerFilters = {};
+  }
+
+  /**
+   * Forget tremble and smoothing history (after a seek or source change)
+   */
+  resetFilters() {
+    this.trembleAnalyzer.reset();
+    if (this.smoother) this.smoother.reset();
+    for (const smoother of Object.values(this.profiles)) smoother.reset();
+    this.dancerFilters = {};
+  }
+
+  /**
+   * Flip landmarks horizontally to match the mirrored camera feed
+   */
+  toDisplaySpace(landmarks) {
+    if (!this.mirror) return landmarks;
+    return landmarks.map(lm => ({ ...lm, x: 1 - lm.x }));
+  }
+
+  processHand(landmarks, handedness, aspect = this.getAspect()) {
     return {
       landmarks: landmarks,
       handedness: handedness,
       confidence: 1.0,
+      aspect: aspect,
 
       // Convenience accessors
       wrist: landmarks[0],
@@ -135,19 +508,22 @@ export class HolisticTracker {
       // Computed metrics
       palmCenter: this.calculatePalmCenter(landmarks),
       fingerSpread: this.calculateFingerSpread(landmarks),
+      fingerAngles: this.calculateFingerAngles(landmarks),
       wristAngle: this.calculateWristAngle(landmarks)
     };
   }
 
   processPose(landmarks) {
     return {
+      landmarks: landmarks, // All 33 points, for full-body drawing and export
       left: {
         shoulder: landmarks[11],
         elbow: landmarks[13],
         wrist: landmarks[15],
         armAngle: this.calculateArmAngle(landmarks[11], landmarks[13], landmarks[15]),
         armHeight: 1 - landmarks[15].y,
-        shoulderHeight: 1 - landmarks[11].y
+        shoulderHeight: 1 - landmarks[11].y,
+        wristHeight: landmarks[11].y - landmarks[15].y // Above the shoulder
       },
       right: {
         shoulder: landmarks[12],
@@ -155,16 +531,54 @@ export class HolisticTracker {
         wrist: landmarks[16],
         armAngle: this.calculateArmAngle(landmarks[12], landmarks[14], landmarks[16]),
         armHeight: 1 - landmarks[16].y,
-        shoulderHeight: 1 - landmarks[12].y
+        shoulderHeight: 1 - landmarks[12].y,
+        wristHeight: landmarks[12].y - landmarks[16].y // Above the shoulder
       },
       // Overall metrics
       bothArmsUp: (1 - landmarks[15].y) > 0.5 && (1 - landmarks[16].y) > 0.5,
       armsSpread: Math.abs(landmarks[15].x - landmarks[16].x),
       shoulderWidth: Math.abs(landmarks[11].x - landmarks[12].x),
-      torsoTilt: landmarks[11].y - landmarks[12].y // positive = leaning right
+      torsoTilt: landmarks[11].y - landmarks[12].y, // positive = leaning right
+
+      // MediaPipe visibility (0-1): each arm is as visible as its least
+      // visible joint; confidence averages the upper body
+      visibility: {
+        left: Math.min(...[11, 13, 15].map(i => visibilityOf(landmarks[i]))),
+        right: Math.min(...[12, 14, 16].map(i => visibilityOf(landmarks[i])))
+      },
+      confidence: UPPER_BODY.reduce((sum, i) => sum + visibilityOf(landmarks[i]), 0) / UPPER_BODY.length
     };
   }
 
+  /**
+   * How sure the model is about a hand (0-1). Holistic hand landmarks
+   * rarely carry visibility, so fall back to the pose's wrist, pinky,
+   * index and thumb points on that side; a lone detection counts as 1.
+   */
+  calculateHandConfidence(landmarks, handedness, poseLandmarks = null) {
+    const own = landmarks.map(lm => lm.visibility).filter(v => v > 0);
+    if (own.length > 0) {
+      return own.reduce((sum, v) => sum + v, 0) / own.length;
+    }
+
+    if (poseLandmarks) {
+      const points = handedness === 'Left' ? [15, 17, 19, 21] : [16, 18, 20, 22];
+      return points.reduce((sum, i) => sum + visibilityOf(poseLandmarks[i]), 0) / points.length;
+    }
+
+    return 1.0;
+  }
+
+  /**
+   * Frame width / height, so x and y landmark units can be compared
+   */
+  getAspect() {
+    const image = this.activeImage || this.videoElement;
+    const width = image.videoWidth || image.naturalWidth || image.width;
+    const height = image.videoHeight || image.naturalHeight || image.height;
+    return width && height ? width / height : 1;
+  }
+
   calculatePalmCenter(landmarks) {
     const indices = [0, 5, 9, 13, 17];
     let x = 0, y = 0, z = 0;
@@ -187,6 +601,36 @@ export class HolisticTracker {
     return Math.sqrt(dx * dx + dy * dy);
   }
 
+  calculateFingerAngles(landmarks) {
+    // Bend angle (radians) per finger, MCP-PIP vs PIP-TIP
+    const fingers = {
+      thumb: [1, 2, 3, 4],
+      index: [5, 6, 7, 8],
+      middle: [9, 10, 11, 12],
+      ring: [13, 14, 15, 16],
+      pinky: [17, 18, 19, 20]
+    };
+
+    const angles = {};
+
+    for (const [name, indices] of Object.entries(fingers)) {
+      const mcp = landmarks[indices[0]];
+      const pip = landmarks[indices[1]];
+      const tip = landmarks[indices[3]];
+
+      const v1 = { x: pip.x - mcp.x, y: pip.y - mcp.y };
+      const v2 = { x: tip.x - pip.x, y: tip.y - pip.y };
+
+      const dot = v1.x * v2.x + v1.y * v2.y;
+      const mag1 = Math.sqrt(v1.x * v1.x + v1.y * v1.y);
+      const mag2 = Math.sqrt(v2.x * v2.x + v2.y * v2.y);
+
+      angles[name] = Math.acos(dot / (mag1 * mag2 + 0.0001));
+    }
+
+    return angles;
+  }
+
   calculateWristAngle(landmarks) {
     const wrist = landmarks[0];
     const middleMcp = landmarks[9];
@@ -206,9 +650,8 @@ export class HolisticTracker {
 
   stop() {
     this.running = false;
-    if (this.videoElement.srcObject) {
-      this.videoElement.srcObject.getTracks().forEach(track => track.stop());
-    }
+    this.source.close();
+    if (this.detector) this.detector.close();
   }
 }
 
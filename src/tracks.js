@@ -0,0 +1,90 @@
+/**
+ * Landmark Track Format
+ *
+ * A track is a time series of tracking frames, saved as JSON:
+ *
+ *   {
+ *     version: 1,
+ *     type: 'landmark-track',
+ *     source: 'lazgi-learn.mp4',
+ *     duration: 12000,           // ms
+ *     frames: [{ t, hands: [{ handedness, aspect, landmarks }], pose: { landmarks } | null }]
+ *   }
+ *
+ * Only raw landmarks (in display space, before smoothing) are stored;
+ * smoothing and derived metrics are redone by HolisticTracker when a
+ * track is read back.
+ */
+
+export const TRACK_VERSION = 1;
+
+const round = (value) => Math.round(value * 10000) / 10000;
+
+function roundPoint(lm) {
+  const point = { x: round(lm.x), y: round(lm.y) };
+  if (lm.z !== undefined) point.z = round(lm.z);
+  if (lm.visibility !== undefined) point.visibility = round(lm.visibility);
+  return point;
+}
+
+/**
+ * Strip a tracking result ({ hands, pose }) down to its raw landmarks
+ */
+export function serializeFrame(data, t) {
+  return {
+    t: Math.round(t),
+    hands: (data.hands || []).map(hand => ({
+      handedness: hand.handedness,
+      aspect: round(hand.aspect || 1),
+      landmarks: (hand.raw || hand.landmarks).map(roundPoint)
+    })),
+    pose: data.pose && data.pose.landmarks
+      ? { landmarks: (data.pose.raw || data.pose.landmarks).map(roundPoint) }
+      : null
+  };
+}
+
+export function createTrack(frames, { source = null } = {}) {
+  return {
+    version: TRACK_VERSION,
+    type: 'landmark-track',
+    source,
+    duration: frames.length > 0 ? frames[frames.length - 1].t : 0,
+    frames
+  };
+}
+
+/**
+ * Check a parsed JSON object is a usable track
+ */
+export function validateTrack(track) {
+  if (!track || track.type !== 'landmark-track' || !Array.isArray(track.frames)) {
+    throw new Error('Not a landmark track file');
+  }
+  if (track.version > TRACK_VERSION) {
+    throw new Error(`Track version ${track.version} is newer than supported (${TRACK_VERSION})`);
+  }
+  return track;
+}
+
+/**
+ * The frame at or just before time t (ms), or null before the first
+ */
+export function frameAt(track, t) {
+  const frames = track.frames;
+  let low = 0;
+  let high = frames.length - 1;
+  let found = null;
+
+  while (low <= high) {
+    const mid = (low + high) >> 1;
+    if (frames[mid].t <= t) {
+      found = frames[mid];
+      low = mid + 1;
+    } else {
+      high = mid - 1;
+    }
+  }
+
+  return found;
+}
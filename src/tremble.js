@@ -0,0 +1,232 @@
+/**
+ * Tremble Analysis Module
+ *
+ * "Lazgi" means tremble. This module measures it: for each hand it keeps
+ * a short history of the wrist and fingertip positions and estimates the
+ * oscillation frequency, amplitude and steadiness of each point.
+ *
+ * - Wrist: oscillation of landmarks[0] in the frame (the trembling wrist)
+ * - Fingertips: oscillation of 4, 8, 12, 16, 20 relative to the wrist
+ *   (finger flutter, independent of whole-hand motion)
+ *
+ * Amplitudes are in palm lengths so they do not depend on camera distance.
+ */
+
+const TRACKED_POINTS = {
+  wrist: 0,
+  thumb: 4,
+  index: 8,
+  middle: 12,
+  ring: 16,
+  pinky: 20
+};
+
+const FINGERS = ['thumb', 'index', 'middle', 'ring', 'pinky'];
+
+export class TrembleAnalyzer {
+  constructor({
+    windowMs = 1200,      // History length used for each estimate
+    minFrequency = 2,     // Hz; slower motion is movement, not tremble
+    maxFrequency = 15,    // Hz; at ~30fps anything faster is aliasing
+    noiseFloor = 0.02,    // Palm lengths; smaller swings are sensor jitter
+    minSamples = 12
+  } = {}) {
+    this.windowMs = windowMs;
+    this.minFrequency = minFrequency;
+    this.maxFrequency = maxFrequency;
+    this.noiseFloor = noiseFloor;
+    this.minSamples = minSamples;
+
+    // history[handedness] = [{ t, palmSize, points: { wrist: {x, y}, ... } }]
+    this.history = {};
+  }
+
+  /**
+   * Add a frame of hands and attach `hand.tremble` to each.
+   *
+   * @param {Array} hands - Processed hands from HolisticTracker
+   * @param {number} timestamp - ms
+   */
+  update(hands, timestamp = performance.now()) {
+    const seen = new Set();
+
+    for (const hand of hands) {
+      const key = hand.handedness;
+      seen.add(key);
+
+      const buffer = this.history[key] || (this.history[key] = []);
+      buffer.push(this.sample(hand, timestamp));
+
+      while (buffer.length > 0 && timestamp - buffer[0].t > this.windowMs) {
+        buffer.shift();
+      }
+
+      hand.tremble = this.analyze(buffer);
+    }
+
+    // A hand that drops out starts a fresh history when it returns
+    for (const key of Object.keys(this.history)) {
+      if (!seen.has(key)) delete this.history[key];
+    }
+  }
+
+  reset() {
+    this.history = {};
+  }
+
+  sample(hand, t) {
+    // Unsmoothed when available: smoothing would shave the amplitude
+    const landmarks = hand.raw || hand.landmarks;
+    const wrist = landmarks[0];
+    const aspect = hand.aspect || 1;
+    const palmSize = Math.hypot((landmarks[9].x - wrist.x) * aspect, landmarks[9].y - wrist.y) || 1;
+
+    const points = {};
+    for (const [name, idx] of Object.entries(TRACKED_POINTS)) {
+      const lm = landmarks[idx];
+      points[name] = name === 'wrist'
+        ? { x: lm.x * aspect, y: lm.y }
+        : { x: (lm.x - wrist.x) * aspect, y: lm.y - wrist.y };
+    }
+
+    return { t, palmSize, points };
+  }
+
+  analyze(buffer) {
+    const result = { wrist: null, fingers: {}, overall: null };
+
+    if (buffer.length < this.minSamples) {
+      result.wrist = emptyMeasurement();
+      for (const name of FINGERS) result.fingers[name] = emptyMeasurement();
+      result.overall = { ...emptyMeasurement(), intensity: 0 };
+      return result;
+    }
+
+    const palmSize = buffer.reduce((sum, s) => sum + s.palmSize, 0) / buffer.length;
+    const times = buffer.map(s => s.t);
+
+    result.wrist = this.measure(times, buffer.map(s => s.points.wrist), palmSize);
+    for (const name of FINGERS) {
+      result.fingers[name] = this.measure(times, buffer.map(s => s.points[name]), palmSize);
+    }
+
+    // Overall: the wrist or the most active finger, whichever trembles more
+    const candidates = [result.wrist, ...Object.values(result.fingers)].filter(m => m.active);
+    if (candidates.length === 0) {
+      result.overall = { ...emptyMeasurement(), intensity: 0 };
+    } else {
+      const strongest = candidates.reduce((a, b) => (b.amplitude > a.amplitude ? b : a));
+      result.overall = {
+        ...strongest,
+        // 0-1: a steady ~8Hz tremble of a quarter palm length saturates
+        intensity: Math.min(1, (strongest.amplitude / 0.25) * Math.min(strongest.frequency / 8, 1))
+      };
+    }
+
+    return result;
+  }
+
+  /**
+   * Estimate oscillation of one point.
+   * Projects onto the axis of greatest variance, removes the linear trend
+   * (the hand drifting across the frame) and counts hysteresis crossings.
+   */
+  measure(times, points, palmSize) {
+    const n = points.length;
+    const duration = (times[n - 1] - times[0]) / 1000;
+    if (duration <= 0) return emptyMeasurement();
+
+    // Principal axis of the motion
+    let mx = 0, my = 0;
+    for (const p of points) {
+      mx += p.x;
+      my += p.y;
+    }
+    mx /= n;
+    my /= n;
+
+    let sxx = 0, syy = 0, sxy = 0;
+    for (const p of points) {
+      const dx = p.x - mx;
+      const dy = p.y - my;
+      sxx += dx * dx;
+      syy += dy * dy;
+      sxy += dx * dy;
+    }
+    const axis = 0.5 * Math.atan2(2 * sxy, sxx - syy);
+    const ax = Math.cos(axis);
+    const ay = Math.sin(axis);
+
+    const signal = points.map(p => ((p.x - mx) * ax + (p.y - my) * ay) / palmSize);
+    const detrended = removeTrend(times, signal);
+
+    const rms = Math.sqrt(detrended.reduce((sum, v) => sum + v * v, 0) / n);
+    const amplitude = rms * Math.SQRT2;
+
+    if (amplitude < this.noiseFloor) {
+      return { ...emptyMeasurement(), amplitude };
+    }
+
+    // Hysteresis keeps sensor noise from counting as crossings
+    const threshold = Math.max(this.noiseFloor / 2, rms * 0.3);
+    const crossings = [];
+    let state = 0;
+    for (let i = 0; i < n; i++) {
+      const v = detrended[i];
+      if (state <= 0 && v > threshold) {
+        if (state < 0) crossings.push(times[i]);
+        state = 1;
+      } else if (state >= 0 && v < -threshold) {
+        if (state > 0) crossings.push(times[i]);
+        state = -1;
+      }
+    }
+
+    if (crossings.length < 2) {
+      return { ...emptyMeasurement(), amplitude };
+    }
+
+    // Each crossing is half a cycle
+    const halfPeriods = [];
+    for (let i = 1; i < crossings.length; i++) {
+      halfPeriods.push((crossings[i] - crossings[i - 1]) / 1000);
+    }
+    const meanHalf = halfPeriods.reduce((a, b) => a + b, 0) / halfPeriods.length;
+    const frequency = 1 / (2 * meanHalf);
+
+    // Steadiness: 1 when every half cycle takes the same time
+    const variance = halfPeriods.reduce((sum, h) => sum + (h - meanHalf) ** 2, 0) / halfPeriods.length;
+    const steadiness = Math.max(0, 1 - Math.sqrt(variance) / meanHalf);
+
+    const active = frequency >= this.minFrequency && frequency <= this.maxFrequency;
+
+    return { frequency, amplitude, steadiness, active };
+  }
+}
+
+function emptyMeasurement() {
+  return { frequency: 0, amplitude: 0, steadiness: 0, active: false };
+}
+
+/**
+ * Subtract the least-squares line through (t, v)
+ */
+function removeTrend(times, values) {
+  const n = values.length;
+  const t0 = times[0];
+  let st = 0, sv = 0, stt = 0, stv = 0;
+
+  for (let i = 0; i < n; i++) {
+    const t = times[i] - t0;
+    st += t;
+    sv += values[i];
+    stt += t * t;
+    stv += t * values[i];
+  }
+
+  const denom = n * stt - st * st;
+  const slope = denom !== 0 ? (n * stv - st * sv) / denom : 0;
+  const intercept = (sv - slope * st) / n;
+
+  return values.map((v, i) => v - (intercept + slope * (times[i] - t0)));
+}
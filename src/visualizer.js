@@ -10,6 +10,8 @@
  * - Edge wobble (hand-drawn resist lines)
  */
 
+import { movementFrameAt } from './movements.js';
+
 // Ikat color palette - full range from Uzbek textiles
 const IKAT_COLORS = [
   [0, 131, 143],    // turquoise
@@ -39,6 +41,30 @@ const COLORS = {
   green: [46, 125, 50]
 };
 
+// Left/right arm and hand colors for a single dancer
+const DANCER_COLORS = { left: COLORS.turquoise, right: COLORS.crimson };
+
+// One Ikat color family per dancer in a group (by slot): arm and hand
+// colors plus the medallion palette their hands shed
+const DANCER_FAMILIES = [
+  {
+    left: [0, 131, 143], right: [33, 150, 243],
+    palette: [[0, 131, 143], [0, 150, 136], [33, 150, 243], [3, 169, 244], [13, 71, 161], [250, 250, 250]]
+  },
+  {
+    left: [183, 28, 28], right: [233, 30, 99],
+    palette: [[183, 28, 28], [233, 30, 99], [255, 193, 7], [20, 20, 20], [250, 250, 250]]
+  },
+  {
+    left: [255, 193, 7], right: [46, 125, 50],
+    palette: [[255, 193, 7], [255, 143, 0], [46, 125, 50], [27, 94, 32], [245, 240, 230]]
+  },
+  {
+    left: [106, 27, 154], right: [26, 35, 126],
+    palette: [[106, 27, 154], [26, 35, 126], [13, 71, 161], [233, 30, 99], [250, 250, 250]]
+  }
+];
+
 export class Visualizer {
   constructor({ container, onReady }) {
     this.container = container;
@@ -49,7 +75,18 @@ export class Visualizer {
     this.medallions = [];
     this.mode = 'learn';
     this.matchScore = 0;
+    this.holdProgress = 0;
     this.template = null;
+    this.templateVariant = null; // Left/right variant for the coached hand
+    this.lessonStep = null; // { index, total, unit } for the curriculum label
+    this.feedback = null;   // Joint-angle breakdown from compareJointAngles
+    this.components = null; // Hand/arms/torso scores for body templates
+    this.dancers = null;    // Each tracked dancer, when there is a group
+    this.dancerScores = {}; // Dancer id -> latest score (0-1)
+    this.synchrony = null;  // { score, lag, limbs } from SynchronyMeter
+    this.splitView = false; // Live dancer on the right half, reference on the left
+    this.beatPulse = 0;     // 1 on a beat of the music, fading until the next
+    this.rhythm = null;     // { score, last: judged gesture, shownAt } from RhythmScorer
     this.initP5();
   }
 
@@ -72,16 +109,33 @@ export class Visualizer {
         p.background(BG_COLOR[0], BG_COLOR[1], BG_COLOR[2], 20);
 
         self.updateMedallions();
+        self.beatPulse *= 0.9;
+        self.beginLiveView();
         self.drawMedallions();
+        self.endLiveView();
 
         if (self.mode === 'learn' && self.template) {
           self.drawTemplate();
           self.drawMatchIndicator();
         }
 
-        self.drawPose();
-        self.drawHands();
-        self.drawConnections();
+        self.beginLiveView();
+        if (self.dancers) {
+          self.drawDancers();
+        } else {
+          self.drawPose();
+          self.drawHands();
+          self.drawConnections();
+        }
+        self.endLiveView();
+
+        if (self.synchrony) {
+          self.drawSynchrony();
+        }
+
+        if (self.rhythm) {
+          self.drawRhythm();
+        }
       };
 
       p.windowResized = () => {
@@ -93,8 +147,91 @@ export class Visualizer {
   updateHands(hands) {
     this.hands = hands;
 
-    // Spawn Ikat medallions from fingertips
+    // A group's medallions are spawned per dancer, in their own colors
+    if (!this.dancers) this.spawnFromHands(hands);
+  }
+
+  /**
+   * Several dancers ({ id, slot, hands, pose } from the tracker). With
+   * fewer than two, drawing falls back to the single-dancer view.
+   */
+  updateDancers(dancers) {
+    this.dancers = dancers && dancers.length > 1 ? dancers : null;
+    if (!this.dancers) return;
+
+    for (const dancer of this.dancers) {
+      this.spawnFromHands(dancer.hands, familyOf(dancer).palette);
+    }
+  }
+
+  /**
+   * Latest score per dancer id, shown by each dancer
+   */
+  setDancerScores(scores) {
+    this.dancerScores = scores || {};
+  }
+
+  /**
+   * Side by side Learn mode: the reference video takes the left half
+   * and the live dancer is drawn at half size on the right
+   */
+  setSplitView(enabled) {
+    this.splitView = enabled;
+    this.medallions = [];
+  }
+
+  beginLiveView() {
+    if (!this.splitView) return;
+    this.p.push();
+    this.p.translate(this.p.width / 2, this.p.height / 4);
+    this.p.scale(0.5);
+  }
+
+  endLiveView() {
+    if (this.splitView) this.p.pop();
+  }
+
+  /**
+   * Synchrony between two dancers (null hides it)
+   */
+  /**
+   * A beat of the music (from BeatClock): medallions swell with it,
+   * downbeats most
+   */
+  onBeat(beat) {
+    this.beatPulse = beat.downbeat ? 1 : 0.6;
+  }
+
+  /**
+   * A snap, clap or flick (judged against the beat when there is music):
+   * on-time gestures burst into gold medallions
+   */
+  showGesture(gesture, score = null) {
+    this.rhythm = { score, last: gesture, shownAt: this.p.millis() };
+
+    const count = gesture.judgement === 'on' ? 6 : 2;
+    const palette = gesture.judgement === 'on' ? [COLORS.gold] : IKAT_COLORS;
+    for (let i = 0; i < count; i++) {
+      this.spawnMedallion(gesture.x * this.p.width, gesture.y * this.p.height, 0, palette);
+    }
+  }
+
+  setRhythm(rhythm) {
+    this.rhythm = rhythm;
+  }
+
+  setSynchrony(synchrony) {
+    this.synchrony = synchrony;
+  }
+
+  /**
+   * Spawn Ikat medallions from fingertips
+   */
+  spawnFromHands(hands, palette = IKAT_COLORS) {
     for (const hand of hands) {
+      // Real tremble makes the hand shed more, shakier medallions
+      const tremble = hand.tremble ? hand.tremble.overall.intensity : 0;
+
       const tips = [
         hand.landmarks[4],  // Thumb
         hand.landmarks[8],  // Index
@@ -107,12 +244,14 @@ export class Visualizer {
         const tip = tips[i];
 
         // Spawn rate based on mode
-        const spawnChance = this.mode === 'perform' ? 0.25 : 0.12;
+        const spawnChance = (this.mode === 'perform' ? 0.25 : 0.12) * (1 + tremble);
 
         if (this.p.random() < spawnChance) {
           this.spawnMedallion(
             tip.x * this.p.width,
-            tip.y * this.p.height
+            tip.y * this.p.height,
+            tremble,
+            palette
           );
         }
       }
@@ -127,9 +266,9 @@ export class Visualizer {
     this.pose = pose;
   }
 
-  pickUniqueColors(count) {
+  pickUniqueColors(count, palette = IKAT_COLORS) {
     const colors = [];
-    const available = [...IKAT_COLORS];
+    const available = [...palette];
 
     for (let i = 0; i < count && available.length > 0; i++) {
       const idx = Math.floor(this.p.random(available.length));
@@ -139,10 +278,10 @@ export class Visualizer {
     return colors;
   }
 
-  spawnMedallion(x, y) {
-    // Multi-layer medallions (2-5 layers)
-    const numLayers = Math.floor(this.p.random(2, 6));
-    const colors = this.pickUniqueColors(numLayers);
+  spawnMedallion(x, y, tremble = 0, palette = IKAT_COLORS) {
+    // Multi-layer medallions (2-5 layers, fewer if the palette is small)
+    const numLayers = Math.min(Math.floor(this.p.random(2, 6)), palette.length);
+    const colors = this.pickUniqueColors(numLayers, palette);
 
     // Base dimensions
     const ratio = this.p.random(2, 3.5);
@@ -161,8 +300,8 @@ export class Visualizer {
       const hasBlur = this.p.random() < 0.4;
       const blurAmount = hasBlur ? this.p.random(4, 10) : 0;
 
-      // Wobble intensity varies per layer
-      const wobbleAmount = this.p.random(2, 6);
+      // Wobble intensity varies per layer, stronger while trembling
+      const wobbleAmount = this.p.random(2, 6) * (1 + tremble * 2);
 
       layers.push({
         width: prevLayer.width * scale,
@@ -226,6 +365,7 @@ export class Visualizer {
 
     this.p.push();
     this.p.translate(m.x, m.y);
+    this.p.scale(1 + 0.15 * this.beatPulse);
 
     // Draw layers from outside in
     for (const layer of m.layers) {
@@ -354,9 +494,9 @@ export class Visualizer {
     }
   }
 
-  drawHands() {
-    for (const hand of this.hands) {
-      const color = hand.handedness === 'Left' ? COLORS.turquoise : COLORS.crimson;
+  drawHands(hands = this.hands, colors = DANCER_COLORS) {
+    for (const hand of hands) {
+      const color = hand.handedness === 'Left' ? colors.left : colors.right;
 
       // Draw landmarks
       for (let i = 0; i < hand.landmarks.length; i++) {
@@ -378,24 +518,39 @@ export class Visualizer {
     }
   }
 
-  drawConnections() {
+  drawConnections(hands = this.hands, colors = DANCER_COLORS) {
     this.p.strokeWeight(2);
 
-    for (const hand of this.hands) {
-      const color = hand.handedness === 'Left' ? COLORS.turquoise : COLORS.crimson;
-      this.p.stroke(color[0], color[1], color[2], 150);
-
-      // Finger connections
-      const fingers = [
-        [0, 1, 2, 3, 4],       // Thumb
-        [0, 5, 6, 7, 8],       // Index
-        [0, 9, 10, 11, 12],    // Middle
-        [0, 13, 14, 15, 16],   // Ring
-        [0, 17, 18, 19, 20],   // Pinky
-        [5, 9, 13, 17]         // Palm
-      ];
+    // Finger connections
+    const fingers = {
+      thumb: [0, 1, 2, 3, 4],
+      index: [0, 5, 6, 7, 8],
+      middle: [0, 9, 10, 11, 12],
+      ring: [0, 13, 14, 15, 16],
+      pinky: [0, 17, 18, 19, 20],
+      palm: [5, 9, 13, 17]
+    };
+
+    for (const hand of hands) {
+      const color = hand.handedness === 'Left' ? colors.left : colors.right;
+
+      // Only the hand being coached gets per-finger highlights
+      const feedback = this.mode === 'learn' && this.feedback && hands === this.hands &&
+        this.feedback.handedness === hand.handedness ? this.feedback : null;
+
+      for (const [name, finger] of Object.entries(fingers)) {
+        const result = feedback && feedback.fingers[name];
+
+        if (result && result.hint) {
+          // Offending finger: thicker gold stroke, brighter the worse it is
+          const alpha = 120 + (1 - result.score) * 135;
+          this.p.stroke(COLORS.gold[0], COLORS.gold[1], COLORS.gold[2], alpha);
+          this.p.strokeWeight(5);
+        } else {
+          this.p.stroke(color[0], color[1], color[2], 150);
+          this.p.strokeWeight(2);
+        }
 
-      for (const finger of fingers) {
         this.p.beginShape();
         this.p.noFill();
         for (const idx of finger) {
@@ -409,19 +564,19 @@ export class Visualizer {
     this.p.noStroke();
   }
 
-  drawPose() {
-    if (!this.pose) return;
+  drawPose(pose = this.pose, colors = DANCER_COLORS) {
+    if (!pose) return;
 
     const p = this.p;
-    const leftColor = COLORS.turquoise;
-    const rightColor = COLORS.crimson;
+    const leftColor = colors.left;
+    const rightColor = colors.right;
 
     // Draw arm skeletons (shoulders, elbows, wrists)
     p.strokeWeight(3);
 
     // Left arm (turquoise)
-    if (this.pose.left) {
-      const left = this.pose.left;
+    if (pose.left) {
+      const left = pose.left;
       p.stroke(leftColor[0], leftColor[1], leftColor[2], 120);
 
       // Shoulder to elbow
@@ -444,8 +599,8 @@ export class Visualizer {
     }
 
     // Right arm (crimson)
-    if (this.pose.right) {
-      const right = this.pose.right;
+    if (pose.right) {
+      const right = pose.right;
       p.stroke(rightColor[0], rightColor[1], rightColor[2], 120);
 
       // Shoulder to elbow
@@ -468,31 +623,135 @@ export class Visualizer {
     }
 
     // Draw shoulder line connecting both shoulders
-    if (this.pose.left && this.pose.right) {
+    if (pose.left && pose.right) {
       p.stroke(COLORS.gold[0], COLORS.gold[1], COLORS.gold[2], 80);
       p.strokeWeight(2);
       p.line(
-        this.pose.left.shoulder.x * p.width, this.pose.left.shoulder.y * p.height,
-        this.pose.right.shoulder.x * p.width, this.pose.right.shoulder.y * p.height
+        pose.left.shoulder.x * p.width, pose.left.shoulder.y * p.height,
+        pose.right.shoulder.x * p.width, pose.right.shoulder.y * p.height
       );
     }
 
     p.noStroke();
   }
 
+  /**
+   * A group: every dancer's skeleton and hands in their family colors,
+   * with their ID and score above their shoulders
+   */
+  drawDancers() {
+    const p = this.p;
+
+    for (const dancer of this.dancers) {
+      const family = familyOf(dancer);
+      this.drawPose(dancer.pose, family);
+      this.drawHands(dancer.hands, family);
+      this.drawConnections(dancer.hands, family);
+
+      if (!dancer.pose) continue;
+      const { left, right } = dancer.pose;
+      const x = (left.shoulder.x + right.shoulder.x) / 2 * p.width;
+      const y = Math.min(left.shoulder.y, right.shoulder.y) * p.height - 60;
+      const score = this.dancerScores[dancer.id];
+
+      p.noStroke();
+      p.fill(family.left[0], family.left[1], family.left[2], 220);
+      p.textSize(13);
+      p.textAlign(p.CENTER);
+      p.text(score === undefined ? `Dancer ${dancer.id}` : `Dancer ${dancer.id} · ${Math.round(score * 100)}%`, x, y);
+    }
+  }
+
+  /**
+   * Two medallions, one per dancer, that slide together as the dancers
+   * fall into step and merge into one gold medallion when in sync
+   */
+  drawSynchrony() {
+    const p = this.p;
+    const { score, lag, limbs } = this.synchrony;
+    const cx = p.width - 170;
+    const cy = p.height - 170;
+    const apart = (1 - score) * 70;
+    const seed = 500;
+
+    if (score > 0.85) {
+      const glow = (score - 0.85) / 0.15;
+      this.drawBlurredWobblyMedallion(cx, cy, 44, 110, COLORS.gold, 120 + glow * 120, 8, 3, seed);
+    } else {
+      this.drawWobblyMedallion(cx - apart, cy, 36, 90, DANCER_FAMILIES[0].left, 170, 3, seed);
+      this.drawWobblyMedallion(cx + apart, cy, 36, 90, DANCER_FAMILIES[1].left, 170, 3, seed + 40);
+    }
+
+    p.noStroke();
+    p.fill(255);
+    p.textAlign(p.CENTER, p.CENTER);
+    p.textSize(13);
+    const lagLabel = Math.abs(lag) >= 50 ? ` (${lag > 0 ? '+' : ''}${Math.round(lag)} ms)` : '';
+    p.text(`In sync ${Math.round(score * 100)}%${lagLabel}`, cx, cy + 75);
+
+    // Per-limb breakdown
+    const names = { leftArm: 'L arm', rightArm: 'R arm', leftHand: 'L hand', rightHand: 'R hand', torso: 'torso' };
+    const parts = Object.entries(limbs)
+      .filter(([, value]) => value !== null)
+      .map(([limb, value]) => `${names[limb]} ${Math.round(value * 100)}`);
+    p.fill(255, 255, 255, 150);
+    p.textSize(11);
+    p.text(parts.join(' · '), cx, cy + 95);
+  }
+
+  drawRhythm() {
+    const p = this.p;
+    const { score, last, shownAt } = this.rhythm;
+    const x = 170;
+    const y = p.height - 120;
+
+    p.noStroke();
+    p.textAlign(p.CENTER, p.CENTER);
+    if (score !== null) {
+      p.fill(255);
+      p.textSize(13);
+      p.text(`Rhythm ${Math.round(score * 100)}%`, x, y);
+    }
+
+    // The latest gesture, fading over a second
+    const fade = Math.max(0, 1 - (p.millis() - shownAt) / 1000);
+    if (!last || fade === 0) return;
+
+    const verdicts = {
+      on: 'on the beat',
+      early: `${Math.round(-last.offset * 1000)} ms early`,
+      late: `${Math.round(last.offset * 1000)} ms late`
+    };
+    const color = last.judgement === 'on' ? COLORS.gold : last.judgement ? COLORS.crimson : [255, 255, 255];
+    p.fill(color[0], color[1], color[2], 255 * fade);
+    p.textSize(16);
+    p.text(last.judgement ? `${last.type} · ${verdicts[last.judgement]}` : last.type, x, y + 24);
+  }
+
   drawTemplate() {
     if (!this.template) return;
 
+    // Draw the ghost on the side of the screen where that hand appears
+    const template = this.templateVariant || this.template;
+    const side = template.hand === 'Left' ? 0.3 : template.hand === 'Right' ? 0.7 : 0.5;
+
     this.p.push();
-    this.p.translate(this.p.width / 2, this.p.height / 2);
-    this.p.scale(0.4);
+    this.p.translate(this.p.width * side, this.p.height / 2);
+    // Movement frames are already hand-sized; static templates fill the frame
+    this.p.scale(template.frames ? 1 : 0.4);
 
     // Draw template landmarks as ghost outline
     this.p.stroke(COLORS.gold[0], COLORS.gold[1], COLORS.gold[2], 100);
     this.p.strokeWeight(2);
     this.p.noFill();
 
-    for (const lm of this.template.landmarks) {
+    // Movements play their sequence as an animated ghost; body templates
+    // only have a ghost once a hand variant is chosen
+    const landmarks = template.frames
+      ? movementFrameAt(template, this.p.millis())
+      : template.landmarks || [];
+
+    for (const lm of landmarks) {
       const x = (lm.x - 0.5) * this.p.width;
       const y = (lm.y - 0.5) * this.p.height;
       this.p.ellipse(x, y, 20);
@@ -504,10 +763,27 @@ export class Visualizer {
     this.p.fill(COLORS.gold[0], COLORS.gold[1], COLORS.gold[2]);
     this.p.textSize(14);
     this.p.textAlign(this.p.CENTER);
-    this.p.text(this.template.name, this.p.width / 2, 100);
+    const handLabel = typeof template.hand === 'string' ? ` (${template.hand.toLowerCase()} hand)` : '';
+    this.p.text(this.template.name + handLabel, this.p.width / 2, 100);
     this.p.textSize(12);
     this.p.fill(255, 255, 255, 150);
     this.p.text(this.template.description, this.p.width / 2, 120);
+
+    // What to fix, worst first
+    if (this.feedback && this.feedback.feedback.length > 0) {
+      this.p.fill(COLORS.gold[0], COLORS.gold[1], COLORS.gold[2], 200);
+      this.p.textSize(13);
+      this.p.text(this.feedback.feedback.slice(0, 2).join(' · '), this.p.width / 2, 144);
+    }
+
+    // Body templates: score per component
+    if (this.components) {
+      const parts = Object.entries(this.components)
+        .map(([name, { score }]) => `${name} ${Math.round(score * 100)}%`);
+      this.p.fill(255, 255, 255, 150);
+      this.p.textSize(12);
+      this.p.text(parts.join(' · '), this.p.width / 2, 166);
+    }
   }
 
   drawMatchIndicator() {
@@ -535,6 +811,33 @@ export class Visualizer {
     this.p.textAlign(this.p.CENTER, this.p.CENTER);
     this.p.textSize(14);
     this.p.text(Math.round(this.matchScore * 100) + '%', cx, cy);
+
+    // Outer ring fills while the pose is held
+    if (this.holdProgress > 0) {
+      this.p.noFill();
+      this.p.stroke(COLORS.gold[0], COLORS.gold[1], COLORS.gold[2], 200);
+      this.p.strokeWeight(2);
+      this.p.arc(cx, cy, radius * 2 + 14, radius * 2 + 14,
+        -this.p.HALF_PI, -this.p.HALF_PI + this.holdProgress * this.p.TWO_PI);
+      this.p.noStroke();
+    }
+
+    // Curriculum position
+    if (this.lessonStep) {
+      this.p.fill(255, 255, 255, 150);
+      this.p.textSize(11);
+      const label = this.lessonStep.unit
+        ? `${this.lessonStep.unit} · step ${this.lessonStep.index + 1} of ${this.lessonStep.total}`
+        : `Pose ${this.lessonStep.index + 1} of ${this.lessonStep.total}`;
+      this.p.text(label, cx, cy + radius + 22);
+    }
+  }
+
+  /**
+   * The p5 canvas element (null until setup has run)
+   */
+  get canvas() {
+    return this.p && this.p.canvas ? this.p.canvas : null;
   }
 
   setMode(mode) {
@@ -546,7 +849,33 @@ export class Visualizer {
     this.matchScore = score;
   }
 
-  setTemplate(template) {
+  setTemplateVariant(variant) {
+    this.templateVariant = variant;
+  }
+
+  setComponents(components) {
+    this.components = components;
+  }
+
+  setFeedback(feedback) {
+    this.feedback = feedback;
+  }
+
+  setHoldProgress(progress) {
+    this.holdProgress = progress;
+  }
+
+  setTemplate(template, lessonStep = null) {
     this.template = template;
+    this.templateVariant = null;
+    this.lessonStep = lessonStep;
+    this.matchScore = 0;
+    this.holdProgress = 0;
+    this.feedback = null;
+    this.components = null;
   }
 }
+
+function familyOf(dancer) {
+  return DANCER_FAMILIES[dancer.slot % DANCER_FAMILIES.length];
+}